@@ -0,0 +1,171 @@
+/**
+ * Notification Flush Action
+ *
+ * Runs on a schedule (alarm trigger in app.config.yaml) and sends the notifications
+ * order-notification deferred during quiet hours once they are due.
+ *
+ * Each due notification is checked against the customer's consent again (they may have
+ * replied STOP overnight) and the daily message limit, then sent like in order-notification,
+ * from the sender of the order's store.
+ * Notifications that cannot be sent are dead-lettered so they can be replayed.
+ *
+ * Once a day, the run also re-puts the opt-outs of the suppression list before
+ * Adobe I/O State would expire them.
+ */
+
+const { Core } = require('@adobe/aio-sdk')
+const { errorResponse, stringParameters } = require('../utils')
+const { extractEventData } = require('../order-notification/orderDataExtractor')
+const { checkConsent, refreshSuppressionList } = require('../order-notification/consent')
+const { deliverNotification, isSmsFallbackAllowed, CHANNEL_WHATSAPP } = require('../order-notification/messageChannels')
+const { getMessagingProvider } = require('../order-notification/messagingProviders')
+const { initStateStore } = require('../order-notification/stateStore')
+const { listDueNotifications, removeQueuedNotification } = require('../order-notification/deferredQueue')
+const { recordDeadLetter } = require('../order-notification/deadLetter')
+const { recordMessageSent } = require('../order-notification/messageStatus')
+const { recordLatestOrder } = require('../order-notification/statusTracker')
+const { checkDailyLimit, recordDailyMessage } = require('../order-notification/dailyLimit')
+const { loadStoreRouting, routeOrderParams } = require('../order-notification/storeRouting')
+// Registers the handlers extracting the data of the queued events
+require('../order-notification/eventHandlers')
+
+/**
+ * Number of notifications sent per run when FLUSH_BATCH_SIZE is not set,
+ * keeping each run well within the action timeout
+ */
+const DEFAULT_FLUSH_BATCH_SIZE = 50
+
+/**
+ * Send a due notification
+ * @param {object} stateStore - State store instance
+ * @param {object} queued - Queued notification record
+ * @param {object} params - Action parameters
+ * @param {object} provider - Messaging provider
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Object with id, orderNumber and outcome ('sent', 'skipped' or 'failed')
+ */
+async function flushNotification (stateStore, queued, params, provider, logger) {
+  const { id, eventType, orderNumber, customerName, to, locale, notification, event } = queued
+
+  const { orderData, error: extractionError } = extractEventData(event, eventType, logger)
+  if (extractionError) {
+    logger.warn(`Dropping deferred notification ${id} for order ${orderNumber}: event can no longer be read`)
+    return { id, orderNumber, outcome: 'skipped', reason: 'invalid_event' }
+  }
+
+  // Sent from the sender of the order's store, like in order-notification (main has checked the routing table)
+  const routing = routeOrderParams(params, orderData, provider)
+  if (routing.error) {
+    logger.warn(`Dropping deferred notification ${id} for order ${orderNumber}: ${routing.error}`)
+    return { id, orderNumber, outcome: 'skipped', reason: 'no_store_route' }
+  }
+  params = routing.params
+
+  const consent = await checkConsent(stateStore, orderData, to, params)
+  if (!consent.allowed) {
+    logger.info(`Dropping deferred notification ${id} for order ${orderNumber}: no WhatsApp consent (${consent.source || 'no opt-in'})`)
+    return { id, orderNumber, outcome: 'skipped', reason: 'no_consent' }
+  }
+
+  const dailyLimit = await checkDailyLimit(stateStore, to, params)
+  if (!dailyLimit.allowed) {
+    logger.warn(`Dropping deferred notification ${id} for order ${orderNumber}: ${to} reached the daily limit of ${dailyLimit.limit} messages`)
+    return { id, orderNumber, outcome: 'skipped', reason: 'daily_limit' }
+  }
+
+  const deliveryResult = await deliverNotification(params, eventType, to, notification, logger)
+  if (!deliveryResult.success) {
+    const deadLetter = await recordDeadLetter(stateStore, event, { eventType, orderNumber, to, result: deliveryResult })
+    logger.warn(`Stored undelivered deferred notification for order ${orderNumber} as dead letter ${deadLetter.id}`)
+    return { id, orderNumber, outcome: 'failed', deadLetterId: deadLetter.id }
+  }
+
+  try {
+    await recordLatestOrder(stateStore, to, { orderNumber, customerName, locale })
+    await recordDailyMessage(stateStore, to, params)
+    await recordMessageSent(stateStore, deliveryResult.messageSid, {
+      orderNumber,
+      eventType,
+      to,
+      channel: deliveryResult.channel,
+      status: deliveryResult.status,
+      ...(routing.store && { store: routing.store }),
+      ...(deliveryResult.channel === CHANNEL_WHATSAPP && isSmsFallbackAllowed(eventType, params) && { fallbackText: notification.message })
+    })
+  } catch (error) {
+    logger.warn(`Failed to record notification state for order ${orderNumber}: ${error.message}`)
+  }
+  return { id, orderNumber, outcome: 'sent', channel: deliveryResult.channel, messageSid: deliveryResult.messageSid }
+}
+
+/**
+ * Main function executed by Adobe I/O Runtime
+ * @param {object} params - Action parameters
+ * @returns {object} Response with the outcome of each flushed notification
+ */
+async function main (params) {
+  const logger = Core.Logger('notification-flush', { level: params.LOG_LEVEL || 'info' })
+
+  try {
+    logger.debug(stringParameters(params))
+
+    let provider
+    try {
+      provider = getMessagingProvider(params)
+    } catch (error) {
+      return errorResponse(500, `Invalid MESSAGING_PROVIDER configuration: ${error.message}`, logger)
+    }
+
+    // Notifications stay queued until an invalid routing table is fixed
+    const { errors: routingErrors } = loadStoreRouting(params.STORE_ROUTING, provider)
+    if (routingErrors.length > 0) {
+      return errorResponse(500, `Invalid STORE_ROUTING configuration: ${routingErrors.join('; ')}`, logger)
+    }
+
+    const stateStore = await initStateStore(params, logger)
+    const batchSize = parseInt(params.FLUSH_BATCH_SIZE, 10) > 0 ? parseInt(params.FLUSH_BATCH_SIZE, 10) : DEFAULT_FLUSH_BATCH_SIZE
+    const due = await listDueNotifications(stateStore, new Date())
+    const batch = due.slice(0, batchSize)
+
+    const results = []
+    for (const queued of batch) {
+      try {
+        results.push(await flushNotification(stateStore, queued, params, provider, logger))
+      } catch (error) {
+        // Left in the queue for the next run
+        logger.error(`Failed to flush deferred notification ${queued.id} for order ${queued.orderNumber}: ${error.message}`)
+        continue
+      }
+      await removeQueuedNotification(stateStore, queued)
+    }
+
+    try {
+      const refreshed = await refreshSuppressionList(stateStore)
+      if (refreshed !== null) {
+        logger.info(`Refreshed ${refreshed} opt-out(s) of the suppression list`)
+      }
+    } catch (error) {
+      logger.warn(`Failed to refresh the suppression list: ${error.message}`)
+    }
+
+    const count = outcome => results.filter(result => result.outcome === outcome).length
+    logger.info(`Flushed ${results.length} deferred notification(s), ${due.length - results.length} still due`)
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        sent: count('sent'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        remaining: due.length - results.length,
+        results
+      }
+    }
+  } catch (error) {
+    logger.error('Unexpected error flushing deferred notifications', error)
+    return errorResponse(500, 'Internal server error', logger)
+  }
+}
+
+exports.main = main
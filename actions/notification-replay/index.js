@@ -0,0 +1,306 @@
+/**
+ * Notification Replay Action
+ *
+ * Lets support staff resend WhatsApp notifications:
+ *   - list: lists the stored dead letters (notifications that could not be sent)
+ *   - deadLetterId: replays a dead letter, and removes it once sent
+ *   - orderNumber + eventType: regenerates the message of the last event notified for the order
+ *
+ * Messages are rendered and sent exactly like in order-notification. An optional `phone`
+ * overrides the recipient (e.g. after a customer changed their number), and `dryRun`
+ * returns the rendered message without sending it.
+ *
+ * The action requires an Adobe IMS token (require-adobe-auth: true). It is not a raw-http
+ * action, so request fields arrive merged with the inputs: only the fields above are read
+ * from the request, and the configuration only from the inputs declared in app.config.yaml
+ * (which `final: true` protects from being overridden).
+ */
+
+const { Core } = require('@adobe/aio-sdk')
+const { errorResponse, stringParameters, checkMissingRequestInputs } = require('../utils')
+const { getEventHandler } = require('../order-notification/eventHandlers')
+const { normalizeEventType } = require('../order-notification/eventRegistry')
+const { extractEventData, extractOrderInfo } = require('../order-notification/orderDataExtractor')
+const { normalizePhoneNumber } = require('../order-notification/phoneUtils')
+const { selectRecipientPhone, getPhoneSelectionPolicy } = require('../order-notification/recipientSelector')
+const { checkConsent } = require('../order-notification/consent')
+const { buildNotification } = require('../order-notification/notificationBuilder')
+const { loadMessageTemplates } = require('../order-notification/messageTemplates')
+const { deliverNotification } = require('../order-notification/messageChannels')
+const { getMessagingProvider } = require('../order-notification/messagingProviders')
+const { initStateStore } = require('../order-notification/stateStore')
+const { getDeadLetter, listDeadLetters, removeDeadLetter } = require('../order-notification/deadLetter')
+const { getArchivedEvent } = require('../order-notification/eventArchive')
+const { recordMessageSent } = require('../order-notification/messageStatus')
+const { recordLatestOrder } = require('../order-notification/statusTracker')
+const { routeOrderParams } = require('../order-notification/storeRouting')
+
+/**
+ * Fields read from the replay request
+ */
+const REQUEST_FIELDS = ['list', 'deadLetterId', 'orderNumber', 'eventType', 'phone', 'dryRun']
+
+/**
+ * Inputs of the action in app.config.yaml, the only configuration it reads
+ */
+const ACTION_INPUTS = [
+  'LOG_LEVEL',
+  'TWILIO_ACCOUNT_SID',
+  'TWILIO_AUTH_TOKEN',
+  'TWILIO_WHATSAPP_FROM',
+  'TWILIO_CONTENT_TEMPLATES',
+  'MESSAGING_PROVIDER',
+  'META_ACCESS_TOKEN',
+  'META_PHONE_NUMBER_ID',
+  'META_GRAPH_API_VERSION',
+  'META_API_TIMEOUT_MS',
+  'META_CONTENT_TEMPLATES',
+  'ALLOW_FREEFORM_FALLBACK',
+  'STORE_LOCALE_MAP',
+  'DEFAULT_LOCALE',
+  'DEFAULT_PHONE_REGION',
+  'PHONE_SOURCE_PRIORITY',
+  'PHONE_ATTRIBUTE',
+  'CONSENT_REQUIRED',
+  'CONSENT_ATTRIBUTE',
+  'MESSAGE_TEMPLATES',
+  'ORDER_SUMMARY_MAX_ITEMS',
+  'ORDER_SUMMARY_SHIPPING',
+  'CARRIER_TRACKING_URLS',
+  'TWILIO_STATUS_CALLBACK_URL',
+  'TWILIO_RETRY_MAX_ATTEMPTS',
+  'TWILIO_RETRY_BASE_DELAY_MS',
+  'TWILIO_RETRY_MAX_DELAY_MS',
+  'TWILIO_SMS_FROM',
+  'SMS_FALLBACK_EVENTS',
+  'STORE_ROUTING',
+  'BRAND_NAME'
+]
+
+/**
+ * Keep the request fields, the declared inputs and the request headers of the action parameters
+ * Anything else a caller adds to the request (e.g. STATE_STORE) is dropped
+ * @param {object} params - Action parameters
+ * @returns {object} Parameters the action reads
+ */
+function pickReplayParams (params) {
+  return [...REQUEST_FIELDS, ...ACTION_INPUTS, '__ow_headers']
+    .filter(name => params[name] !== undefined)
+    .reduce((picked, name) => ({ ...picked, [name]: params[name] }), {})
+}
+
+/**
+ * Check whether a boolean request parameter is set
+ * @param {boolean|string} value - Parameter value
+ * @returns {boolean} True for true or 'true'
+ */
+function isEnabled (value) {
+  return value === true || value === 'true'
+}
+
+/**
+ * Find the event to replay, from a dead letter or from the event archive
+ * @param {object} stateStore - State store instance
+ * @param {object} params - Action parameters
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Object with event, eventType and deadLetterId, or error response
+ */
+async function findReplayEvent (stateStore, params, logger) {
+  if (params.deadLetterId) {
+    const deadLetter = await getDeadLetter(stateStore, params.deadLetterId)
+    if (!deadLetter) {
+      return { error: errorResponse(404, `Dead letter ${params.deadLetterId} not found`, logger) }
+    }
+    return { event: deadLetter.event, eventType: deadLetter.eventType, deadLetterId: deadLetter.id }
+  }
+
+  if (params.orderNumber && params.eventType) {
+    const eventType = normalizeEventType(String(params.eventType))
+    if (!getEventHandler(eventType)) {
+      return { error: errorResponse(400, `Unsupported event type: ${params.eventType}`, logger) }
+    }
+    const event = await getArchivedEvent(stateStore, String(params.orderNumber), eventType)
+    if (!event) {
+      return { error: errorResponse(404, `No ${eventType} event found for order ${params.orderNumber}`, logger) }
+    }
+    return { event, eventType, deadLetterId: null }
+  }
+
+  return { error: errorResponse(400, 'Missing parameter(s): deadLetterId, or orderNumber and eventType', logger) }
+}
+
+/**
+ * Choose the recipient: the phone override, or the order's phone numbers
+ * @param {object} orderData - Order data
+ * @param {object} params - Action parameters
+ * @param {object} logger - Logger instance
+ * @returns {object} Object with phone (E.164) and source, or error response
+ */
+function resolveRecipient (orderData, params, logger) {
+  if (params.phone) {
+    const phone = normalizePhoneNumber(params.phone, params.DEFAULT_PHONE_REGION)
+    if (!phone.valid) {
+      return { error: errorResponse(400, `Invalid phone number: ${phone.reason}`, logger) }
+    }
+    return { phone: phone.e164, source: 'override' }
+  }
+
+  let phonePolicy
+  try {
+    phonePolicy = getPhoneSelectionPolicy(params)
+  } catch (error) {
+    logger.warn(`Ignoring phone source priority: ${error.message}`)
+    phonePolicy = getPhoneSelectionPolicy({ ...params, PHONE_SOURCE_PRIORITY: null })
+  }
+  const recipient = selectRecipientPhone(orderData, phonePolicy, params.DEFAULT_PHONE_REGION)
+  if (!recipient.phone) {
+    const reason = recipient.rejected[0]?.reason
+    return { error: errorResponse(400, reason ? `Invalid customer phone number: ${reason}` : 'Customer phone number not found', logger) }
+  }
+  return { phone: recipient.phone.e164, source: recipient.source }
+}
+
+/**
+ * Main function executed by Adobe I/O Runtime
+ * @param {object} params - Replay request
+ * @returns {object} HTTP response with status code and body
+ */
+async function main (params) {
+  params = pickReplayParams(params)
+  const logger = Core.Logger('notification-replay', { level: params.LOG_LEVEL || 'info' })
+
+  try {
+    logger.debug(stringParameters(params))
+
+    // The IMS token itself is validated by I/O Runtime (require-adobe-auth)
+    const missingInputs = checkMissingRequestInputs(params, [], ['Authorization'])
+    if (missingInputs) {
+      return errorResponse(401, missingInputs, logger)
+    }
+
+    const stateStore = await initStateStore(params, logger)
+
+    if (isEnabled(params.list)) {
+      const deadLetters = await listDeadLetters(stateStore)
+      return {
+        statusCode: 200,
+        body: { deadLetters }
+      }
+    }
+
+    let messageTemplates = loadMessageTemplates(params.MESSAGE_TEMPLATES)
+    if (messageTemplates.errors.length > 0) {
+      return errorResponse(500, `Invalid MESSAGE_TEMPLATES configuration: ${messageTemplates.errors.join('; ')}`, logger)
+    }
+    let provider
+    try {
+      provider = getMessagingProvider(params)
+    } catch (error) {
+      return errorResponse(500, `Invalid MESSAGING_PROVIDER configuration: ${error.message}`, logger)
+    }
+
+    const { event, eventType, deadLetterId, error: findError } = await findReplayEvent(stateStore, params, logger)
+    if (findError) {
+      return findError
+    }
+
+    const { orderData, shipmentData, invoiceData, creditmemoData, error: extractionError } = extractEventData(event, eventType, logger)
+    if (extractionError) {
+      return extractionError
+    }
+    const { orderNumber, customerName } = extractOrderInfo(orderData)
+
+    // Replays are sent from the order's store, with its brand, locale and templates
+    const routing = routeOrderParams(params, orderData, provider)
+    if (routing.error) {
+      return errorResponse(routing.statusCode, routing.error, logger)
+    }
+    if (routing.store) {
+      params = routing.params
+      messageTemplates = loadMessageTemplates(params.MESSAGE_TEMPLATES)
+    }
+
+    const recipient = resolveRecipient(orderData, params, logger)
+    if (recipient.error) {
+      return recipient.error
+    }
+
+    // Replays follow the same consent rules as the original notifications
+    const consent = await checkConsent(stateStore, orderData, recipient.phone, params)
+    if (!consent.allowed) {
+      return errorResponse(409, `No WhatsApp consent for order ${orderNumber} (${consent.source || 'no opt-in'})`, logger)
+    }
+
+    const { locale, message, content, contentError } = buildNotification(
+      eventType,
+      { orderData, shipmentData, invoiceData, creditmemoData },
+      params,
+      messageTemplates.templates,
+      logger
+    )
+
+    const replay = {
+      orderNumber,
+      eventType,
+      to: recipient.phone,
+      phoneSource: recipient.source,
+      locale,
+      ...(routing.store && { store: routing.store }),
+      ...(deadLetterId && { deadLetterId })
+    }
+
+    if (isEnabled(params.dryRun)) {
+      logger.info(`Dry run of ${eventType} notification for order ${orderNumber}`)
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          dryRun: true,
+          ...replay,
+          message,
+          content: content || null,
+          ...(contentError && { contentError })
+        }
+      }
+    }
+
+    const deliveryResult = await deliverNotification(params, eventType, recipient.phone, { content, contentError, message }, logger)
+    if (!deliveryResult.success) {
+      return errorResponse(502, `Notification not sent: ${deliveryResult.smsError || deliveryResult.whatsappError}`, logger)
+    }
+
+    try {
+      await recordLatestOrder(stateStore, recipient.phone, { orderNumber, customerName, locale })
+      await recordMessageSent(stateStore, deliveryResult.messageSid, {
+        orderNumber,
+        eventType,
+        to: recipient.phone,
+        channel: deliveryResult.channel,
+        status: deliveryResult.status,
+        ...(routing.store && { store: routing.store })
+      })
+      if (deadLetterId) {
+        await removeDeadLetter(stateStore, deadLetterId)
+      }
+    } catch (error) {
+      logger.warn(`Failed to record replayed notification for order ${orderNumber}: ${error.message}`)
+    }
+
+    logger.info(`Replayed ${eventType} notification for order ${orderNumber} on ${deliveryResult.channel}. SID: ${deliveryResult.messageSid}`)
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        ...replay,
+        channel: deliveryResult.channel,
+        provider: deliveryResult.provider,
+        messageSid: deliveryResult.messageSid
+      }
+    }
+  } catch (error) {
+    logger.error('Unexpected error replaying notification', error)
+    return errorResponse(500, 'Internal server error', logger)
+  }
+}
+
+exports.main = main
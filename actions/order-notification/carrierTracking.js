@@ -0,0 +1,142 @@
+/**
+ * Carrier Tracking Module
+ * Builds tracking URLs for shipment tracks based on their carrier
+ */
+
+const { parseJsonInput } = require('../utils')
+const { interpolate } = require('./messageCatalog')
+const { extractTracks } = require('./orderDataExtractor')
+
+/**
+ * Built-in carriers with their tracking URL pattern and the names they are known by
+ * in track titles
+ */
+const CARRIERS = {
+  ups: {
+    name: 'UPS',
+    aliases: ['ups', 'united parcel'],
+    url: 'https://www.ups.com/track?tracknum={{trackingNumber}}'
+  },
+  fedex: {
+    name: 'FedEx',
+    aliases: ['fedex', 'federal express'],
+    url: 'https://www.fedex.com/fedextrack/?trknbr={{trackingNumber}}'
+  },
+  dhl: {
+    name: 'DHL',
+    aliases: ['dhl'],
+    url: 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id={{trackingNumber}}'
+  },
+  usps: {
+    name: 'USPS',
+    aliases: ['usps', 'united states postal'],
+    url: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={{trackingNumber}}'
+  }
+}
+
+/**
+ * Parse custom carrier URL patterns
+ * CARRIER_TRACKING_URLS is a JSON object mapping a carrier code (or a word of the
+ * track title) to a URL pattern containing {{trackingNumber}}, e.g.
+ * { "royalmail": "https://www.royalmail.com/track-your-item#/tracking-results/{{trackingNumber}}" }
+ * @param {string|object} config - CARRIER_TRACKING_URLS input
+ * @returns {object} URL patterns keyed by lowercase carrier code
+ * @throws {Error} If the configuration is not a JSON object of non-empty strings
+ */
+function parseCarrierUrls (config) {
+  const carriers = parseJsonInput(config, 'CARRIER_TRACKING_URLS') || {}
+  if (typeof carriers !== 'object' || Array.isArray(carriers)) {
+    throw new Error('CARRIER_TRACKING_URLS must be an object mapping carrier codes to URL patterns')
+  }
+
+  const invalid = Object.keys(carriers).filter(code => typeof carriers[code] !== 'string' || !carriers[code].trim())
+  if (invalid.length > 0) {
+    throw new Error(`URL pattern of carrier ${invalid.join(', ')} must be a non-empty string`)
+  }
+  return Object.fromEntries(
+    Object.entries(carriers).map(([code, url]) => [code.toLowerCase(), url])
+  )
+}
+
+/**
+ * Check whether a track title names a carrier as a whole word
+ * (e.g. 'UPS Ground' names 'ups', 'Groupsend' does not)
+ * @param {string} title - Lowercase track title
+ * @param {string} name - Lowercase carrier code or alias
+ * @returns {boolean} True if the title contains the name between word boundaries
+ */
+function titleNames (title, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(title)
+}
+
+/**
+ * Find the URL pattern and display name for a track
+ * Custom carriers take precedence over built-in ones; the exact carrier code is
+ * matched first, then carrier codes and aliases named as words of the track title
+ * @param {object} track - Track from extractTracks
+ * @param {object} customCarriers - URL patterns from parseCarrierUrls
+ * @returns {object|null} Object with name and url pattern, or null for unknown carriers
+ */
+function findCarrier (track, customCarriers = {}) {
+  const code = (track.carrierCode || '').toLowerCase()
+  const title = (track.title || '').toLowerCase()
+
+  if (code && customCarriers[code]) {
+    return { name: track.title || track.carrierCode, url: customCarriers[code] }
+  }
+  if (code && CARRIERS[code]) {
+    return CARRIERS[code]
+  }
+
+  if (title) {
+    const customCode = Object.keys(customCarriers).find(key => titleNames(title, key))
+    if (customCode) {
+      return { name: track.title, url: customCarriers[customCode] }
+    }
+    const builtIn = Object.values(CARRIERS).find(carrier => carrier.aliases.some(alias => titleNames(title, alias)))
+    if (builtIn) {
+      return builtIn
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build the tracking URL for a track
+ * @param {object} track - Track from extractTracks
+ * @param {object} [customCarriers] - URL patterns from parseCarrierUrls
+ * @returns {string|null} Tracking URL or null for unknown carriers
+ */
+function buildTrackingUrl (track, customCarriers = {}) {
+  const carrier = findCarrier(track, customCarriers)
+  if (!carrier) {
+    return null
+  }
+  return interpolate(carrier.url, { trackingNumber: encodeURIComponent(track.trackingNumber) })
+}
+
+/**
+ * Resolve all tracks of a shipment with carrier name and tracking URL
+ * @param {object} shipmentData - Shipment data object
+ * @param {object} [customCarriers] - URL patterns from parseCarrierUrls
+ * @returns {Array<object>} Tracks with trackingNumber, carrier and trackingUrl
+ */
+function resolveTracks (shipmentData, customCarriers = {}) {
+  return extractTracks(shipmentData).map(track => {
+    const carrier = findCarrier(track, customCarriers)
+    return {
+      trackingNumber: track.trackingNumber,
+      carrier: carrier?.name || track.title || track.carrierCode || null,
+      trackingUrl: buildTrackingUrl(track, customCarriers)
+    }
+  })
+}
+
+module.exports = {
+  parseCarrierUrls,
+  buildTrackingUrl,
+  resolveTracks,
+  CARRIERS
+}
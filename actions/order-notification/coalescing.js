@@ -0,0 +1,124 @@
+/**
+ * Coalescing Module
+ * Merges bursts of events of the same order into a single message
+ *
+ * A checkout typically fires sales_order_place_after followed by several
+ * sales_order_save_after events within seconds. With COALESCE_WINDOW_SECONDS set,
+ * each event of COALESCE_EVENTS registers itself for its order and phone number,
+ * then waits for the window: if a newer event arrived meanwhile, it leaves the
+ * message to that event. The last event of the burst sends one message, rendered
+ * from its own (latest) order data.
+ */
+
+const crypto = require('crypto')
+const { toStateKey } = require('./stateStore')
+const { normalizeEventType } = require('./eventRegistry')
+const { sleep } = require('./retryPolicy')
+
+/**
+ * Event types coalesced when COALESCE_EVENTS is not set
+ */
+const DEFAULT_COALESCE_EVENTS = ['sales_order_place_after', 'sales_order_save_after']
+
+/**
+ * Longest coalescing window, so waiting events stay well within the action timeout
+ */
+const MAX_COALESCE_WINDOW_SECONDS = 30
+
+/**
+ * Event types of a checkout burst: the order confirmation matters more than
+ * the status changes that follow it
+ */
+const ORDER_PLACED_EVENT = normalizeEventType('sales_order_place_after')
+const ORDER_SAVED_EVENT = normalizeEventType('sales_order_save_after')
+
+/**
+ * Read the coalescing window from action parameters
+ * @param {object} params - Action parameters
+ * @returns {number} Window in milliseconds, 0 when coalescing is disabled
+ */
+function getCoalescingWindow (params) {
+  const seconds = parseFloat(params.COALESCE_WINDOW_SECONDS)
+  if (!(seconds > 0)) {
+    return 0
+  }
+  return Math.round(Math.min(seconds, MAX_COALESCE_WINDOW_SECONDS) * 1000)
+}
+
+/**
+ * Parse the event types merged by coalescing
+ * @param {string|Array<string>} config - COALESCE_EVENTS input, comma-separated (prefix optional)
+ * @returns {Array<string>} Full event types
+ */
+function parseCoalesceEvents (config) {
+  const entries = (Array.isArray(config) ? config : String(config || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean)
+  return (entries.length > 0 ? entries : DEFAULT_COALESCE_EVENTS).map(normalizeEventType)
+}
+
+/**
+ * Build the state key of an order's burst
+ * @param {string} orderNumber - Order increment id
+ * @param {string} phone - Recipient phone number
+ * @returns {string} State key
+ */
+function burstKey (orderNumber, phone) {
+  return toStateKey('coalesce', orderNumber, phone)
+}
+
+/**
+ * Register an event in its order's burst and wait for the window to pass
+ * @param {object} store - State store instance
+ * @param {object} event - Object with orderNumber, phone, eventType and eventId
+ * @param {number} windowMs - Coalescing window in milliseconds
+ * @returns {Promise<object>} Object with latest (true if this event sends the message), the number
+ *   of events and eventTypes of the burst, and the id of the event it was coalesced into
+ */
+async function coalesceEvent (store, event, windowMs) {
+  const key = burstKey(event.orderNumber, event.phone)
+  const token = event.eventId || crypto.randomUUID()
+  const ttl = Math.ceil(windowMs / 1000) * 2 + 60
+
+  // A burst keeps going as long as its events arrive within the window of each other
+  const burst = await store.get(key)
+  const ongoing = burst && Date.now() - burst.updatedAt <= windowMs
+  const registered = {
+    token,
+    count: (ongoing ? burst.count : 0) + 1,
+    eventTypes: [...new Set([...(ongoing ? burst.eventTypes : []), event.eventType])],
+    updatedAt: Date.now()
+  }
+  await store.put(key, registered, { ttl })
+
+  await sleep(windowMs)
+
+  const current = await store.get(key) || registered
+  return {
+    latest: current.token === token,
+    count: current.count,
+    eventTypes: current.eventTypes,
+    coalescedInto: current.token === token ? null : current.token
+  }
+}
+
+/**
+ * Choose the event type whose message is sent for a burst
+ * An order placement followed by order saves keeps the order confirmation, rendered
+ * with the latest order data; other bursts send the latest event's message
+ * @param {string} eventType - Event type of the latest event
+ * @param {Array<string>} eventTypes - Event types of the burst
+ * @returns {string} Event type to render
+ */
+function getCoalescedEventType (eventType, eventTypes) {
+  return eventType === ORDER_SAVED_EVENT && eventTypes.includes(ORDER_PLACED_EVENT) ? ORDER_PLACED_EVENT : eventType
+}
+
+module.exports = {
+  coalesceEvent,
+  getCoalescingWindow,
+  parseCoalesceEvents,
+  getCoalescedEventType,
+  DEFAULT_COALESCE_EVENTS,
+  MAX_COALESCE_WINDOW_SECONDS
+}
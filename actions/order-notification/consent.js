@@ -0,0 +1,236 @@
+/**
+ * Consent Module
+ * Enforces WhatsApp opt-in and keeps the suppression list of opted-out numbers
+ *
+ * A number may be messaged when it is not on the suppression list and the
+ * customer opted in, either through the order's consent attribute (CONSENT_ATTRIBUTE)
+ * or an opt-in recorded in the consent store (e.g. a START reply).
+ * Setting CONSENT_REQUIRED to false only enforces the suppression list.
+ *
+ * Adobe I/O State keeps records for 365 days at most, so opt-outs are re-put whenever
+ * checkConsent sees them and by a daily sweep of notification-flush: a number that
+ * replied STOP must stay suppressed for good.
+ */
+
+const { toStateKey, MAX_TTL_SECONDS } = require('./stateStore')
+const { getCustomerAttribute } = require('./recipientSelector')
+const { normalizePhoneNumber } = require('./phoneUtils')
+
+/**
+ * Default order/customer attribute holding the WhatsApp opt-in
+ */
+const DEFAULT_CONSENT_ATTRIBUTE = 'whatsapp_opt_in'
+
+/**
+ * Retention of consent records, the longest Adobe I/O State allows (365 days)
+ */
+const CONSENT_TTL_SECONDS = MAX_TTL_SECONDS
+
+/**
+ * Opt-outs older than this (30 days) are re-put by the daily sweep
+ */
+const OPT_OUT_REFRESH_SECONDS = 60 * 60 * 24 * 30
+
+/**
+ * State key prefix of consent records
+ */
+const CONSENT_KEY_PREFIX = 'consent.'
+
+/**
+ * State key marking the last sweep of the suppression list, which runs once a day
+ */
+const SWEEP_KEY = toStateKey('consentsweep', 'last')
+const SWEEP_INTERVAL_SECONDS = 60 * 60 * 24
+
+/**
+ * Reply keywords that opt a number out of, or back into, notifications
+ */
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT']
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE']
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'y', 'opted_in', 'subscribed']
+const FALSE_VALUES = ['0', 'false', 'no', 'n', 'opted_out', 'unsubscribed']
+
+/**
+ * Build the consent store key of a phone number
+ * @param {string} phone - Phone number in E.164 format
+ * @returns {string} State key
+ */
+function consentKey (phone) {
+  return toStateKey('consent', phone)
+}
+
+/**
+ * Get the recorded consent of a phone number
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @returns {Promise<object|null>} Record with status ('opted_in' or 'opted_out'), source and updatedAt
+ */
+async function getConsent (store, phone) {
+  return await store.get(consentKey(phone)) || null
+}
+
+/**
+ * Record the consent of a phone number
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @param {string} status - 'opted_in' or 'opted_out'
+ * @param {string} source - Where the consent came from (e.g. 'stop_reply')
+ * @returns {Promise<void>}
+ */
+async function recordConsent (store, phone, status, source) {
+  await store.put(
+    consentKey(phone),
+    { status, source, updatedAt: new Date().toISOString() },
+    { ttl: CONSENT_TTL_SECONDS }
+  )
+}
+
+/**
+ * Re-put an opt-out so it starts a new retention period
+ * @param {object} store - State store instance
+ * @param {string} key - State key of the consent record
+ * @param {object} record - Opt-out record
+ * @returns {Promise<void>}
+ */
+async function refreshOptOut (store, key, record) {
+  await store.put(key, { ...record, refreshedAt: new Date().toISOString() }, { ttl: CONSENT_TTL_SECONDS })
+}
+
+/**
+ * Add a phone number to the suppression list
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @param {string} [source] - Where the opt-out came from
+ * @returns {Promise<void>}
+ */
+async function recordOptOut (store, phone, source = 'stop_reply') {
+  await recordConsent(store, phone, 'opted_out', source)
+}
+
+/**
+ * Record an opt-in, removing the phone number from the suppression list
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @param {string} [source] - Where the opt-in came from
+ * @returns {Promise<void>}
+ */
+async function recordOptIn (store, phone, source = 'start_reply') {
+  await recordConsent(store, phone, 'opted_in', source)
+}
+
+/**
+ * Read the opt-in attribute of an order
+ * @param {object} orderData - Order data object
+ * @param {string} attribute - Attribute code
+ * @returns {boolean|null} True or false when set, null when the order does not say
+ */
+function readConsentAttribute (orderData, attribute) {
+  const value = getCustomerAttribute(orderData, attribute)
+  if (value === null) {
+    return null
+  }
+
+  const text = String(value).trim().toLowerCase()
+  if (TRUE_VALUES.includes(text)) {
+    return true
+  }
+  if (FALSE_VALUES.includes(text)) {
+    return false
+  }
+  return null
+}
+
+/**
+ * Check whether a customer may be messaged on WhatsApp
+ * A recorded opt-out (suppression list) always wins over an order opt-in
+ * @param {object} store - State store instance
+ * @param {object} orderData - Order data object
+ * @param {string} phone - Recipient phone number in E.164 format
+ * @param {object} params - Action parameters
+ * @returns {Promise<object>} Object with allowed and the consent source
+ */
+async function checkConsent (store, orderData, phone, params) {
+  const record = await getConsent(store, phone)
+  if (record?.status === 'opted_out') {
+    await refreshOptOut(store, consentKey(phone), record)
+    return { allowed: false, source: 'suppression_list' }
+  }
+
+  const attributeConsent = readConsentAttribute(orderData, params.CONSENT_ATTRIBUTE || DEFAULT_CONSENT_ATTRIBUTE)
+  if (attributeConsent !== null) {
+    return { allowed: attributeConsent, source: 'attribute' }
+  }
+
+  if (record?.status === 'opted_in') {
+    return { allowed: true, source: 'consent_store' }
+  }
+
+  if (String(params.CONSENT_REQUIRED) === 'false') {
+    return { allowed: true, source: 'not_required' }
+  }
+  return { allowed: false, source: null }
+}
+
+/**
+ * Record STOP and START replies of a customer
+ * @param {object} store - State store instance
+ * @param {string} from - Sender of the reply (e.g. 'whatsapp:+447911123456')
+ * @param {string} body - Reply text
+ * @returns {Promise<object>} Object with action ('opted_out', 'opted_in' or null) and phone
+ */
+async function handleConsentReply (store, from, body) {
+  const phone = normalizePhoneNumber(from).e164
+  const keyword = String(body || '').trim().toUpperCase()
+
+  if (!phone) {
+    return { action: null, phone: null }
+  }
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    await recordOptOut(store, phone)
+    return { action: 'opted_out', phone }
+  }
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    await recordOptIn(store, phone)
+    return { action: 'opted_in', phone }
+  }
+  return { action: null, phone }
+}
+
+/**
+ * Re-put the opt-outs not refreshed for OPT_OUT_REFRESH_SECONDS, at most once a day,
+ * so numbers that receive no notification never drop off the suppression list
+ * @param {object} store - State store instance
+ * @returns {Promise<number|null>} Number of opt-outs refreshed, or null if the sweep already ran today
+ */
+async function refreshSuppressionList (store) {
+  if (await store.get(SWEEP_KEY)) {
+    return null
+  }
+  await store.put(SWEEP_KEY, { sweptAt: new Date().toISOString() }, { ttl: SWEEP_INTERVAL_SECONDS })
+
+  const staleBefore = Date.now() - OPT_OUT_REFRESH_SECONDS * 1000
+  let refreshed = 0
+  for (const key of await store.list(CONSENT_KEY_PREFIX)) {
+    const record = await store.get(key)
+    // Records without a readable date are refreshed too
+    if (record?.status === 'opted_out' && !(Date.parse(record.refreshedAt || record.updatedAt) > staleBefore)) {
+      await refreshOptOut(store, key, record)
+      refreshed++
+    }
+  }
+  return refreshed
+}
+
+module.exports = {
+  checkConsent,
+  refreshSuppressionList,
+  getConsent,
+  recordOptOut,
+  recordOptIn,
+  readConsentAttribute,
+  handleConsentReply,
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  DEFAULT_CONSENT_ATTRIBUTE
+}
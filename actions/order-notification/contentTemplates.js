@@ -0,0 +1,111 @@
+/**
+ * Content Templates Module
+ * Maps order events to approved WhatsApp templates of the messaging provider
+ *
+ * TWILIO_CONTENT_TEMPLATES (Twilio Content API) is a JSON object keyed by event type
+ * (the `com.adobe.commerce.observer.` prefix may be omitted):
+ *
+ *   {
+ *     "sales_order_place_after": {
+ *       "contentSid": "HX...",
+ *       "variables": ["customerName", "orderNumber", "orderTotal", "orderCurrency"]
+ *     }
+ *   }
+ *
+ * `variables` is either an array (mapped to {{1}}, {{2}}, ...) or an object
+ * mapping template placeholders to message values (e.g. { "1": "customerName" }).
+ *
+ * META_CONTENT_TEMPLATES (Meta Cloud API) has the same shape, with the template
+ * `name` and `language` (e.g. "en_US") instead of `contentSid`.
+ */
+
+const { parseJsonInput } = require('../utils')
+const { normalizeEventType } = require('./eventRegistry')
+const { getMessagingProvider, DEFAULT_PROVIDER } = require('./messagingProviders')
+
+/**
+ * Parse the configured content templates
+ * @param {string|object} config - Templates input of the provider (e.g. TWILIO_CONTENT_TEMPLATES)
+ * @param {object} [provider] - Messaging provider, Twilio by default
+ * @returns {object|null} Templates keyed by full event type, or null if not configured
+ * @throws {Error} If the configuration is not valid JSON or a template misses a field of the provider
+ */
+function parseContentTemplates (config, provider = getMessagingProvider({ MESSAGING_PROVIDER: DEFAULT_PROVIDER })) {
+  const templates = parseJsonInput(config, provider.templatesInput)
+  if (!templates) {
+    return null
+  }
+
+  const parsed = {}
+  for (const [eventType, template] of Object.entries(templates)) {
+    const missingField = provider.templateFields.find(field => !template?.[field])
+    if (missingField) {
+      throw new Error(`Content template for ${eventType} is missing ${missingField}`)
+    }
+    parsed[normalizeEventType(eventType)] = template
+  }
+  return parsed
+}
+
+/**
+ * Build Twilio content variables from message values
+ * @param {Array<string>|object} variables - Template variable mapping
+ * @param {object} values - Message values (customerName, orderNumber, ...)
+ * @returns {object} Content variables keyed by template placeholder
+ */
+function buildContentVariables (variables, values) {
+  const mapping = Array.isArray(variables)
+    ? Object.fromEntries(variables.map((field, index) => [String(index + 1), field]))
+    : variables || {}
+
+  const contentVariables = {}
+  for (const [placeholder, field] of Object.entries(mapping)) {
+    const value = values[field]
+    contentVariables[placeholder] = value === undefined || value === null ? '' : String(value)
+  }
+  return contentVariables
+}
+
+/**
+ * Resolve the content to send for an event
+ * Uses the event's approved template when configured, otherwise the free-form
+ * message - but only if no templates are configured or ALLOW_FREEFORM_FALLBACK is set
+ * @param {string} eventType - Event type
+ * @param {string} freeformMessage - Generated free-form message text
+ * @param {object} values - Message values for template variables
+ * @param {object} params - Action parameters
+ * @returns {object} Object with content (string or the provider's template content) or error
+ */
+function resolveMessageContent (eventType, freeformMessage, values, params) {
+  let provider
+  let templates
+  try {
+    provider = getMessagingProvider(params)
+    templates = parseContentTemplates(params[provider.templatesInput], provider)
+  } catch (error) {
+    return { error: error.message }
+  }
+
+  if (!templates) {
+    return { content: freeformMessage }
+  }
+
+  const template = templates[eventType]
+  if (template) {
+    return {
+      content: provider.buildTemplateContent(template, buildContentVariables(template.variables, values))
+    }
+  }
+
+  if (String(params.ALLOW_FREEFORM_FALLBACK) === 'true') {
+    return { content: freeformMessage }
+  }
+
+  return { error: `No WhatsApp content template configured for event type: ${eventType}` }
+}
+
+module.exports = {
+  parseContentTemplates,
+  buildContentVariables,
+  resolveMessageContent
+}
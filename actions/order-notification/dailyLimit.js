@@ -0,0 +1,75 @@
+/**
+ * Daily Limit Module
+ * Caps the number of notifications a phone number receives per day
+ *
+ * With MAX_MESSAGES_PER_PHONE_PER_DAY set, customer notifications are counted per
+ * phone number and UTC day, and notifications over the cap are not sent.
+ */
+
+const { toStateKey } = require('./stateStore')
+
+/**
+ * Retention of daily counters (2 days), so counters outlive their day in every timezone
+ */
+const DAILY_COUNT_TTL_SECONDS = 60 * 60 * 24 * 2
+
+/**
+ * Read the daily cap from action parameters
+ * @param {object} params - Action parameters
+ * @returns {number|null} Maximum messages per phone number per day, or null when uncapped
+ */
+function getDailyLimit (params) {
+  const limit = parseInt(params.MAX_MESSAGES_PER_PHONE_PER_DAY, 10)
+  return limit > 0 ? limit : null
+}
+
+/**
+ * Build the state key of a phone number's counter for a day
+ * @param {string} phone - Phone number in E.164 format
+ * @param {Date} now - Current time
+ * @returns {string} State key
+ */
+function dailyCountKey (phone, now) {
+  return toStateKey('dailycount', phone, now.toISOString().slice(0, 10))
+}
+
+/**
+ * Check whether a phone number may receive another message today
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @param {object} params - Action parameters
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} Object with allowed flag, count of messages sent today and limit
+ */
+async function checkDailyLimit (store, phone, params, now = new Date()) {
+  const limit = getDailyLimit(params)
+  if (!limit) {
+    return { allowed: true, count: null, limit: null }
+  }
+  const record = await store.get(dailyCountKey(phone, now))
+  const count = record?.count || 0
+  return { allowed: count < limit, count, limit }
+}
+
+/**
+ * Count a message sent to a phone number
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @param {object} params - Action parameters
+ * @param {Date} [now] - Current time
+ * @returns {Promise<void>}
+ */
+async function recordDailyMessage (store, phone, params, now = new Date()) {
+  if (!getDailyLimit(params)) {
+    return
+  }
+  const key = dailyCountKey(phone, now)
+  const record = await store.get(key)
+  await store.put(key, { count: (record?.count || 0) + 1 }, { ttl: DAILY_COUNT_TTL_SECONDS })
+}
+
+module.exports = {
+  checkDailyLimit,
+  recordDailyMessage,
+  getDailyLimit
+}
@@ -0,0 +1,109 @@
+/**
+ * Dead Letter Module
+ * Persists notifications that could not be delivered so they can be replayed later
+ *
+ * A dead letter keeps the original event (without any action inputs or secrets),
+ * the order, the last error and the number of attempts made.
+ */
+
+const crypto = require('crypto')
+const { toStateKey } = require('./stateStore')
+const { snapshotEvent } = require('./eventArchive')
+
+/**
+ * Retention of dead letters (30 days)
+ */
+const DEAD_LETTER_TTL_SECONDS = 60 * 60 * 24 * 30
+
+/**
+ * Maximum number of dead letters listed, the most recent ones
+ */
+const MAX_DEAD_LETTERS = 500
+
+/**
+ * State key prefix of dead letters
+ */
+const KEY_PREFIX = 'deadletter.'
+
+/**
+ * Dead letter keys: deadletter.<uuid>
+ */
+const KEY_PATTERN = /^deadletter\.[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+/**
+ * Build the state key of a dead letter
+ * @param {string} id - Dead letter ID
+ * @returns {string} State key
+ */
+function deadLetterKey (id) {
+  return toStateKey('deadletter', id)
+}
+
+/**
+ * Persist a notification that could not be delivered
+ * @param {object} store - State store instance
+ * @param {object} params - Action parameters of the failed event
+ * @param {object} failure - Object with eventType, orderNumber, to and the failed send result
+ * @returns {Promise<object>} Dead letter record
+ */
+async function recordDeadLetter (store, params, failure) {
+  const { eventType, orderNumber, to, result } = failure
+  const id = crypto.randomUUID()
+  const record = {
+    id,
+    eventType,
+    orderNumber,
+    to: to || null,
+    error: result.error,
+    errorCode: result.errorCode || null,
+    retryable: Boolean(result.retryable),
+    attempts: result.attempts || 0,
+    event: snapshotEvent(params),
+    failedAt: new Date().toISOString()
+  }
+
+  await store.put(deadLetterKey(id), record, { ttl: DEAD_LETTER_TTL_SECONDS })
+  return record
+}
+
+/**
+ * Get a dead letter
+ * @param {object} store - State store instance
+ * @param {string} id - Dead letter ID
+ * @returns {Promise<object|null>} Dead letter record or null if unknown
+ */
+async function getDeadLetter (store, id) {
+  return await store.get(deadLetterKey(id)) || null
+}
+
+/**
+ * List the stored dead letters
+ * @param {object} store - State store instance
+ * @returns {Promise<Array<object>>} Dead letter records, oldest first
+ */
+async function listDeadLetters (store) {
+  const keys = (await store.list(KEY_PREFIX)).filter(key => KEY_PATTERN.test(key))
+  const records = await Promise.all(keys.map(key => store.get(key)))
+  return records
+    .filter(Boolean)
+    .sort((a, b) => a.failedAt.localeCompare(b.failedAt))
+    .slice(-MAX_DEAD_LETTERS)
+}
+
+/**
+ * Remove a dead letter (e.g. once it has been replayed)
+ * @param {object} store - State store instance
+ * @param {string} id - Dead letter ID
+ * @returns {Promise<void>}
+ */
+async function removeDeadLetter (store, id) {
+  await store.delete(deadLetterKey(id))
+}
+
+module.exports = {
+  recordDeadLetter,
+  getDeadLetter,
+  listDeadLetters,
+  removeDeadLetter,
+  DEAD_LETTER_TTL_SECONDS
+}
@@ -0,0 +1,54 @@
+/**
+ * Deduplication Module
+ * Records processed CloudEvent ids so retried deliveries don't message customers twice
+ */
+
+const { toStateKey } = require('./stateStore')
+
+/**
+ * Default retention for processed event records (7 days)
+ */
+const DEFAULT_DEDUP_TTL_SECONDS = 60 * 60 * 24 * 7
+
+/**
+ * Get the unique id of the delivered event
+ * Adobe I/O Events sends `event_id` in the payload and `id` as the CloudEvent id
+ * @param {object} params - Event parameters
+ * @returns {string|null} Event id or null if not present
+ */
+function getEventId (params) {
+  return params.event_id || params.id || null
+}
+
+/**
+ * Look up a previously processed event
+ * @param {object} store - State store instance
+ * @param {string} eventId - Event id
+ * @returns {Promise<object|undefined>} Processed event record or undefined if not seen
+ */
+async function findProcessedEvent (store, eventId) {
+  return store.get(toStateKey('event', eventId))
+}
+
+/**
+ * Record an event as processed
+ * @param {object} store - State store instance
+ * @param {string} eventId - Event id
+ * @param {object} record - Details to keep (order number, message SID, ...)
+ * @param {number} [ttl] - Retention in seconds
+ * @returns {Promise<void>}
+ */
+async function markEventProcessed (store, eventId, record, ttl = DEFAULT_DEDUP_TTL_SECONDS) {
+  await store.put(
+    toStateKey('event', eventId),
+    { ...record, processedAt: new Date().toISOString() },
+    { ttl }
+  )
+}
+
+module.exports = {
+  getEventId,
+  findProcessedEvent,
+  markEventProcessed,
+  DEFAULT_DEDUP_TTL_SECONDS
+}
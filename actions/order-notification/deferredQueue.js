@@ -0,0 +1,130 @@
+/**
+ * Deferred Queue Module
+ * Persists notifications held back by quiet hours until the notification-flush
+ * action sends them
+ *
+ * A queued notification keeps the rendered message and content, the recipient and
+ * the original event (without any action inputs or secrets), so it is sent as it
+ * would have been when the event arrived.
+ */
+
+const crypto = require('crypto')
+const { toStateKey } = require('./stateStore')
+const { snapshotEvent } = require('./eventArchive')
+
+/**
+ * Retention of queued notifications (7 days), long enough to survive a stopped flush schedule
+ */
+const DEFERRED_TTL_SECONDS = 60 * 60 * 24 * 7
+
+/**
+ * State key prefix of queued notifications
+ */
+const KEY_PREFIX = 'deferred.'
+
+/**
+ * Queued notification keys: deferred.<deliverAt in epoch ms>.<id>, so due
+ * notifications are found from their keys alone
+ */
+const KEY_PATTERN = /^deferred\.(\d+)\.[a-zA-Z0-9-_]+$/
+
+/**
+ * Build the state key of a queued notification
+ * @param {string} id - Queued notification ID
+ * @param {string|Date} deliverAt - Time the notification is due
+ * @returns {string} State key
+ */
+function deferredKey (id, deliverAt) {
+  return toStateKey('deferred', new Date(deliverAt).getTime(), id)
+}
+
+/**
+ * List the keys of the queued notifications
+ * @param {object} store - State store instance
+ * @returns {Promise<Array<object>>} Objects with key and deliverAt (epoch ms), earliest due first
+ */
+async function listQueuedKeys (store) {
+  const keys = await store.list(KEY_PREFIX)
+  return keys
+    .map(key => key.match(KEY_PATTERN))
+    .filter(Boolean)
+    .map(([key, deliverAt]) => ({ key, deliverAt: Number(deliverAt) }))
+    .sort((a, b) => a.deliverAt - b.deliverAt)
+}
+
+/**
+ * Queue a notification until it is due
+ * @param {object} store - State store instance
+ * @param {object} params - Action parameters of the event
+ * @param {object} entry - Object with eventType, orderNumber, customerName, to, locale,
+ *   notification ({ message, content, contentError }), deliverAt and timeZone
+ * @returns {Promise<object>} Queued notification record
+ */
+async function enqueueNotification (store, params, entry) {
+  const id = crypto.randomUUID()
+  const record = {
+    id,
+    eventType: entry.eventType,
+    orderNumber: entry.orderNumber,
+    customerName: entry.customerName || null,
+    to: entry.to,
+    locale: entry.locale,
+    notification: entry.notification,
+    deliverAt: entry.deliverAt.toISOString(),
+    timeZone: entry.timeZone,
+    event: snapshotEvent(params),
+    queuedAt: new Date().toISOString()
+  }
+
+  await store.put(deferredKey(id, record.deliverAt), record, { ttl: DEFERRED_TTL_SECONDS })
+  return record
+}
+
+/**
+ * Read the queued notifications of some keys
+ * @param {object} store - State store instance
+ * @param {Array<object>} keys - Keys from listQueuedKeys
+ * @returns {Promise<Array<object>>} Queued notification records, in the order of the keys
+ */
+async function readQueuedNotifications (store, keys) {
+  const records = await Promise.all(keys.map(({ key }) => store.get(key)))
+  return records.filter(Boolean)
+}
+
+/**
+ * List the queued notifications
+ * @param {object} store - State store instance
+ * @returns {Promise<Array<object>>} Queued notification records, earliest due first
+ */
+async function listQueuedNotifications (store) {
+  return readQueuedNotifications(store, await listQueuedKeys(store))
+}
+
+/**
+ * List the queued notifications that are due
+ * @param {object} store - State store instance
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<object>>} Due notification records, earliest due first
+ */
+async function listDueNotifications (store, now) {
+  const keys = await listQueuedKeys(store)
+  return readQueuedNotifications(store, keys.filter(({ deliverAt }) => deliverAt <= now.getTime()))
+}
+
+/**
+ * Remove a queued notification (once sent or given up)
+ * @param {object} store - State store instance
+ * @param {object} record - Queued notification record
+ * @returns {Promise<void>}
+ */
+async function removeQueuedNotification (store, record) {
+  await store.delete(deferredKey(record.id, record.deliverAt))
+}
+
+module.exports = {
+  enqueueNotification,
+  listQueuedNotifications,
+  listDueNotifications,
+  removeQueuedNotification,
+  DEFERRED_TTL_SECONDS
+}
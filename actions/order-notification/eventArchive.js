@@ -0,0 +1,75 @@
+/**
+ * Event Archive Module
+ * Keeps the last event notified per order and event type, so its message can be
+ * regenerated later (e.g. resent to a corrected phone number)
+ *
+ * Only the CloudEvent fields are kept, never the action inputs or their secrets.
+ */
+
+const { toStateKey } = require('./stateStore')
+
+/**
+ * Retention of archived events (90 days)
+ */
+const EVENT_ARCHIVE_TTL_SECONDS = 60 * 60 * 24 * 90
+
+/**
+ * Event fields kept in a snapshot, enough to process the event again
+ */
+const EVENT_FIELDS = ['specversion', 'type', 'source', 'id', 'event_id', 'time', 'datacontenttype', 'data']
+
+/**
+ * Build the state key of an archived event
+ * @param {string} orderNumber - Order number
+ * @param {string} eventType - Full event type
+ * @returns {string} State key
+ */
+function archiveKey (orderNumber, eventType) {
+  return toStateKey('order', orderNumber, 'event', eventType)
+}
+
+/**
+ * Copy the event fields of the action parameters
+ * @param {object} params - Action parameters
+ * @returns {object} Event snapshot
+ */
+function snapshotEvent (params) {
+  return Object.fromEntries(
+    EVENT_FIELDS.filter(field => params[field] !== undefined).map(field => [field, params[field]])
+  )
+}
+
+/**
+ * Archive the event a notification was sent for
+ * @param {object} store - State store instance
+ * @param {string} orderNumber - Order number
+ * @param {string} eventType - Full event type
+ * @param {object} params - Action parameters of the event
+ * @returns {Promise<void>}
+ */
+async function archiveEvent (store, orderNumber, eventType, params) {
+  await store.put(
+    archiveKey(orderNumber, eventType),
+    { event: snapshotEvent(params), archivedAt: new Date().toISOString() },
+    { ttl: EVENT_ARCHIVE_TTL_SECONDS }
+  )
+}
+
+/**
+ * Get the last archived event of an order and event type
+ * @param {object} store - State store instance
+ * @param {string} orderNumber - Order number
+ * @param {string} eventType - Full event type
+ * @returns {Promise<object|null>} Event snapshot or null if none is archived
+ */
+async function getArchivedEvent (store, orderNumber, eventType) {
+  const record = await store.get(archiveKey(orderNumber, eventType))
+  return record?.event || null
+}
+
+module.exports = {
+  snapshotEvent,
+  archiveEvent,
+  getArchivedEvent,
+  EVENT_ARCHIVE_TTL_SECONDS
+}
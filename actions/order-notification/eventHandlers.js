@@ -0,0 +1,125 @@
+/**
+ * Event Handlers Module
+ * Registers the handler of each supported Commerce event type
+ *
+ * To support a new event, register its extractor and message builder here (and
+ * subscribe to it in app.config.yaml); validation and the action flow pick it up
+ * from the registry.
+ */
+
+const { registerEventHandler, getEventHandler, getRegisteredEventTypes } = require('./eventRegistry')
+const { extractOrderEventData, extractEntityEventData, extractInvoiceAmount, extractRefundAmount } = require('./orderDataExtractor')
+const { evaluateStatusChange, recordOrderStatus } = require('./statusTracker')
+const { resolveTracks } = require('./carrierTracking')
+const {
+  generateOrderPlacedMessage,
+  generateOrderStatusChangeMessage,
+  generateShipmentMessage,
+  generateCancellationMessage,
+  generatePaymentReceivedMessage,
+  generateRefundMessage,
+  generateOrderHoldMessage,
+  generateOrderUnholdMessage
+} = require('./messageGenerator')
+
+/**
+ * Commerce status (and state) of orders on hold
+ */
+const HOLD_STATUS = 'holded'
+
+/**
+ * Check whether an order is on hold
+ * @param {object} orderData - Order data object
+ * @returns {boolean} True if the order status or state is on hold
+ */
+function isOrderOnHold (orderData) {
+  return [orderData.status, orderData.state].some(value => String(value || '').toLowerCase() === HOLD_STATUS)
+}
+
+/**
+ * Build the order confirmation message
+ * @param {object} context - Message context
+ * @returns {string} Generated message
+ */
+function buildOrderPlacedMessage ({ orderData, customerName, orderNumber, locale }) {
+  return generateOrderPlacedMessage(
+    customerName,
+    orderNumber,
+    orderData.grand_total,
+    orderData.order_currency_code,
+    orderData.created_at,
+    locale
+  )
+}
+
+registerEventHandler('sales_order_place_after', {
+  extract: extractOrderEventData,
+  buildMessage: buildOrderPlacedMessage,
+  includeOrderSummary: true
+})
+
+registerEventHandler('sales_order_save_after', {
+  extract: extractOrderEventData,
+
+  // Order saves fire for every admin edit - only notify real status transitions
+  async shouldNotify ({ stateStore, orderNumber, orderStatus, params }) {
+    const statusChange = await evaluateStatusChange(stateStore, orderNumber, orderStatus, params.NOTIFY_STATUS_TRANSITIONS)
+    if (statusChange.reason === 'transition_not_allowed') {
+      await recordOrderStatus(stateStore, orderNumber, orderStatus)
+    }
+    return statusChange
+  },
+
+  buildMessage (context) {
+    const { orderData, customerName, orderNumber, locale } = context
+    const orderStatus = orderData.status || orderData.state
+    const previousStatus = (context.previousStatus || '').toLowerCase()
+
+    // Commerce has no dedicated hold/unhold event, holds show up as order saves
+    if (isOrderOnHold(orderData)) {
+      return generateOrderHoldMessage(customerName, orderNumber, locale)
+    } else if (previousStatus === HOLD_STATUS && orderStatus) {
+      return generateOrderUnholdMessage(customerName, orderNumber, locale)
+    } else if (orderStatus) {
+      return generateOrderStatusChangeMessage(customerName, orderNumber, orderStatus, locale)
+    }
+    return buildOrderPlacedMessage(context)
+  }
+})
+
+registerEventHandler('sales_order_shipment_save_after', {
+  extract: (params, logger) => extractEntityEventData(params, 'shipment', logger),
+  buildMessage ({ shipmentData, customerName, orderNumber, carrierUrls, locale }) {
+    const tracks = resolveTracks(shipmentData, carrierUrls)
+    return generateShipmentMessage(customerName, orderNumber, tracks, shipmentData?.created_at, locale)
+  }
+})
+
+registerEventHandler('sales_order_cancel_after', {
+  extract: extractOrderEventData,
+  buildMessage: ({ customerName, orderNumber, locale }) => generateCancellationMessage(customerName, orderNumber, locale)
+})
+
+registerEventHandler('sales_order_invoice_save_after', {
+  extract: (params, logger) => extractEntityEventData(params, 'invoice', logger),
+  buildMessage ({ invoiceData, orderData, customerName, orderNumber, locale }) {
+    const { amount, currency } = extractInvoiceAmount(invoiceData, orderData)
+    return generatePaymentReceivedMessage(customerName, orderNumber, amount, currency, locale)
+  }
+})
+
+registerEventHandler('sales_order_creditmemo_save_after', {
+  extract: (params, logger) => extractEntityEventData(params, 'creditmemo', logger),
+  buildMessage ({ creditmemoData, orderData, customerName, orderNumber, locale }) {
+    const { amount, currency } = extractRefundAmount(creditmemoData, orderData)
+    return generateRefundMessage(customerName, orderNumber, amount, currency, locale)
+  }
+})
+
+module.exports = {
+  getEventHandler,
+  getRegisteredEventTypes,
+  registerEventHandler,
+  isOrderOnHold,
+  HOLD_STATUS
+}
@@ -0,0 +1,67 @@
+/**
+ * Event Registry Module
+ * Keeps the handler registered for each supported event type
+ *
+ * A handler describes everything needed to notify an event in one place:
+ *   - extract (params, logger): returns { orderData, shipmentData, invoiceData, creditmemoData }
+ *     or { error } when the payload is incomplete
+ *   - shouldNotify (context): optional async check deciding whether the event is worth
+ *     a message, returns { notify, reason, previousStatus }
+ *   - buildMessage (context): returns the free-form message text
+ */
+
+/**
+ * Prefix shared by all Commerce observer event types
+ */
+const EVENT_TYPE_PREFIX = 'com.adobe.commerce.observer.'
+
+const handlers = new Map()
+
+/**
+ * Expand a short event name to the full event type
+ * (e.g. 'sales_order_place_after' -> 'com.adobe.commerce.observer.sales_order_place_after')
+ * @param {string} eventType - Short or full event type
+ * @returns {string} Full event type
+ */
+function normalizeEventType (eventType) {
+  return eventType.startsWith(EVENT_TYPE_PREFIX) ? eventType : `${EVENT_TYPE_PREFIX}${eventType}`
+}
+
+/**
+ * Register the handler for an event type
+ * @param {string} eventType - Short or full event type
+ * @param {object} handler - Handler with extract, buildMessage and optional shouldNotify
+ * @throws {Error} If the handler is incomplete
+ */
+function registerEventHandler (eventType, handler) {
+  if (typeof handler?.extract !== 'function' || typeof handler?.buildMessage !== 'function') {
+    throw new Error(`Handler for ${eventType} must define extract and buildMessage`)
+  }
+  const fullEventType = normalizeEventType(eventType)
+  handlers.set(fullEventType, { ...handler, eventType: fullEventType })
+}
+
+/**
+ * Get the handler registered for an event type
+ * @param {string} eventType - Full event type
+ * @returns {object|undefined} Handler or undefined if the event type is not supported
+ */
+function getEventHandler (eventType) {
+  return handlers.get(eventType)
+}
+
+/**
+ * Get all supported event types
+ * @returns {Array<string>} Registered event types, in registration order
+ */
+function getRegisteredEventTypes () {
+  return [...handlers.keys()]
+}
+
+module.exports = {
+  registerEventHandler,
+  getEventHandler,
+  getRegisteredEventTypes,
+  normalizeEventType,
+  EVENT_TYPE_PREFIX
+}
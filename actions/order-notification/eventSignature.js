@@ -0,0 +1,194 @@
+/**
+ * Event Signature Module
+ * Authenticates events delivered by Adobe I/O Events through their digital signatures
+ *
+ * I/O Events signs the raw body of every delivery with RSA-SHA256 and sends two
+ * signatures (x-adobe-digital-signature-1/2) with the paths of the public keys that
+ * verify them (x-adobe-public-key1-path / x-adobe-public-key2-path). Two keys are
+ * used so Adobe can rotate them; a delivery is authentic when either verifies.
+ *
+ * The order-notification action is deployed with `raw-http: true` so the signed body
+ * reaches it untouched. Public keys are fetched from Adobe and cached in the state
+ * store, or read from the PEM files of EVENTS_PUBLIC_KEYS_DIR (local key fixtures).
+ */
+
+const crypto = require('crypto')
+const fs = require('fs').promises
+const path = require('path')
+const fetch = require('node-fetch')
+const { getHeader } = require('../utils')
+const { initStateStore, toStateKey } = require('./stateStore')
+const { snapshotEvent } = require('./eventArchive')
+
+/**
+ * Origin of the I/O Events public keys
+ */
+const DEFAULT_PUBLIC_KEY_ORIGIN = 'https://static.adobeioevents.com'
+
+/**
+ * How long fetched public keys are cached (24 hours, like the Adobe SDK)
+ */
+const PUBLIC_KEY_TTL_SECONDS = 60 * 60 * 24
+
+/**
+ * Public key paths look like /prod/keys/pub-key-<uuid>.pem
+ */
+const PUBLIC_KEY_PATH_PATTERN = /^\/[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*\/[A-Za-z0-9_.-]+\.pem$/
+
+// Keys already read by this container, by key path
+const publicKeyCache = new Map()
+
+/**
+ * Read the raw body of a web request
+ * I/O Runtime passes text bodies as-is and binary ones base64-encoded
+ * @param {object} params - Action parameters (with __ow_body)
+ * @returns {string|null} Raw body, or null when the request has none
+ */
+function readRawBody (params) {
+  const body = params.__ow_body
+  if (!body || typeof body !== 'string') {
+    return null
+  }
+  return /^\s*[{[]/.test(body) ? body : Buffer.from(body, 'base64').toString('utf8')
+}
+
+/**
+ * Turn a raw web request into event parameters
+ * Only the CloudEvent fields of the body (and the I/O Events challenge of the query)
+ * are added to the action parameters, so requests can never set action inputs
+ * @param {object} params - Action parameters
+ * @returns {object} Object with params (with the event fields) and rawBody, or error when the body is not JSON
+ */
+function parseEventRequest (params) {
+  const challenge = new URLSearchParams(params.__ow_query || '').get('challenge')
+  const request = { ...params, ...(challenge && { challenge }) }
+  const rawBody = readRawBody(params)
+  if (!rawBody) {
+    return { params: request, rawBody: null }
+  }
+
+  let event
+  try {
+    event = JSON.parse(rawBody)
+  } catch (error) {
+    return { error: 'Request body is not valid JSON' }
+  }
+  if (!event || typeof event !== 'object') {
+    return { error: 'Request body is not a JSON object' }
+  }
+  const eventFields = {
+    ...snapshotEvent(event),
+    ...(event.recipient_client_id && { recipient_client_id: event.recipient_client_id })
+  }
+  return { params: { ...request, ...eventFields }, rawBody }
+}
+
+/**
+ * Check whether a request must carry valid I/O Events signatures
+ * Requests through the web URL always have headers; direct invocations are
+ * authenticated by I/O Runtime with the namespace credentials
+ * @param {object} params - Action parameters
+ * @returns {boolean} True for web requests, unless EVENT_SIGNATURE_VERIFICATION is false
+ */
+function isSignatureRequired (params) {
+  if (String(params.EVENT_SIGNATURE_VERIFICATION).toLowerCase() === 'false') {
+    return false
+  }
+  return Boolean(params.__ow_headers)
+}
+
+/**
+ * Get a public key of I/O Events
+ * @param {string} keyPath - Key path from the x-adobe-public-key<n>-path header
+ * @param {object} params - Action parameters
+ * @param {object} logger - Logger instance
+ * @returns {Promise<string|null>} PEM public key, or null if it cannot be found
+ */
+async function getPublicKey (keyPath, params, logger) {
+  if (!PUBLIC_KEY_PATH_PATTERN.test(keyPath) || keyPath.includes('..')) {
+    logger.warn(`Ignoring malformed public key path: ${keyPath}`)
+    return null
+  }
+
+  if (params.EVENTS_PUBLIC_KEYS_DIR) {
+    try {
+      return await fs.readFile(path.join(params.EVENTS_PUBLIC_KEYS_DIR, path.basename(keyPath)), 'utf8')
+    } catch (error) {
+      logger.warn(`Public key ${path.basename(keyPath)} not found in EVENTS_PUBLIC_KEYS_DIR`)
+      return null
+    }
+  }
+
+  if (publicKeyCache.has(keyPath)) {
+    return publicKeyCache.get(keyPath)
+  }
+
+  const store = await initStateStore(params, logger)
+  const cacheKey = toStateKey('eventskey', path.basename(keyPath))
+  const cached = await store.get(cacheKey)
+  if (cached?.pem) {
+    publicKeyCache.set(keyPath, cached.pem)
+    return cached.pem
+  }
+
+  const origin = (params.EVENTS_PUBLIC_KEY_ORIGIN || DEFAULT_PUBLIC_KEY_ORIGIN).replace(/\/$/, '')
+  const response = await fetch(`${origin}${keyPath}`)
+  if (!response.ok) {
+    logger.warn(`Failed to fetch public key ${keyPath}: ${response.status}`)
+    return null
+  }
+  const pem = await response.text()
+  await store.put(cacheKey, { pem }, { ttl: PUBLIC_KEY_TTL_SECONDS })
+  publicKeyCache.set(keyPath, pem)
+  return pem
+}
+
+/**
+ * Verify the I/O Events signatures of a delivery
+ * @param {object} params - Action parameters (with __ow_headers and the event fields)
+ * @param {string|null} rawBody - Raw request body
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Object with verified flag and the reason of a failure
+ */
+async function verifyEventSignature (params, rawBody, logger) {
+  const signatures = [1, 2]
+    .map(n => ({
+      signature: getHeader(params, `x-adobe-digital-signature-${n}`),
+      keyPath: getHeader(params, `x-adobe-public-key${n}-path`)
+    }))
+    .filter(({ signature, keyPath }) => signature && keyPath)
+
+  if (!rawBody || signatures.length === 0) {
+    return { verified: false, reason: 'missing signature' }
+  }
+
+  let verified = false
+  for (const { signature, keyPath } of signatures) {
+    try {
+      const publicKey = await getPublicKey(keyPath, params, logger)
+      if (publicKey && crypto.verify('rsa-sha256', Buffer.from(rawBody), publicKey, Buffer.from(signature, 'base64'))) {
+        verified = true
+        break
+      }
+    } catch (error) {
+      logger.warn(`Failed to verify signature with public key ${keyPath}: ${error.message}`)
+    }
+  }
+  if (!verified) {
+    return { verified: false, reason: 'invalid signature' }
+  }
+
+  // Signed events of another integration must not trigger our notifications
+  if (params.EVENTS_CLIENT_ID && params.recipient_client_id !== params.EVENTS_CLIENT_ID) {
+    return { verified: false, reason: 'not the target recipient' }
+  }
+  return { verified: true, reason: null }
+}
+
+module.exports = {
+  parseEventRequest,
+  isSignatureRequired,
+  verifyEventSignature,
+  readRawBody,
+  DEFAULT_PUBLIC_KEY_ORIGIN
+}
@@ -1,30 +1,135 @@
 /**
  * Event Validator Module
  * Validates Adobe Commerce CloudEvents structure and type
+ *
+ * The CloudEvents 1.0 attributes are checked with the CloudEvents SDK and the data of
+ * order events against the order payload schema. Every violation is reported, with
+ * the field and JSON pointer path it concerns, in the body of the 400 response.
  */
 
+const Ajv = require('ajv')
+const { CloudEvent } = require('cloudevents')
 const { errorResponse } = require('../utils')
+const { getRegisteredEventTypes } = require('./eventHandlers')
+const { normalizeEventType } = require('./eventRegistry')
+const { ORDER_EVENT_DATA_SCHEMA } = require('./orderPayloadSchema')
 
 /**
- * Allowed event types for this action
+ * CloudEvents specification version of Commerce events
  */
-const ALLOWED_EVENT_TYPES = [
-  'com.adobe.commerce.observer.sales_order_place_after',
-  'com.adobe.commerce.observer.sales_order_save_after',
-  'com.adobe.commerce.observer.sales_order_shipment_save_after',
-  'com.adobe.commerce.observer.sales_order_cancel_after'
-]
+const SPEC_VERSION = '1.0'
+
+/**
+ * Attributes every CloudEvent must have
+ */
+const REQUIRED_ATTRIBUTES = ['specversion', 'id', 'type', 'source']
+
+/**
+ * CloudEvents 1.0 attributes checked by the SDK
+ */
+const CLOUDEVENT_ATTRIBUTES = ['id', 'type', 'source', 'time', 'datacontenttype', 'dataschema', 'subject', 'data']
+
+/**
+ * Valid required attributes, to check the other attributes one at a time
+ * (the SDK stops at the first violation)
+ */
+const REFERENCE_EVENT = { specversion: SPEC_VERSION, id: 'reference', type: 'reference', source: 'reference' }
+
+const validateOrderEventData = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(ORDER_EVENT_DATA_SCHEMA)
+
+/**
+ * Build a violation
+ * @param {string} path - JSON pointer of the violating field in the event
+ * @param {string} message - What is wrong with it
+ * @returns {object} Violation with field, path and message
+ */
+function toViolation (path, message) {
+  return { field: path.split('/').pop(), path, message }
+}
+
+/**
+ * Check whether an attribute is unset
+ * @param {*} value - Attribute value
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+function isMissing (value) {
+  return value === undefined || value === null || value === ''
+}
+
+/**
+ * Check an attribute against the CloudEvents 1.0 schema of the SDK
+ * @param {string} name - Attribute name
+ * @param {*} value - Attribute value
+ * @returns {Array<object>} Violations of the attribute
+ */
+function validateAttribute (name, value) {
+  try {
+    // Built without validation, which validate() then runs and reports by throwing
+    const event = new CloudEvent({ ...REFERENCE_EVENT, [name]: value }, false)
+    event.validate()
+    return []
+  } catch (error) {
+    const errors = error.errors?.length > 0 ? error.errors : [error.message]
+    return errors.map(schemaError => toViolation(`/${name}`, schemaError.message || String(schemaError)))
+  }
+}
+
+/**
+ * Validate the CloudEvents 1.0 attributes of an event
+ * @param {object} params - Event parameters
+ * @returns {Array<object>} Violations with field, path and message
+ */
+function validateCloudEventAttributes (params) {
+  const violations = REQUIRED_ATTRIBUTES
+    .filter(name => isMissing(params[name]))
+    .map(name => toViolation(`/${name}`, 'is required'))
+
+  if (!isMissing(params.specversion) && params.specversion !== SPEC_VERSION) {
+    violations.push(toViolation('/specversion', `must be ${SPEC_VERSION}`))
+  }
+
+  CLOUDEVENT_ATTRIBUTES
+    .filter(name => !isMissing(params[name]))
+    .forEach(name => violations.push(...validateAttribute(name, params[name])))
+
+  // The data is read as JSON
+  if (typeof params.datacontenttype === 'string' && !/[/+]json(;|$)/i.test(params.datacontenttype.trim())) {
+    violations.push(toViolation('/datacontenttype', 'must be a JSON content type'))
+  }
+
+  return violations
+}
+
+/**
+ * Validate the data of an order event against the order payload schema
+ * @param {*} data - Event data
+ * @returns {Array<object>} Violations with field, path and message
+ */
+function validateOrderPayload (data) {
+  if (validateOrderEventData(data)) {
+    return []
+  }
+  return validateOrderEventData.errors.map(error => error.keyword === 'required'
+    ? toViolation(`/data${error.instancePath}/${error.params.missingProperty}`, 'is required')
+    : toViolation(`/data${error.instancePath}`, error.message))
+}
 
 /**
  * Validate CloudEvents structure
+ * Checks the CloudEvents attributes, and the payload of events with a registered handler
  * @param {object} params - Event parameters
  * @param {object} logger - Logger instance
- * @returns {object|null} Error response if invalid, null if valid
+ * @returns {object|null} Error response listing every violation if invalid, null if valid
  */
 function validateCloudEventStructure (params, logger) {
-  if (!params.type || !params.source) {
-    logger.error('Invalid event structure - missing required CloudEvents fields (type, source)')
-    return errorResponse(400, 'Invalid event structure', logger)
+  const violations = validateCloudEventAttributes(params)
+  if (getRegisteredEventTypes().includes(params.type)) {
+    violations.push(...validateOrderPayload(params.data))
+  }
+
+  if (violations.length > 0) {
+    logger.error(`Invalid event structure - ${violations.map(({ path, message }) => `${path} ${message}`).join('; ')}`)
+    return errorResponse(400, 'Invalid event structure', logger, { violations })
   }
   return null
 }
@@ -52,14 +157,15 @@ function validateCommerceEvent (params, logger) {
 }
 
 /**
- * Validate event type is in allowed list
+ * Validate event type has a registered handler
  * @param {string} eventType - Event type to validate
  * @param {object} logger - Logger instance
  * @returns {object|null} Error response if invalid, null if valid
  */
 function validateEventType (eventType, logger) {
-  if (!ALLOWED_EVENT_TYPES.includes(eventType)) {
-    logger.error(`Unauthorized event type: ${eventType}. Allowed types: ${ALLOWED_EVENT_TYPES.join(', ')}`)
+  const allowedEventTypes = getRegisteredEventTypes()
+  if (!allowedEventTypes.includes(eventType)) {
+    logger.error(`Unauthorized event type: ${eventType}. Allowed types: ${allowedEventTypes.join(', ')}`)
     return errorResponse(400, `Unauthorized event type: ${eventType}`, logger)
   }
   return null
@@ -87,8 +193,15 @@ function validateEvent (params, logger) {
 module.exports = {
   validateEvent,
   validateCloudEventStructure,
+  validateCloudEventAttributes,
+  validateOrderPayload,
   validateCommerceEvent,
   validateEventType,
-  ALLOWED_EVENT_TYPES
+  normalizeEventType,
+
+  // Allowed event types are the ones with a registered handler
+  get ALLOWED_EVENT_TYPES () {
+    return getRegisteredEventTypes()
+  }
 }
 
@@ -4,17 +4,55 @@
  * Sends WhatsApp notifications to customers when order events occur in Adobe Commerce.
  * Triggered by Adobe I/O Events for Commerce order placement, status changes, shipments, and cancellations.
  * 
- * Authentication is handled by Adobe I/O Events registration.
+ * Deliveries to the web URL must carry valid Adobe I/O Events digital signatures;
+ * the action is deployed with `raw-http: true` so the signed body reaches it untouched.
  * This action should only be invoked by registered Commerce events.
  */
 
 const { Core } = require('@adobe/aio-sdk')
 const { errorResponse, stringParameters } = require('../utils')
 const { validateEvent } = require('./eventValidator')
+const { getEventHandler } = require('./eventHandlers')
 const { extractEventData, extractOrderInfo } = require('./orderDataExtractor')
-const { extractPhoneNumberFromOrder } = require('./phoneUtils')
-const { generateMessageByEventType } = require('./messageGenerator')
-const { sendWhatsAppMessage } = require('./twilioService')
+const { selectRecipientPhone, getPhoneSelectionPolicy } = require('./recipientSelector')
+const { checkConsent } = require('./consent')
+const { recordMessageSent } = require('./messageStatus')
+const { buildNotification } = require('./notificationBuilder')
+const { deliverNotification, isSmsFallbackAllowed, CHANNEL_WHATSAPP } = require('./messageChannels')
+const { getMessagingProvider } = require('./messagingProviders')
+const { recordDeadLetter } = require('./deadLetter')
+const { initStateStore } = require('./stateStore')
+const { getEventId, findProcessedEvent, markEventProcessed } = require('./deduplication')
+const { parseStatusTransitions, recordOrderStatus, recordLatestOrder } = require('./statusTracker')
+const { loadMessageTemplates } = require('./messageTemplates')
+const { archiveEvent } = require('./eventArchive')
+const { notifyStaff } = require('./staffNotifications')
+const { getQuietHoursDeferral } = require('./quietHours')
+const { enqueueNotification } = require('./deferredQueue')
+const { coalesceEvent, getCoalescingWindow, parseCoalesceEvents, getCoalescedEventType } = require('./coalescing')
+const { checkDailyLimit, recordDailyMessage } = require('./dailyLimit')
+const { parseEventRequest, isSignatureRequired, verifyEventSignature } = require('./eventSignature')
+const { loadStoreRouting, resolveStoreRoute, applyStoreRoute, describeStoreKeys } = require('./storeRouting')
+
+/**
+ * Remember an event whose notification is not sent now (deferred, coalesced or over the
+ * daily limit), so redeliveries are ignored and later status changes compare against it
+ * @param {object} stateStore - State store instance
+ * @param {object} params - Action parameters
+ * @param {object} held - Object with eventId, eventType, orderNumber, orderStatus and
+ *   any other fields kept with the processed event
+ * @returns {Promise<void>}
+ */
+async function recordHeldEvent (stateStore, params, held) {
+  const { eventId, orderStatus, ...processed } = held
+  if (eventId) {
+    await markEventProcessed(stateStore, eventId, processed, params.DEDUP_TTL_SECONDS)
+  }
+  if (orderStatus) {
+    await recordOrderStatus(stateStore, processed.orderNumber, orderStatus)
+  }
+  await archiveEvent(stateStore, processed.orderNumber, processed.eventType, params)
+}
 
 /**
  * Main function executed by Adobe I/O Runtime
@@ -28,6 +66,13 @@ async function main (params) {
     logger.info('Processing order notification event')
     logger.debug(stringParameters(params))
 
+    // Web requests carry the event as their raw body
+    const request = parseEventRequest(params)
+    if (request.error) {
+      return errorResponse(400, request.error, logger)
+    }
+    params = request.params
+
     // Handle webhook verification challenge from Adobe I/O Events
     if (params.challenge) {
       logger.info('Received webhook verification challenge')
@@ -37,68 +82,351 @@ async function main (params) {
       }
     }
 
+    // Only Adobe I/O Events may trigger messages through the public web URL
+    if (isSignatureRequired(params)) {
+      const signature = await verifyEventSignature(params, request.rawBody, logger)
+      if (!signature.verified) {
+        return errorResponse(401, `Unauthorized: ${signature.reason}`, logger)
+      }
+    } else if (params.__ow_headers) {
+      logger.warn('Event signature verification is disabled (EVENT_SIGNATURE_VERIFICATION=false)')
+    }
+
     // Validate event structure and type
     const validationError = validateEvent(params, logger)
     if (validationError) {
       return validationError
     }
 
+    // Validate operator-defined message templates before doing any work
+    let messageTemplates = loadMessageTemplates(params.MESSAGE_TEMPLATES)
+    if (messageTemplates.errors.length > 0) {
+      messageTemplates.errors.forEach(error => logger.error(`MESSAGE_TEMPLATES: ${error}`))
+      return errorResponse(500, `Invalid MESSAGE_TEMPLATES configuration: ${messageTemplates.errors.join('; ')}`, logger)
+    }
+    messageTemplates.warnings.forEach(warning => logger.warn(`MESSAGE_TEMPLATES: ${warning}`))
+
+    // Fail fast on a misconfigured provider rather than after all the order processing
+    let provider
+    try {
+      provider = getMessagingProvider(params)
+    } catch (error) {
+      return errorResponse(500, `Invalid MESSAGING_PROVIDER configuration: ${error.message}`, logger)
+    }
+
+    try {
+      parseStatusTransitions(params.NOTIFY_STATUS_TRANSITIONS)
+    } catch (error) {
+      return errorResponse(500, `Invalid NOTIFY_STATUS_TRANSITIONS configuration: ${error.message}`, logger)
+    }
+
+    // Validate the store routing table, including the templates of every store
+    const storeRouting = loadStoreRouting(params.STORE_ROUTING, provider)
+    if (storeRouting.errors.length > 0) {
+      storeRouting.errors.forEach(error => logger.error(`STORE_ROUTING: ${error}`))
+      return errorResponse(500, `Invalid STORE_ROUTING configuration: ${storeRouting.errors.join('; ')}`, logger)
+    }
+
     const eventType = params.type
     logger.info(`Processing event type: ${eventType}`)
 
+    // Short-circuit events that were already delivered (Adobe I/O Events retries)
+    const stateStore = await initStateStore(params, logger)
+    const eventId = getEventId(params)
+    if (eventId) {
+      const processedEvent = await findProcessedEvent(stateStore, eventId)
+      if (processedEvent) {
+        logger.info(`Event ${eventId} already processed, skipping duplicate delivery`)
+        return {
+          statusCode: 200,
+          body: {
+            success: true,
+            message: 'Duplicate event ignored',
+            duplicate: true,
+            eventId: eventId,
+            orderNumber: processedEvent.orderNumber,
+            messageSid: processedEvent.messageSid
+          }
+        }
+      }
+    }
+
     // Extract order and shipment data from event
-    const { orderData, shipmentData, error: extractionError } = extractEventData(params, eventType, logger)
+    const { orderData, shipmentData, invoiceData, creditmemoData, error: extractionError } = extractEventData(params, eventType, logger)
     if (extractionError) {
       return extractionError
     }
 
     // Extract order information
     const orderInfo = extractOrderInfo(orderData)
-    const { orderNumber, customerEmail, customerName } = orderInfo
+    const { orderNumber, customerEmail, customerName, orderStatus } = orderInfo
 
     logger.info(`Processing order ${orderNumber} for customer ${customerEmail}`)
 
-    // Extract customer phone number
-    const customerPhone = extractPhoneNumberFromOrder(orderData)
-    if (!customerPhone) {
-      logger.warn(`No phone number found for order ${orderNumber}`)
-      return errorResponse(400, 'Customer phone number not found', logger)
+    // Notify from the order's storefront: its sender, credentials, brand, locale and templates
+    let store = null
+    if (storeRouting.routes) {
+      const storeRoute = resolveStoreRoute(storeRouting.routes, orderData)
+      if (!storeRoute.route) {
+        logger.error(`No store route for order ${orderNumber} (${describeStoreKeys(storeRoute.storeKeys)}), add it to STORE_ROUTING`)
+        return errorResponse(400, `No store route for ${describeStoreKeys(storeRoute.storeKeys)}`, logger)
+      }
+      store = storeRoute.key
+      params = applyStoreRoute(params, storeRoute, provider)
+      messageTemplates = loadMessageTemplates(params.MESSAGE_TEMPLATES)
+      logger.info(`Routing order ${orderNumber} through store route ${store}`)
     }
 
-    // Generate message based on event type
-    const message = generateMessageByEventType(
-      eventType,
-      orderData,
-      customerName,
-      orderNumber,
-      shipmentData
-    )
+    // Let the event's handler decide whether it is worth a message
+    // (e.g. order saves only notify real status transitions)
+    const handler = getEventHandler(eventType)
+    let previousStatus = null
+    if (handler.shouldNotify) {
+      const decision = await handler.shouldNotify({ stateStore, orderData, orderNumber, orderStatus, params, logger })
+
+      if (!decision.notify) {
+        logger.info(`Skipping notification for order ${orderNumber}: ${decision.reason} (${decision.previousStatus} -> ${orderStatus})`)
+        return {
+          statusCode: 200,
+          body: {
+            success: true,
+            message: 'Order notification skipped',
+            orderNumber: orderNumber,
+            skipped: decision.reason,
+            previousStatus: decision.previousStatus,
+            orderStatus: orderStatus || null
+          }
+        }
+      }
+      previousStatus = decision.previousStatus
+    }
+
+    // Choose the customer phone number, skipping numbers WhatsApp cannot deliver to
+    let phonePolicy
+    try {
+      phonePolicy = getPhoneSelectionPolicy(params)
+    } catch (error) {
+      logger.warn(`Ignoring phone source priority: ${error.message}`)
+      phonePolicy = getPhoneSelectionPolicy({ ...params, PHONE_SOURCE_PRIORITY: null })
+    }
+    const recipient = selectRecipientPhone(orderData, phonePolicy, params.DEFAULT_PHONE_REGION)
+    recipient.rejected.forEach(({ source, reason }) => {
+      logger.warn(`Skipping ${source} phone number for order ${orderNumber}: ${reason}`)
+    })
 
-    // Send WhatsApp message via Twilio
-    const twilioConfig = {
-      accountSid: params.TWILIO_ACCOUNT_SID,
-      authToken: params.TWILIO_AUTH_TOKEN,
-      fromNumber: params.TWILIO_WHATSAPP_FROM
+    // Alert store staff of orders matching their rules, including customers we cannot reach
+    let staffAlerts = []
+    try {
+      staffAlerts = await notifyStaff(stateStore, params, {
+        eventType,
+        orderData,
+        orderInfo,
+        customerPhone: recipient.phone?.e164 || null,
+        phoneIssue: recipient.phone ? null : (recipient.rejected[0]?.reason || 'no phone number')
+      }, logger)
+    } catch (error) {
+      logger.warn(`Failed to alert staff for order ${orderNumber}: ${error.message}`)
     }
 
-    const twilioResult = await sendWhatsAppMessage(
-      twilioConfig,
-      customerPhone,
-      message,
+    if (!recipient.phone) {
+      if (recipient.rejected.length === 0) {
+        logger.warn(`No phone number found for order ${orderNumber}`)
+        return errorResponse(400, 'Customer phone number not found', logger)
+      }
+      return errorResponse(400, `Invalid customer phone number: ${recipient.rejected[0].reason}`, logger)
+    }
+    const customerPhone = recipient.phone.e164
+
+    // WhatsApp Business policy requires an explicit opt-in, and opted-out numbers are never messaged
+    const consent = await checkConsent(stateStore, orderData, customerPhone, params)
+    if (!consent.allowed) {
+      logger.info(`Skipping notification for order ${orderNumber}: no WhatsApp consent (${consent.source || 'no opt-in'})`)
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: 'Order notification skipped',
+          orderNumber: orderNumber,
+          skipped: 'no_consent',
+          consentSource: consent.source
+        }
+      }
+    }
+
+    // Merge bursts of events of the same order (e.g. a checkout's order placement and saves)
+    // into a single message, sent by the last event of the burst
+    let messageEventType = eventType
+    let coalescedCount = 1
+    const coalescingWindow = getCoalescingWindow(params)
+    if (coalescingWindow > 0 && parseCoalesceEvents(params.COALESCE_EVENTS).includes(eventType)) {
+      try {
+        const burst = await coalesceEvent(stateStore, { orderNumber, phone: customerPhone, eventType, eventId }, coalescingWindow)
+        if (!burst.latest) {
+          await recordHeldEvent(stateStore, params, { eventId, eventType, orderNumber, orderStatus, coalescedInto: burst.coalescedInto })
+          logger.info(`Coalesced ${eventType} notification for order ${orderNumber} into event ${burst.coalescedInto}`)
+          return {
+            statusCode: 200,
+            body: {
+              success: true,
+              message: 'Order notification coalesced',
+              orderNumber: orderNumber,
+              skipped: 'coalesced',
+              coalescedInto: burst.coalescedInto
+            }
+          }
+        }
+        messageEventType = getCoalescedEventType(eventType, burst.eventTypes)
+        coalescedCount = burst.count
+      } catch (error) {
+        logger.warn(`Failed to coalesce notification for order ${orderNumber}, sending it alone: ${error.message}`)
+      }
+    }
+
+    // Render the message in the store's language, as an approved template when one is configured
+    const { locale, message, content, contentError } = buildNotification(
+      messageEventType,
+      { orderData, shipmentData, invoiceData, creditmemoData, previousStatus },
+      params,
+      messageTemplates.templates,
       logger
     )
 
+    // Hold non-urgent notifications back until the store's quiet hours are over;
+    // the notification-flush action sends them once due
+    const deferral = getQuietHoursDeferral(eventType, orderData, params, new Date(), logger)
+    if (deferral) {
+      try {
+        const queued = await enqueueNotification(stateStore, params, {
+          eventType,
+          orderNumber,
+          customerName,
+          to: customerPhone,
+          locale,
+          notification: { message, content, contentError },
+          deliverAt: deferral.deliverAt,
+          timeZone: deferral.timeZone
+        })
+        await recordHeldEvent(stateStore, params, { eventId, eventType, orderNumber, orderStatus, deferredId: queued.id })
+
+        logger.info(`Deferred notification for order ${orderNumber} to ${queued.deliverAt} (quiet hours in ${deferral.timeZone})`)
+        return {
+          statusCode: 200,
+          body: {
+            success: true,
+            message: 'Order notification deferred',
+            orderNumber: orderNumber,
+            customerPhone: customerPhone,
+            phoneSource: recipient.source,
+            locale: locale,
+            deferred: true,
+            deferredId: queued.id,
+            deliverAt: queued.deliverAt,
+            timeZone: deferral.timeZone,
+            ...(staffAlerts.length > 0 && { staffAlerts: [...new Set(staffAlerts.map(alert => alert.rule))] })
+          }
+        }
+      } catch (error) {
+        logger.error(`Failed to defer notification for order ${orderNumber}, sending now: ${error.message}`)
+      }
+    }
+
+    // Cap the messages a phone number receives per day
+    const dailyLimit = await checkDailyLimit(stateStore, customerPhone, params)
+    if (!dailyLimit.allowed) {
+      logger.warn(`Skipping notification for order ${orderNumber}: ${customerPhone} reached the daily limit of ${dailyLimit.limit} messages`)
+      await recordHeldEvent(stateStore, params, { eventId, eventType, orderNumber, orderStatus, skipped: 'daily_limit' })
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: 'Order notification skipped',
+          orderNumber: orderNumber,
+          skipped: 'daily_limit',
+          dailyLimit: dailyLimit.limit
+        }
+      }
+    }
+
+    // Send on WhatsApp through the messaging provider, falling back to SMS when allowed for this event
+    const deliveryResult = await deliverNotification(params, eventType, customerPhone, { content, contentError, message }, logger)
+
+    // Remember the event only once the customer has actually been messaged,
+    // so a retried delivery still gets a chance when sending failed
+    if (deliveryResult.success) {
+      try {
+        if (eventId) {
+          await markEventProcessed(stateStore, eventId, {
+            eventType,
+            orderNumber,
+            messageSid: deliveryResult.messageSid
+          }, params.DEDUP_TTL_SECONDS)
+        }
+        if (orderStatus) {
+          await recordOrderStatus(stateStore, orderNumber, orderStatus)
+        }
+        await recordLatestOrder(stateStore, customerPhone, { orderNumber, customerName, locale })
+        await recordDailyMessage(stateStore, customerPhone, params)
+        await recordMessageSent(stateStore, deliveryResult.messageSid, {
+          orderNumber,
+          eventType,
+          to: customerPhone,
+          channel: deliveryResult.channel,
+          status: deliveryResult.status,
+          ...(store && { store }),
+          // Lets the status callback switch to SMS if WhatsApp later reports the number unreachable
+          ...(deliveryResult.channel === CHANNEL_WHATSAPP && isSmsFallbackAllowed(eventType, params) && { fallbackText: message })
+        })
+      } catch (error) {
+        logger.warn(`Failed to record notification state for order ${orderNumber}: ${error.message}`)
+      }
+    }
+
+    // Keep the event so support staff can regenerate its message later
+    try {
+      await archiveEvent(stateStore, orderNumber, eventType, params)
+    } catch (error) {
+      logger.warn(`Failed to archive event for order ${orderNumber}: ${error.message}`)
+    }
+
+    // Keep undelivered notifications so they can be replayed instead of being lost
+    let deadLetter = null
+    if (!deliveryResult.success) {
+      try {
+        deadLetter = await recordDeadLetter(stateStore, params, {
+          eventType,
+          orderNumber,
+          to: customerPhone,
+          result: deliveryResult
+        })
+        logger.warn(`Stored undelivered notification for order ${orderNumber} as dead letter ${deadLetter.id}`)
+      } catch (error) {
+        logger.error(`Failed to store dead letter for order ${orderNumber}: ${error.message}`)
+      }
+    }
+
     // Build response
     const responseBody = {
       success: true,
       message: 'Order notification processed',
       orderNumber: orderNumber,
       customerPhone: customerPhone,
-      whatsappSent: twilioResult.success,
-      ...(twilioResult.error && { whatsappError: twilioResult.error })
+      phoneSource: recipient.source,
+      locale: locale,
+      ...(store && { store }),
+      channel: deliveryResult.channel,
+      provider: deliveryResult.provider,
+      whatsappSent: deliveryResult.channel === CHANNEL_WHATSAPP,
+      ...(content?.contentSid && { contentSid: content.contentSid }),
+      ...(deliveryResult.messageSid && { messageSid: deliveryResult.messageSid }),
+      ...(deliveryResult.whatsappError && { whatsappError: deliveryResult.whatsappError }),
+      ...(deliveryResult.smsError && { smsError: deliveryResult.smsError }),
+      ...(deliveryResult.attempts > 1 && { attempts: deliveryResult.attempts }),
+      ...(deadLetter && { deadLetterId: deadLetter.id }),
+      ...(coalescedCount > 1 && { coalesced: coalescedCount }),
+      ...(staffAlerts.length > 0 && { staffAlerts: [...new Set(staffAlerts.map(alert => alert.rule))] })
     }
 
-    logger.info(`Request completed successfully. WhatsApp sent: ${twilioResult.success}`)
+    logger.info(`Request completed successfully. Sent on: ${deliveryResult.channel || 'none'}`)
 
     return {
       statusCode: 200,
@@ -0,0 +1,168 @@
+/**
+ * Locale Utilities Module
+ * Resolves the customer-facing locale for an order and formats amounts and dates for it
+ */
+
+const { parseJsonInput } = require('../utils')
+const { DEFAULT_LOCALE } = require('./messageCatalog')
+
+/**
+ * Normalize a locale code to canonical BCP 47 form (e.g. 'de_DE' -> 'de-DE')
+ * @param {string} locale - Locale code
+ * @returns {string|null} Normalized locale, or null if empty or not a valid BCP 47 tag
+ *   (e.g. POSIX locales like 'C.UTF-8' or 'en_US@euro', which Intl rejects)
+ */
+function normalizeLocale (locale) {
+  if (!locale || typeof locale !== 'string' || !locale.trim()) {
+    return null
+  }
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'))[0]
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Get a locale Intl formatters accept
+ * @param {string} locale - Locale code
+ * @returns {string} Normalized locale, or the default locale if it is not valid
+ */
+function toIntlLocale (locale) {
+  return normalizeLocale(locale) || DEFAULT_LOCALE
+}
+
+/**
+ * Get the store identifiers of an order, most specific first
+ * @param {object} orderData - Order data object
+ * @returns {Array<string>} Store code, store id and website code values present in the order
+ */
+function getStoreKeys (orderData) {
+  return [
+    orderData.store_code,
+    orderData.store?.code,
+    orderData.store_id,
+    orderData.website_code,
+    orderData.store?.website_code
+  ]
+    .filter(key => key !== undefined && key !== null && key !== '')
+    .map(String)
+}
+
+/**
+ * Resolve the locale to use for an order's messages
+ * Checks STORE_LOCALE_MAP by store code then store id, then the order's own
+ * locale attribute, then DEFAULT_LOCALE, and finally English; invalid locales are skipped
+ * @param {object} orderData - Order data object
+ * @param {object} params - Action parameters
+ * @param {object} logger - Logger instance
+ * @returns {string} Locale code
+ */
+function resolveLocale (orderData, params, logger) {
+  let storeLocaleMap = null
+  try {
+    storeLocaleMap = parseJsonInput(params.STORE_LOCALE_MAP, 'STORE_LOCALE_MAP')
+  } catch (error) {
+    logger.warn(`Ignoring store locale map: ${error.message}`)
+  }
+
+  if (storeLocaleMap) {
+    for (const storeKey of getStoreKeys(orderData)) {
+      if (!storeLocaleMap[storeKey]) {
+        continue
+      }
+      const storeLocale = normalizeLocale(storeLocaleMap[storeKey])
+      if (storeLocale) {
+        return storeLocale
+      }
+      logger.warn(`Ignoring invalid locale ${storeLocaleMap[storeKey]} of store ${storeKey}`)
+    }
+  }
+
+  return normalizeLocale(orderData.locale) ||
+    normalizeLocale(params.DEFAULT_LOCALE) ||
+    DEFAULT_LOCALE
+}
+
+/**
+ * Format an amount in the order currency for a locale (e.g. 1234.5 EUR in de-DE -> "1.234,50 €")
+ * Falls back to "<amount> <currency>" when the currency code is unknown to Intl,
+ * and to the default locale when the locale is not valid
+ * @param {number|string} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - Locale code
+ * @returns {string} Formatted amount, or an empty string if no amount
+ */
+function formatCurrency (amount, currency, locale) {
+  if (amount === undefined || amount === null || amount === '') {
+    return ''
+  }
+
+  const value = Number(amount)
+  if (Number.isNaN(value)) {
+    return [amount, currency].filter(Boolean).join(' ')
+  }
+  const intlLocale = toIntlLocale(locale)
+  if (!currency) {
+    return new Intl.NumberFormat(intlLocale).format(value)
+  }
+
+  try {
+    return new Intl.NumberFormat(intlLocale, { style: 'currency', currency }).format(value)
+  } catch (error) {
+    return `${value} ${currency}`
+  }
+}
+
+/**
+ * Parse a Commerce date value
+ * Commerce sends "YYYY-MM-DD HH:mm:ss" in UTC without a timezone designator
+ * @param {string|Date} value - Date value
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseCommerceDate (value) {
+  if (!value) {
+    return null
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value
+  }
+
+  const text = String(value).trim()
+  const isoText = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)
+    ? `${text.replace(' ', 'T')}Z`
+    : text
+  const date = new Date(isoText)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Format a date for a locale (e.g. "Oct 19, 2026", "19.10.2026")
+ * Falls back to the default locale when the locale is not valid, and to UTC when the timezone is not
+ * @param {string|Date} value - Date value
+ * @param {string} locale - Locale code
+ * @param {string} [timeZone] - IANA timezone used to display the date
+ * @returns {string} Formatted date, or an empty string if the date is invalid
+ */
+function formatDate (value, locale, timeZone = 'UTC') {
+  const date = parseCommerceDate(value)
+  if (!date) {
+    return ''
+  }
+
+  const intlLocale = toIntlLocale(locale)
+  try {
+    return new Intl.DateTimeFormat(intlLocale, { dateStyle: 'medium', timeZone }).format(date)
+  } catch (error) {
+    return new Intl.DateTimeFormat(intlLocale, { dateStyle: 'medium', timeZone: 'UTC' }).format(date)
+  }
+}
+
+module.exports = {
+  resolveLocale,
+  formatCurrency,
+  formatDate,
+  parseCommerceDate,
+  normalizeLocale,
+  getStoreKeys
+}
@@ -0,0 +1,221 @@
+/**
+ * Message Catalog Module
+ * Localized WhatsApp message templates with {{placeholder}} interpolation
+ */
+
+const DEFAULT_LOCALE = 'en'
+
+/**
+ * Message templates keyed by language, then by message key
+ */
+const MESSAGE_CATALOG = {
+  en: {
+    orderPlaced: 'Hi {{customerName}}, your order #{{orderNumber}} placed on {{orderDate}} for {{orderTotal}} has been confirmed. Thank you for your purchase!',
+    orderStatusChanged: 'Hi {{customerName}}, your order #{{orderNumber}} status has been updated to {{orderStatus}}.',
+    shipment: 'Hi {{customerName}}, your order #{{orderNumber}} has been shipped on {{shipmentDate}}!',
+    shipmentWithTracking: 'Hi {{customerName}}, your order #{{orderNumber}} has been shipped on {{shipmentDate}}! Track your package using tracking number {{trackingNumber}}.',
+    shipmentWithTrackingUrl: 'Hi {{customerName}}, your order #{{orderNumber}} has been shipped on {{shipmentDate}}! Track your package using tracking number {{trackingNumber}}: {{trackingUrl}}',
+    shipmentWithPackages: 'Hi {{customerName}}, your order #{{orderNumber}} has been shipped on {{shipmentDate}} in {{packageCount}} packages:',
+    orderCancelled: 'Hi {{customerName}}, your order #{{orderNumber}} has been cancelled. If you have any questions, please contact us.',
+    paymentReceived: 'Hi {{customerName}}, we have received your payment of {{paidAmount}} for order #{{orderNumber}}. Thank you!',
+    refundIssued: 'Hi {{customerName}}, a refund of {{refundedAmount}} for your order #{{orderNumber}} has been issued. It may take a few days to appear on your statement.',
+    orderHold: 'Hi {{customerName}}, your order #{{orderNumber}} has been put on hold. We will contact you if we need any further information.',
+    orderUnhold: 'Hi {{customerName}}, your order #{{orderNumber}} is no longer on hold and is being processed again.',
+    moreItem: '+{{count}} more item',
+    moreItems: '+{{count}} more items',
+    shippingMethod: 'Shipping: {{shippingMethod}}',
+    shippingAddress: 'Ship to: {{shippingAddress}}',
+    replyOptedOut: 'You will no longer receive order notifications on WhatsApp. Reply START to receive them again.',
+    replyOptedIn: 'You will receive order notifications on WhatsApp again. Reply STOP to stop them.',
+    replyHelp: 'Reply STATUS for the latest status of your order, STOP to stop order notifications or START to receive them again.',
+    replyNoOrder: 'We could not find a recent order for this number. Please contact us if you need help.',
+    staffHighValue: 'High-value order #{{orderNumber}}: {{orderTotal}} from {{customerName}} ({{customerEmail}}, {{customerPhone}}).',
+    staffCancellation: 'Order #{{orderNumber}} from {{customerName}} ({{customerEmail}}) for {{orderTotal}} has been cancelled.',
+    staffMissingPhone: 'Order #{{orderNumber}} from {{customerName}} ({{customerEmail}}) could not be notified on WhatsApp: {{reason}}.'
+  },
+  de: {
+    orderPlaced: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} vom {{orderDate}} über {{orderTotal}} wurde bestätigt. Vielen Dank für Ihren Einkauf!',
+    orderStatusChanged: 'Hallo {{customerName}}, der Status Ihrer Bestellung #{{orderNumber}} wurde auf "{{orderStatus}}" aktualisiert.',
+    shipment: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} wurde am {{shipmentDate}} versandt!',
+    shipmentWithTracking: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} wurde am {{shipmentDate}} versandt! Verfolgen Sie Ihr Paket mit der Sendungsnummer {{trackingNumber}}.',
+    shipmentWithTrackingUrl: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} wurde am {{shipmentDate}} versandt! Verfolgen Sie Ihr Paket mit der Sendungsnummer {{trackingNumber}}: {{trackingUrl}}',
+    shipmentWithPackages: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} wurde am {{shipmentDate}} in {{packageCount}} Paketen versandt:',
+    orderCancelled: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} wurde storniert. Bei Fragen kontaktieren Sie uns bitte.',
+    paymentReceived: 'Hallo {{customerName}}, wir haben Ihre Zahlung über {{paidAmount}} für die Bestellung #{{orderNumber}} erhalten. Vielen Dank!',
+    refundIssued: 'Hallo {{customerName}}, für Ihre Bestellung #{{orderNumber}} wurde eine Rückerstattung über {{refundedAmount}} veranlasst. Es kann einige Tage dauern, bis sie auf Ihrem Konto erscheint.',
+    orderHold: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} wurde angehalten. Wir melden uns bei Ihnen, falls wir weitere Informationen benötigen.',
+    orderUnhold: 'Hallo {{customerName}}, Ihre Bestellung #{{orderNumber}} ist nicht mehr angehalten und wird weiter bearbeitet.',
+    moreItem: '+{{count}} weiterer Artikel',
+    moreItems: '+{{count}} weitere Artikel',
+    shippingMethod: 'Versand: {{shippingMethod}}',
+    shippingAddress: 'Lieferadresse: {{shippingAddress}}',
+    replyOptedOut: 'Sie erhalten keine Bestellbenachrichtigungen mehr über WhatsApp. Antworten Sie START, um sie wieder zu erhalten.',
+    replyOptedIn: 'Sie erhalten wieder Bestellbenachrichtigungen über WhatsApp. Antworten Sie STOP, um sie abzubestellen.',
+    replyHelp: 'Antworten Sie STATUS für den aktuellen Stand Ihrer Bestellung, STOP, um keine Bestellbenachrichtigungen mehr zu erhalten, oder START, um sie wieder zu erhalten.',
+    replyNoOrder: 'Wir konnten keine aktuelle Bestellung für diese Nummer finden. Bitte kontaktieren Sie uns, wenn Sie Hilfe benötigen.',
+    staffHighValue: 'Bestellung mit hohem Wert #{{orderNumber}}: {{orderTotal}} von {{customerName}} ({{customerEmail}}, {{customerPhone}}).',
+    staffCancellation: 'Bestellung #{{orderNumber}} von {{customerName}} ({{customerEmail}}) über {{orderTotal}} wurde storniert.',
+    staffMissingPhone: 'Bestellung #{{orderNumber}} von {{customerName}} ({{customerEmail}}) konnte nicht per WhatsApp benachrichtigt werden: {{reason}}.'
+  },
+  fr: {
+    orderPlaced: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} du {{orderDate}} d\'un montant de {{orderTotal}} a été confirmée. Merci pour votre achat !',
+    orderStatusChanged: 'Bonjour {{customerName}}, le statut de votre commande #{{orderNumber}} est désormais : {{orderStatus}}.',
+    shipment: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} a été expédiée le {{shipmentDate}} !',
+    shipmentWithTracking: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} a été expédiée le {{shipmentDate}} ! Suivez votre colis avec le numéro de suivi {{trackingNumber}}.',
+    shipmentWithTrackingUrl: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} a été expédiée le {{shipmentDate}} ! Suivez votre colis avec le numéro de suivi {{trackingNumber}} : {{trackingUrl}}',
+    shipmentWithPackages: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} a été expédiée le {{shipmentDate}} en {{packageCount}} colis :',
+    orderCancelled: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} a été annulée. Pour toute question, n\'hésitez pas à nous contacter.',
+    paymentReceived: 'Bonjour {{customerName}}, nous avons bien reçu votre paiement de {{paidAmount}} pour la commande #{{orderNumber}}. Merci !',
+    refundIssued: 'Bonjour {{customerName}}, un remboursement de {{refundedAmount}} a été émis pour votre commande #{{orderNumber}}. Il peut apparaître sur votre relevé sous quelques jours.',
+    orderHold: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} a été mise en attente. Nous vous contacterons si nous avons besoin d\'informations complémentaires.',
+    orderUnhold: 'Bonjour {{customerName}}, votre commande #{{orderNumber}} n\'est plus en attente et son traitement reprend.',
+    moreItem: '+{{count}} autre article',
+    moreItems: '+{{count}} autres articles',
+    shippingMethod: 'Livraison : {{shippingMethod}}',
+    shippingAddress: 'Adresse de livraison : {{shippingAddress}}',
+    replyOptedOut: 'Vous ne recevrez plus de notifications de commande sur WhatsApp. Répondez START pour les recevoir à nouveau.',
+    replyOptedIn: 'Vous recevrez à nouveau les notifications de commande sur WhatsApp. Répondez STOP pour les arrêter.',
+    replyHelp: 'Répondez STATUS pour connaître le dernier statut de votre commande, STOP pour ne plus recevoir de notifications de commande ou START pour les recevoir à nouveau.',
+    replyNoOrder: 'Nous n\'avons trouvé aucune commande récente pour ce numéro. Contactez-nous si vous avez besoin d\'aide.',
+    staffHighValue: 'Commande de valeur élevée #{{orderNumber}} : {{orderTotal}} de {{customerName}} ({{customerEmail}}, {{customerPhone}}).',
+    staffCancellation: 'La commande #{{orderNumber}} de {{customerName}} ({{customerEmail}}) d\'un montant de {{orderTotal}} a été annulée.',
+    staffMissingPhone: 'La commande #{{orderNumber}} de {{customerName}} ({{customerEmail}}) n\'a pas pu être notifiée sur WhatsApp : {{reason}}.'
+  },
+  es: {
+    orderPlaced: 'Hola {{customerName}}, tu pedido #{{orderNumber}} del {{orderDate}} por {{orderTotal}} ha sido confirmado. ¡Gracias por tu compra!',
+    orderStatusChanged: 'Hola {{customerName}}, el estado de tu pedido #{{orderNumber}} se ha actualizado a "{{orderStatus}}".',
+    shipment: 'Hola {{customerName}}, ¡tu pedido #{{orderNumber}} ha sido enviado el {{shipmentDate}}!',
+    shipmentWithTracking: 'Hola {{customerName}}, ¡tu pedido #{{orderNumber}} ha sido enviado el {{shipmentDate}}! Sigue tu paquete con el número de seguimiento {{trackingNumber}}.',
+    shipmentWithTrackingUrl: 'Hola {{customerName}}, ¡tu pedido #{{orderNumber}} ha sido enviado el {{shipmentDate}}! Sigue tu paquete con el número de seguimiento {{trackingNumber}}: {{trackingUrl}}',
+    shipmentWithPackages: 'Hola {{customerName}}, tu pedido #{{orderNumber}} ha sido enviado el {{shipmentDate}} en {{packageCount}} paquetes:',
+    orderCancelled: 'Hola {{customerName}}, tu pedido #{{orderNumber}} ha sido cancelado. Si tienes alguna pregunta, contáctanos.',
+    paymentReceived: 'Hola {{customerName}}, hemos recibido tu pago de {{paidAmount}} para el pedido #{{orderNumber}}. ¡Gracias!',
+    refundIssued: 'Hola {{customerName}}, se ha emitido un reembolso de {{refundedAmount}} para tu pedido #{{orderNumber}}. Puede tardar unos días en aparecer en tu extracto.',
+    orderHold: 'Hola {{customerName}}, tu pedido #{{orderNumber}} ha sido puesto en espera. Te contactaremos si necesitamos más información.',
+    orderUnhold: 'Hola {{customerName}}, tu pedido #{{orderNumber}} ya no está en espera y se está procesando de nuevo.',
+    moreItem: '+{{count}} artículo más',
+    moreItems: '+{{count}} artículos más',
+    shippingMethod: 'Envío: {{shippingMethod}}',
+    shippingAddress: 'Dirección de envío: {{shippingAddress}}',
+    replyOptedOut: 'Ya no recibirás notificaciones de pedidos por WhatsApp. Responde START para volver a recibirlas.',
+    replyOptedIn: 'Volverás a recibir notificaciones de pedidos por WhatsApp. Responde STOP para dejar de recibirlas.',
+    replyHelp: 'Responde STATUS para conocer el último estado de tu pedido, STOP para dejar de recibir notificaciones de pedidos o START para volver a recibirlas.',
+    replyNoOrder: 'No hemos encontrado ningún pedido reciente para este número. Contáctanos si necesitas ayuda.',
+    staffHighValue: 'Pedido de alto valor #{{orderNumber}}: {{orderTotal}} de {{customerName}} ({{customerEmail}}, {{customerPhone}}).',
+    staffCancellation: 'El pedido #{{orderNumber}} de {{customerName}} ({{customerEmail}}) por {{orderTotal}} ha sido cancelado.',
+    staffMissingPhone: 'No se pudo notificar por WhatsApp el pedido #{{orderNumber}} de {{customerName}} ({{customerEmail}}): {{reason}}.'
+  }
+}
+
+/**
+ * Translated labels for the default Commerce order statuses
+ * Statuses without a label (and all English statuses) are shown as-is
+ */
+const STATUS_LABELS = {
+  de: {
+    pending: 'ausstehend',
+    processing: 'in Bearbeitung',
+    complete: 'abgeschlossen',
+    closed: 'geschlossen',
+    canceled: 'storniert',
+    holded: 'angehalten'
+  },
+  fr: {
+    pending: 'en attente',
+    processing: 'en cours de traitement',
+    complete: 'terminée',
+    closed: 'clôturée',
+    canceled: 'annulée',
+    holded: 'suspendue'
+  },
+  es: {
+    pending: 'pendiente',
+    processing: 'en proceso',
+    complete: 'completado',
+    closed: 'cerrado',
+    canceled: 'cancelado',
+    holded: 'en espera'
+  }
+}
+
+/**
+ * Get the candidate catalog languages for a locale, most specific first
+ * (e.g. 'de-AT' -> ['de-at', 'de', 'en'])
+ * @param {string} locale - Locale code
+ * @returns {Array<string>} Candidate catalog keys
+ */
+function getLocaleCandidates (locale) {
+  const normalized = (locale || DEFAULT_LOCALE).toLowerCase().replace(/_/g, '-')
+  const language = normalized.split('-')[0]
+  return [...new Set([normalized, language, DEFAULT_LOCALE])]
+}
+
+/**
+ * Replace {{placeholder}} tokens with values
+ * Unknown placeholders are replaced with an empty string
+ * @param {string} template - Template text
+ * @param {object} values - Placeholder values
+ * @returns {string} Interpolated text
+ */
+function interpolate (template, values) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+    const value = values[name]
+    return value === undefined || value === null ? '' : String(value)
+  })
+}
+
+/**
+ * Get the template for a message key, falling back to English when the
+ * locale has no translation
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key (e.g. 'orderPlaced')
+ * @returns {string} Template text
+ */
+function getTemplate (locale, key) {
+  for (const candidate of getLocaleCandidates(locale)) {
+    if (MESSAGE_CATALOG[candidate]?.[key]) {
+      return MESSAGE_CATALOG[candidate][key]
+    }
+  }
+  throw new Error(`Unknown message key: ${key}`)
+}
+
+/**
+ * Render a localized message
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key (e.g. 'orderPlaced')
+ * @param {object} values - Placeholder values
+ * @returns {string} Localized message
+ */
+function translate (locale, key, values) {
+  return interpolate(getTemplate(locale, key), values)
+}
+
+/**
+ * Get the localized label for an order status
+ * @param {string} locale - Locale code
+ * @param {string} status - Order status code
+ * @returns {string} Localized status label, or the status code if not translated
+ */
+function translateStatus (locale, status) {
+  if (!status) {
+    return status
+  }
+  for (const candidate of getLocaleCandidates(locale)) {
+    const label = STATUS_LABELS[candidate]?.[status.toLowerCase()]
+    if (label) {
+      return label
+    }
+  }
+  return status
+}
+
+module.exports = {
+  translate,
+  translateStatus,
+  interpolate,
+  getTemplate,
+  getLocaleCandidates,
+  MESSAGE_CATALOG,
+  DEFAULT_LOCALE
+}
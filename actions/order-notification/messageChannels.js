@@ -0,0 +1,118 @@
+/**
+ * Message Channels Module
+ * Delivers notifications on WhatsApp through the messaging provider, falling back
+ * to SMS when WhatsApp fails
+ *
+ * SMS is sent through Twilio whatever the WhatsApp provider, and needs a TWILIO_SMS_FROM
+ * sender. Fallback is limited to the event types listed in SMS_FALLBACK_EVENTS
+ * (all event types when not set).
+ */
+
+const { sendSmsMessage, getTwilioConfig } = require('./twilioService')
+const { getMessagingProvider } = require('./messagingProviders')
+const { normalizeEventType } = require('./eventRegistry')
+
+/**
+ * Channel names reported in responses and message records
+ */
+const CHANNEL_WHATSAPP = 'whatsapp'
+const CHANNEL_SMS = 'sms'
+
+/**
+ * Twilio error codes of WhatsApp messages that cannot reach the customer,
+ * reported by status callbacks once the message has been accepted:
+ * 63003 (number not on WhatsApp), 63016 (outside the 24-hour window), 63024 (invalid recipient)
+ */
+const WHATSAPP_UNREACHABLE_ERROR_CODES = ['63003', '63016', '63024']
+
+/**
+ * Parse the event types allowed to fall back to SMS
+ * @param {string|Array<string>} config - SMS_FALLBACK_EVENTS input, comma-separated (prefix optional) or "*"
+ * @returns {Array<string>|null} Full event types, or null when every event type is allowed
+ */
+function parseSmsFallbackEvents (config) {
+  if (!config) {
+    return null
+  }
+  const entries = (Array.isArray(config) ? config : String(config).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean)
+  if (entries.length === 0 || entries.includes('*')) {
+    return null
+  }
+  return entries.map(normalizeEventType)
+}
+
+/**
+ * Check whether a failed WhatsApp notification may be sent by SMS
+ * @param {string} eventType - Full event type
+ * @param {object} params - Action parameters
+ * @returns {boolean} True if an SMS sender is configured and the event type allows fallback
+ */
+function isSmsFallbackAllowed (eventType, params) {
+  if (!params.TWILIO_SMS_FROM) {
+    return false
+  }
+  const allowedEvents = parseSmsFallbackEvents(params.SMS_FALLBACK_EVENTS)
+  return !allowedEvents || allowedEvents.includes(eventType)
+}
+
+/**
+ * Check whether a WhatsApp status callback reports a customer WhatsApp cannot reach
+ * @param {object} record - Message record from messageStatus
+ * @returns {boolean} True for failed or undelivered messages with an unreachable error code
+ */
+function isWhatsAppUnreachable (record) {
+  return ['failed', 'undelivered'].includes(record.status) &&
+    WHATSAPP_UNREACHABLE_ERROR_CODES.includes(String(record.errorCode))
+}
+
+/**
+ * Deliver a notification on WhatsApp, or by SMS when WhatsApp fails and fallback is allowed
+ * @param {object} params - Action parameters
+ * @param {string} eventType - Full event type
+ * @param {string} to - Recipient phone number in E.164 format
+ * @param {object} notification - Object with content (or contentError) and the free-form message
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Result of the last send, with the channel and provider used (channel is null
+ *   when nothing was sent), whatsappError and smsError
+ */
+async function deliverNotification (params, eventType, to, notification, logger) {
+  const { content, contentError, message } = notification
+  const provider = getMessagingProvider(params)
+
+  let whatsapp
+  if (contentError) {
+    logger.error(`WhatsApp message not sent: ${contentError}`)
+    whatsapp = { success: false, error: contentError, retryable: false, attempts: 0 }
+  } else {
+    whatsapp = await provider.sendWhatsApp(params, to, content, logger)
+  }
+
+  if (whatsapp.success) {
+    return { ...whatsapp, channel: CHANNEL_WHATSAPP, provider: provider.name }
+  }
+  if (!isSmsFallbackAllowed(eventType, params)) {
+    return { ...whatsapp, channel: null, provider: provider.name, whatsappError: whatsapp.error }
+  }
+
+  logger.warn(`WhatsApp message not sent (${whatsapp.error}), falling back to SMS`)
+  const sms = await sendSmsMessage(getTwilioConfig(params, CHANNEL_SMS), to, message, logger)
+  return {
+    ...sms,
+    channel: sms.success ? CHANNEL_SMS : null,
+    provider: 'twilio',
+    whatsappError: whatsapp.error,
+    ...(!sms.success && { smsError: sms.error })
+  }
+}
+
+module.exports = {
+  deliverNotification,
+  parseSmsFallbackEvents,
+  isSmsFallbackAllowed,
+  isWhatsAppUnreachable,
+  CHANNEL_WHATSAPP,
+  CHANNEL_SMS,
+  WHATSAPP_UNREACHABLE_ERROR_CODES
+}
@@ -3,16 +3,31 @@
  * Generates WhatsApp message templates for different order events
  */
 
+const { translate, translateStatus, interpolate, DEFAULT_LOCALE } = require('./messageCatalog')
+const { getOperatorTemplate } = require('./messageTemplates')
+const { appendOrderSummary } = require('./orderSummary')
+const { resolveTracks } = require('./carrierTracking')
+const { formatCurrency, formatDate } = require('./localeUtils')
+const { extractInvoiceAmount, extractRefundAmount } = require('./orderDataExtractor')
+const { getEventHandler } = require('./eventRegistry')
+
 /**
  * Generate WhatsApp message for order placement
  * @param {string} customerName - Customer's full name
  * @param {string} orderNumber - Order number/increment ID
  * @param {number} orderTotal - Order total amount
  * @param {string} orderCurrency - Order currency code
+ * @param {string} [orderDate] - Order creation date (defaults to now)
+ * @param {string} [locale] - Message locale
  * @returns {string} Formatted WhatsApp message
  */
-function generateOrderPlacedMessage (customerName, orderNumber, orderTotal, orderCurrency) {
-  return `Hi ${customerName}, your order #${orderNumber} for ${orderTotal} ${orderCurrency} has been confirmed. Thank you for your purchase!`
+function generateOrderPlacedMessage (customerName, orderNumber, orderTotal, orderCurrency, orderDate = null, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'orderPlaced', {
+    customerName,
+    orderNumber,
+    orderTotal: formatCurrency(orderTotal, orderCurrency, locale),
+    orderDate: formatDate(orderDate || new Date(), locale)
+  })
 }
 
 /**
@@ -20,24 +35,56 @@ function generateOrderPlacedMessage (customerName, orderNumber, orderTotal, orde
  * @param {string} customerName - Customer's full name
  * @param {string} orderNumber - Order number/increment ID
  * @param {string} orderStatus - New order status
+ * @param {string} [locale] - Message locale
  * @returns {string} Formatted WhatsApp message
  */
-function generateOrderStatusChangeMessage (customerName, orderNumber, orderStatus) {
-  return `Hi ${customerName}, your order #${orderNumber} status has been updated to ${orderStatus}.`
+function generateOrderStatusChangeMessage (customerName, orderNumber, orderStatus, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'orderStatusChanged', {
+    customerName,
+    orderNumber,
+    orderStatus: translateStatus(locale, orderStatus)
+  })
+}
+
+/**
+ * Render a package line of a multi-package shipment (e.g. "• UPS 1Z999: https://...")
+ * @param {object} track - Track with trackingNumber, carrier and trackingUrl
+ * @returns {string} Rendered line
+ */
+function renderPackageLine (track) {
+  const label = [track.carrier, track.trackingNumber].filter(Boolean).join(' ')
+  return track.trackingUrl ? `• ${label}: ${track.trackingUrl}` : `• ${label}`
 }
 
 /**
  * Generate WhatsApp message for shipment created
  * @param {string} customerName - Customer's full name
  * @param {string} orderNumber - Order number/increment ID
- * @param {string} trackingNumber - Shipment tracking number
+ * @param {string|Array<object>} tracking - Tracking number, or tracks from resolveTracks
+ * @param {string} [shipmentDate] - Shipment creation date (defaults to now)
+ * @param {string} [locale] - Message locale
  * @returns {string} Formatted WhatsApp message
  */
-function generateShipmentMessage (customerName, orderNumber, trackingNumber) {
-  if (trackingNumber) {
-    return `Hi ${customerName}, your order #${orderNumber} has been shipped! Track your package using tracking number ${trackingNumber}.`
+function generateShipmentMessage (customerName, orderNumber, tracking, shipmentDate = null, locale = DEFAULT_LOCALE) {
+  const tracks = Array.isArray(tracking)
+    ? tracking
+    : [tracking].filter(Boolean).map(trackingNumber => ({ trackingNumber }))
+
+  const values = {
+    customerName,
+    orderNumber,
+    shipmentDate: formatDate(shipmentDate || new Date(), locale)
+  }
+
+  if (tracks.length > 1) {
+    const header = translate(locale, 'shipmentWithPackages', { ...values, packageCount: tracks.length })
+    return [header, ...tracks.map(renderPackageLine)].join('\n')
+  } else if (tracks.length === 1) {
+    const { trackingNumber, trackingUrl } = tracks[0]
+    const key = trackingUrl ? 'shipmentWithTrackingUrl' : 'shipmentWithTracking'
+    return translate(locale, key, { ...values, trackingNumber, trackingUrl })
   } else {
-    return `Hi ${customerName}, your order #${orderNumber} has been shipped!`
+    return translate(locale, 'shipment', values)
   }
 }
 
@@ -45,46 +92,147 @@ function generateShipmentMessage (customerName, orderNumber, trackingNumber) {
  * Generate WhatsApp message for order cancellation
  * @param {string} customerName - Customer's full name
  * @param {string} orderNumber - Order number/increment ID
+ * @param {string} [locale] - Message locale
+ * @returns {string} Formatted WhatsApp message
+ */
+function generateCancellationMessage (customerName, orderNumber, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'orderCancelled', { customerName, orderNumber })
+}
+
+/**
+ * Generate WhatsApp message for payment captured (invoice created)
+ * @param {string} customerName - Customer's full name
+ * @param {string} orderNumber - Order number/increment ID
+ * @param {number} paidAmount - Invoiced amount
+ * @param {string} currency - Currency code
+ * @param {string} [locale] - Message locale
+ * @returns {string} Formatted WhatsApp message
+ */
+function generatePaymentReceivedMessage (customerName, orderNumber, paidAmount, currency, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'paymentReceived', {
+    customerName,
+    orderNumber,
+    paidAmount: formatCurrency(paidAmount, currency, locale)
+  })
+}
+
+/**
+ * Generate WhatsApp message for refund issued (credit memo created)
+ * @param {string} customerName - Customer's full name
+ * @param {string} orderNumber - Order number/increment ID
+ * @param {number} refundedAmount - Refunded amount
+ * @param {string} currency - Currency code
+ * @param {string} [locale] - Message locale
+ * @returns {string} Formatted WhatsApp message
+ */
+function generateRefundMessage (customerName, orderNumber, refundedAmount, currency, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'refundIssued', {
+    customerName,
+    orderNumber,
+    refundedAmount: formatCurrency(refundedAmount, currency, locale)
+  })
+}
+
+/**
+ * Generate WhatsApp message for order put on hold
+ * @param {string} customerName - Customer's full name
+ * @param {string} orderNumber - Order number/increment ID
+ * @param {string} [locale] - Message locale
  * @returns {string} Formatted WhatsApp message
  */
-function generateCancellationMessage (customerName, orderNumber) {
-  return `Hi ${customerName}, your order #${orderNumber} has been cancelled. If you have any questions, please contact us.`
+function generateOrderHoldMessage (customerName, orderNumber, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'orderHold', { customerName, orderNumber })
+}
+
+/**
+ * Generate WhatsApp message for order released from hold
+ * @param {string} customerName - Customer's full name
+ * @param {string} orderNumber - Order number/increment ID
+ * @param {string} [locale] - Message locale
+ * @returns {string} Formatted WhatsApp message
+ */
+function generateOrderUnholdMessage (customerName, orderNumber, locale = DEFAULT_LOCALE) {
+  return translate(locale, 'orderUnhold', { customerName, orderNumber })
+}
+
+/**
+ * Build the placeholder values available to operator-defined templates
+ * @param {object} orderData - Order data object
+ * @param {string} customerName - Customer's full name
+ * @param {string} orderNumber - Order number
+ * @param {object} shipmentData - Shipment data (optional)
+ * @param {string} locale - Message locale
+ * @param {object} [context] - Event context (carrierUrls, invoiceData, creditmemoData, brandName)
+ * @returns {object} Placeholder values, formatted for the locale
+ */
+function buildTemplateValues (orderData, customerName, orderNumber, shipmentData, locale, context = {}) {
+  const { carrierUrls = {}, invoiceData = null, creditmemoData = null, brandName = null } = context
+  const [firstTrack] = resolveTracks(shipmentData, carrierUrls)
+  const paid = extractInvoiceAmount(invoiceData, orderData)
+  const refund = extractRefundAmount(creditmemoData, orderData)
+
+  return {
+    customerName,
+    customerEmail: orderData.customer_email,
+    orderNumber,
+    orderTotal: formatCurrency(orderData.grand_total, orderData.order_currency_code, locale),
+    orderCurrency: orderData.order_currency_code,
+    orderDate: formatDate(orderData.created_at || new Date(), locale),
+    orderStatus: translateStatus(locale, orderData.status || orderData.state),
+    trackingNumber: firstTrack?.trackingNumber,
+    trackingUrl: firstTrack?.trackingUrl,
+    shipmentDate: shipmentData ? formatDate(shipmentData.created_at || new Date(), locale) : '',
+    paidAmount: formatCurrency(paid.amount, paid.currency, locale),
+    refundedAmount: formatCurrency(refund.amount, refund.currency, locale),
+    brandName: brandName || ''
+  }
 }
 
 /**
  * Generate message based on event type
+ * Uses the operator template for the event and locale when one is configured,
+ * otherwise the message builder of the handler registered for the event type
  * @param {string} eventType - Type of event
  * @param {object} orderData - Order data object
  * @param {string} customerName - Customer's full name
  * @param {string} orderNumber - Order number
  * @param {object} shipmentData - Shipment data (optional)
+ * @param {string} [locale] - Message locale
+ * @param {object} [templates] - Operator-defined templates from loadMessageTemplates
+ * @param {object} [options] - Additional message options
+ * @param {object} [options.summary] - Order summary options from getOrderSummaryOptions
+ * @param {object} [options.carrierUrls] - Custom carrier URL patterns from parseCarrierUrls
+ * @param {object} [options.invoiceData] - Invoice data of invoice events
+ * @param {object} [options.creditmemoData] - Credit memo data of credit memo events
+ * @param {string} [options.previousStatus] - Last known order status, used to detect orders released from hold
+ * @param {string} [options.brandName] - Brand of the store, prefixed to built-in messages
  * @returns {string} Generated message
  */
-function generateMessageByEventType (eventType, orderData, customerName, orderNumber, shipmentData = null) {
-  // Use exact matching to avoid false positives from substring matching
-  const isOrderCancelled = eventType === 'com.adobe.commerce.observer.sales_order_cancel_after'
-  const isOrderPlaced = eventType === 'com.adobe.commerce.observer.sales_order_place_after'
-  const isShipmentCreated = eventType === 'com.adobe.commerce.observer.sales_order_shipment_save_after'
-  const isOrderSaved = eventType === 'com.adobe.commerce.observer.sales_order_save_after'
-
-  const orderTotal = orderData.grand_total
-  const orderCurrency = orderData.order_currency_code
-  const orderStatus = orderData.status || orderData.state
-
-  if (isOrderCancelled) {
-    return generateCancellationMessage(customerName, orderNumber)
-  } else if (isOrderPlaced) {
-    return generateOrderPlacedMessage(customerName, orderNumber, orderTotal, orderCurrency)
-  } else if (isShipmentCreated) {
-    const trackingNumber = shipmentData?.tracks?.[0]?.track_number ||
-                          shipmentData?.tracks?.[0]?.number
-    return generateShipmentMessage(customerName, orderNumber, trackingNumber)
-  } else if (isOrderSaved && orderStatus) {
-    return generateOrderStatusChangeMessage(customerName, orderNumber, orderStatus)
+function generateMessageByEventType (eventType, orderData, customerName, orderNumber, shipmentData = null, locale = DEFAULT_LOCALE, templates = null, options = {}) {
+  const { summary = null, ...context } = options
+  const handler = getEventHandler(eventType)
+
+  let message
+  const operatorTemplate = getOperatorTemplate(templates, eventType, locale)
+  if (operatorTemplate) {
+    message = interpolate(operatorTemplate, buildTemplateValues(orderData, customerName, orderNumber, shipmentData, locale, context))
+  } else if (handler) {
+    message = handler.buildMessage({ ...context, eventType, orderData, customerName, orderNumber, shipmentData, locale })
   } else {
     // Fallback for other order events
-    return generateOrderPlacedMessage(customerName, orderNumber, orderTotal, orderCurrency)
+    message = generateOrderPlacedMessage(customerName, orderNumber, orderData.grand_total, orderData.order_currency_code, orderData.created_at, locale)
+  }
+
+  // Operator templates place the brand themselves with {{brandName}}
+  if (context.brandName && !operatorTemplate) {
+    message = `${context.brandName}: ${message}`
   }
+
+  // Order confirmations can list what was ordered and where it ships to
+  if (handler?.includeOrderSummary) {
+    return appendOrderSummary(message, orderData, locale, summary)
+  }
+  return message
 }
 
 module.exports = {
@@ -92,6 +240,10 @@ module.exports = {
   generateOrderStatusChangeMessage,
   generateShipmentMessage,
   generateCancellationMessage,
-  generateMessageByEventType
+  generatePaymentReceivedMessage,
+  generateRefundMessage,
+  generateOrderHoldMessage,
+  generateOrderUnholdMessage,
+  generateMessageByEventType,
+  buildTemplateValues
 }
-
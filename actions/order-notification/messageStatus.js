@@ -0,0 +1,212 @@
+/**
+ * Message Status Module
+ * Persists the delivery lifecycle of sent messages, keyed by message SID and order number
+ *
+ * Twilio status callbacks can arrive out of order (e.g. "sent" after "delivered"),
+ * so a status only replaces the stored one when it is further along the lifecycle.
+ */
+
+const crypto = require('crypto')
+const { toStateKey } = require('./stateStore')
+
+/**
+ * Retention of message statuses (90 days)
+ */
+const MESSAGE_STATUS_TTL_SECONDS = 60 * 60 * 24 * 90
+
+/**
+ * Position of each Twilio message status in the delivery lifecycle
+ * Failures are final, like delivered; read comes last
+ */
+const STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4,
+  canceled: 4,
+  read: 5
+}
+
+/**
+ * Build the state key of a message
+ * @param {string} messageSid - Twilio message SID
+ * @returns {string} State key
+ */
+function messageKey (messageSid) {
+  return toStateKey('message', messageSid)
+}
+
+/**
+ * Build the state key linking a message to its order
+ * @param {string} orderNumber - Order number
+ * @param {string} messageSid - Twilio message SID
+ * @returns {string} State key
+ */
+function orderMessageKey (orderNumber, messageSid) {
+  return toStateKey('order', orderNumber, 'message', messageSid)
+}
+
+/**
+ * Get the rank of a status (unknown statuses rank first)
+ * @param {string} status - Twilio message status
+ * @returns {number} Lifecycle position
+ */
+function getStatusRank (status) {
+  return STATUS_RANK[String(status || '').toLowerCase()] ?? -1
+}
+
+/**
+ * Get the stored state of a message
+ * @param {object} store - State store instance
+ * @param {string} messageSid - Twilio message SID
+ * @returns {Promise<object|null>} Message record or null if unknown
+ */
+async function getMessageStatus (store, messageSid) {
+  return await store.get(messageKey(messageSid)) || null
+}
+
+/**
+ * Get the stored state of every message sent for an order
+ * @param {object} store - State store instance
+ * @param {string} orderNumber - Order number
+ * @returns {Promise<Array<object>>} Message records, oldest first
+ */
+async function getOrderMessages (store, orderNumber) {
+  const keys = await store.list(`${toStateKey('order', orderNumber, 'message')}.`)
+  const links = (await Promise.all(keys.map(key => store.get(key))))
+    .filter(Boolean)
+    .sort((a, b) => a.sentAt.localeCompare(b.sentAt))
+  const records = await Promise.all(links.map(link => getMessageStatus(store, link.messageSid)))
+  return records.filter(Boolean)
+}
+
+/**
+ * Merge a status update into a message record
+ * @param {object|null} record - Stored record
+ * @param {object} update - Fields of the update, with status
+ * @returns {object} Updated record
+ */
+function mergeStatus (record, update) {
+  const at = new Date().toISOString()
+  const current = record || { history: [] }
+  const { status, ...fields } = update
+  const isNewer = getStatusRank(status) >= getStatusRank(current.status)
+
+  return {
+    ...current,
+    ...fields,
+    status: isNewer ? status : current.status,
+    history: status ? [...current.history, { status, at }] : current.history,
+    updatedAt: at
+  }
+}
+
+/**
+ * Record a message accepted by Twilio
+ * @param {object} store - State store instance
+ * @param {string} messageSid - Twilio message SID
+ * @param {object} message - Object with orderNumber, eventType, to, channel, the initial status,
+ *   optional fallbackText (SMS text to send if WhatsApp reports the number unreachable) and
+ *   optional store (route key of the store in STORE_ROUTING)
+ * @returns {Promise<object>} Message record
+ */
+async function recordMessageSent (store, messageSid, message) {
+  // A status callback may already have been stored for this message
+  const record = mergeStatus(await getMessageStatus(store, messageSid), { ...message, messageSid })
+  await store.put(messageKey(messageSid), record, { ttl: MESSAGE_STATUS_TTL_SECONDS })
+
+  if (message.orderNumber) {
+    await store.put(
+      orderMessageKey(message.orderNumber, messageSid),
+      { messageSid, sentAt: new Date().toISOString() },
+      { ttl: MESSAGE_STATUS_TTL_SECONDS }
+    )
+  }
+  return record
+}
+
+/**
+ * Apply a Twilio status callback to the stored message state
+ * @param {object} store - State store instance
+ * @param {object} callback - Callback form fields (MessageSid, MessageStatus, ErrorCode, ErrorMessage)
+ * @returns {Promise<object>} Updated message record
+ */
+async function applyStatusCallback (store, callback) {
+  const messageSid = callback.MessageSid
+  const update = {
+    messageSid,
+    status: String(callback.MessageStatus || '').toLowerCase(),
+    ...(callback.ErrorCode && {
+      errorCode: callback.ErrorCode,
+      errorMessage: callback.ErrorMessage || null
+    })
+  }
+
+  const record = mergeStatus(await getMessageStatus(store, messageSid), update)
+  await store.put(messageKey(messageSid), record, { ttl: MESSAGE_STATUS_TTL_SECONDS })
+  return record
+}
+
+/**
+ * Claim the SMS fallback of a message before sending it, so concurrent callbacks
+ * of the message (e.g. failed then undelivered) do not both send the SMS
+ * State has no conditional write: every claimant writes its token and the last
+ * write wins, like bursts in coalescing.js
+ * @param {object} store - State store instance
+ * @param {string} messageSid - Twilio SID of the undelivered message
+ * @returns {Promise<boolean>} True if the fallback was claimed, false if another callback holds it
+ */
+async function claimFallback (store, messageSid) {
+  const key = toStateKey('fallback', messageSid)
+  if (await store.get(key)) {
+    return false
+  }
+  const token = crypto.randomUUID()
+  await store.put(key, { token, claimedAt: new Date().toISOString() }, { ttl: MESSAGE_STATUS_TTL_SECONDS })
+  const claim = await store.get(key)
+  return claim?.token === token
+}
+
+/**
+ * Release the claim of an SMS fallback that could not be sent, so a later callback can try again
+ * @param {object} store - State store instance
+ * @param {string} messageSid - Twilio SID of the undelivered message
+ * @returns {Promise<void>}
+ */
+async function releaseFallback (store, messageSid) {
+  await store.delete(toStateKey('fallback', messageSid))
+}
+
+/**
+ * Link a message to the SMS sent in its place, and forget its fallback text
+ * @param {object} store - State store instance
+ * @param {string} messageSid - Twilio SID of the undelivered message
+ * @param {string} fallbackSid - Twilio SID of the SMS
+ * @returns {Promise<object|null>} Updated message record, or null if unknown
+ */
+async function recordFallbackSent (store, messageSid, fallbackSid) {
+  const record = await getMessageStatus(store, messageSid)
+  if (!record) {
+    return null
+  }
+  const updated = { ...record, fallbackSid }
+  delete updated.fallbackText
+  await store.put(messageKey(messageSid), updated, { ttl: MESSAGE_STATUS_TTL_SECONDS })
+  return updated
+}
+
+module.exports = {
+  recordMessageSent,
+  applyStatusCallback,
+  recordFallbackSent,
+  claimFallback,
+  releaseFallback,
+  getMessageStatus,
+  getOrderMessages,
+  getStatusRank,
+  MESSAGE_STATUS_TTL_SECONDS
+}
@@ -0,0 +1,167 @@
+/**
+ * Message Templates Module
+ * Loads and validates operator-defined message templates (MESSAGE_TEMPLATES input)
+ *
+ * MESSAGE_TEMPLATES is a JSON object (or a YAML mapping in app.config.yaml) keyed
+ * by event type, the `com.adobe.commerce.observer.` prefix may be omitted. Each
+ * value is either a single template or templates per locale:
+ *
+ *   {
+ *     "sales_order_place_after": "Hi {{customerName}}, order #{{orderNumber}} is confirmed!",
+ *     "sales_order_cancel_after": {
+ *       "en": "Hi {{customerName}}, order #{{orderNumber}} was cancelled.",
+ *       "de": "Hallo {{customerName}}, Bestellung #{{orderNumber}} wurde storniert."
+ *     }
+ *   }
+ *
+ * Event types and locales without an operator template use the built-in messages.
+ */
+
+const { parseJsonInput } = require('../utils')
+const { getRegisteredEventTypes, normalizeEventType } = require('./eventRegistry')
+const { getLocaleCandidates, DEFAULT_LOCALE } = require('./messageCatalog')
+
+/**
+ * Placeholders available in message templates
+ */
+const TEMPLATE_PLACEHOLDERS = [
+  'customerName',
+  'customerEmail',
+  'orderNumber',
+  'orderTotal',
+  'orderCurrency',
+  'orderDate',
+  'orderStatus',
+  'trackingNumber',
+  'trackingUrl',
+  'shipmentDate',
+  'paidAmount',
+  'refundedAmount',
+  'brandName'
+]
+
+// Validated templates for the last seen configuration, reused while the container is warm
+let cache = { source: undefined, result: null }
+
+/**
+ * Find the {{placeholder}} names used in a template
+ * @param {string} template - Template text
+ * @returns {Array<string>} Placeholder names
+ */
+function findPlaceholders (template) {
+  return [...template.matchAll(/{{\s*(\w+)\s*}}/g)].map(match => match[1])
+}
+
+/**
+ * Validate a parsed template configuration
+ * @param {object} config - Parsed MESSAGE_TEMPLATES value
+ * @returns {object} Object with templates keyed by full event type, errors and warnings
+ */
+function validateMessageTemplates (config) {
+  const errors = []
+  const warnings = []
+  const templates = {}
+  const eventTypes = getRegisteredEventTypes()
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return { templates, errors: ['MESSAGE_TEMPLATES must be an object keyed by event type'], warnings }
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const eventType = normalizeEventType(key)
+    if (!eventTypes.includes(eventType)) {
+      errors.push(`Unknown event type: ${key}`)
+      continue
+    }
+
+    const localized = typeof value === 'string' ? { '*': value } : value
+    if (!localized || typeof localized !== 'object' || Array.isArray(localized)) {
+      errors.push(`Template for ${key} must be a string or an object keyed by locale`)
+      continue
+    }
+
+    for (const [locale, template] of Object.entries(localized)) {
+      const label = locale === '*' ? key : `${key} (${locale})`
+      if (typeof template !== 'string' || !template.trim()) {
+        errors.push(`Template for ${label} must be a non-empty string`)
+        continue
+      }
+      for (const placeholder of findPlaceholders(template)) {
+        if (!TEMPLATE_PLACEHOLDERS.includes(placeholder)) {
+          errors.push(`Unknown placeholder {{${placeholder}}} in template for ${label}`)
+        }
+      }
+    }
+
+    templates[eventType] = Object.fromEntries(
+      Object.entries(localized).map(([locale, template]) => [locale.toLowerCase().replace(/_/g, '-'), template])
+    )
+  }
+
+  for (const eventType of eventTypes) {
+    if (!templates[eventType]) {
+      warnings.push(`No template configured for ${eventType}, using built-in messages`)
+    }
+  }
+
+  return { templates, errors, warnings }
+}
+
+/**
+ * Load the operator-defined message templates
+ * @param {string|object} config - MESSAGE_TEMPLATES input
+ * @returns {object} Object with templates (null if not configured), errors and warnings
+ */
+function loadMessageTemplates (config) {
+  if (!config) {
+    return { templates: null, errors: [], warnings: [] }
+  }
+
+  const source = typeof config === 'string' ? config : JSON.stringify(config)
+  if (cache.source === source) {
+    return cache.result
+  }
+
+  let result
+  try {
+    result = validateMessageTemplates(parseJsonInput(config, 'MESSAGE_TEMPLATES'))
+  } catch (error) {
+    result = { templates: null, errors: [error.message], warnings: [] }
+  }
+
+  cache = { source, result }
+  return result
+}
+
+/**
+ * Get the operator template for an event type and locale
+ * The locale and language of the message come first, then the locale-neutral "*"
+ * template, and the default language last (a "de-DE" order gets "*" rather than "en")
+ * @param {object|null} templates - Templates from loadMessageTemplates
+ * @param {string} eventType - Full event type
+ * @param {string} locale - Message locale
+ * @returns {string|null} Template text, or null to use the built-in messages
+ */
+function getOperatorTemplate (templates, eventType, locale) {
+  const localized = templates?.[eventType]
+  if (!localized) {
+    return null
+  }
+
+  const candidates = getLocaleCandidates(locale)
+  const ownCandidates = candidates.filter(candidate => candidate.split('-')[0] === candidates[0].split('-')[0])
+  for (const candidate of [...ownCandidates, '*', DEFAULT_LOCALE]) {
+    if (localized[candidate]) {
+      return localized[candidate]
+    }
+  }
+  return null
+}
+
+module.exports = {
+  loadMessageTemplates,
+  validateMessageTemplates,
+  getOperatorTemplate,
+  findPlaceholders,
+  TEMPLATE_PLACEHOLDERS
+}
@@ -0,0 +1,67 @@
+/**
+ * Messaging Providers Module
+ * Selects the provider WhatsApp notifications are sent through, from the MESSAGING_PROVIDER input
+ *
+ * A provider defines:
+ *   - templatesInput: the input mapping event types to its approved templates
+ *   - templateFields: the fields every template of that input must define
+ *   - buildTemplateContent(template, contentVariables): the content sent for a template
+ *   - sendWhatsApp(params, to, content, logger): sends a message and resolves to the common result
+ *     { success, messageSid, status, attempts } or { success: false, error, errorCode, retryable, attempts },
+ *     where messageSid is the provider's message id (Twilio SID or Meta wamid)
+ */
+
+const { sendWhatsAppMessage, getTwilioConfig } = require('./twilioService')
+const { sendMetaWhatsAppMessage, getMetaConfig } = require('./metaCloudService')
+
+/**
+ * Provider used when MESSAGING_PROVIDER is not set
+ */
+const DEFAULT_PROVIDER = 'twilio'
+
+/**
+ * Supported providers by name
+ */
+const PROVIDERS = {
+  twilio: {
+    name: 'twilio',
+    templatesInput: 'TWILIO_CONTENT_TEMPLATES',
+    templateFields: ['contentSid'],
+    buildTemplateContent: (template, contentVariables) => ({
+      contentSid: template.contentSid,
+      contentVariables
+    }),
+    sendWhatsApp: (params, to, content, logger) => sendWhatsAppMessage(getTwilioConfig(params), to, content, logger)
+  },
+  meta: {
+    name: 'meta',
+    templatesInput: 'META_CONTENT_TEMPLATES',
+    templateFields: ['name', 'language'],
+    buildTemplateContent: (template, contentVariables) => ({
+      templateName: template.name,
+      language: template.language,
+      contentVariables
+    }),
+    sendWhatsApp: (params, to, content, logger) => sendMetaWhatsAppMessage(getMetaConfig(params), to, content, logger)
+  }
+}
+
+/**
+ * Get the configured messaging provider
+ * @param {object} params - Action parameters
+ * @returns {object} Provider
+ * @throws {Error} If MESSAGING_PROVIDER names an unknown provider
+ */
+function getMessagingProvider (params) {
+  const name = String(params.MESSAGING_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase()
+  const provider = PROVIDERS[name]
+  if (!provider) {
+    throw new Error(`Unknown messaging provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`)
+  }
+  return provider
+}
+
+module.exports = {
+  getMessagingProvider,
+  DEFAULT_PROVIDER
+}
@@ -0,0 +1,202 @@
+/**
+ * Meta Cloud Service Module
+ * Handles WhatsApp message sending via the Meta WhatsApp Cloud API
+ *
+ * Messages are posted to https://graph.facebook.com/{version}/{META_PHONE_NUMBER_ID}/messages
+ * with the META_ACCESS_TOKEN of a system user of the WhatsApp Business account.
+ */
+
+const fetch = require('node-fetch')
+const { formatPhoneNumber } = require('./phoneUtils')
+const { sendWithRetry, getRetryOptions, classifyNetworkError } = require('./retryPolicy')
+
+/**
+ * Graph API origin, and the version used when not configured
+ */
+const GRAPH_API_URL = 'https://graph.facebook.com'
+const DEFAULT_GRAPH_API_VERSION = 'v21.0'
+
+/**
+ * Time a Graph API request may take when META_API_TIMEOUT_MS is not set (30 seconds, like the Twilio client)
+ */
+const DEFAULT_API_TIMEOUT_MS = 30000
+
+/**
+ * Graph API error codes of throttled requests
+ * 4 (app rate limit), 80007 (WhatsApp Business account rate limit),
+ * 130429 (throughput reached), 131056 (too many messages to the same number)
+ */
+const META_RATE_LIMIT_CODES = [4, 80007, 130429, 131056]
+
+/**
+ * Build the Meta Cloud API configuration from action parameters
+ * @param {object} params - Action parameters
+ * @returns {object} Configuration for sendMetaWhatsAppMessage
+ */
+function getMetaConfig (params) {
+  return {
+    accessToken: params.META_ACCESS_TOKEN,
+    phoneNumberId: params.META_PHONE_NUMBER_ID,
+    apiVersion: params.META_GRAPH_API_VERSION || DEFAULT_GRAPH_API_VERSION,
+    timeoutMs: parseInt(params.META_API_TIMEOUT_MS, 10) > 0 ? parseInt(params.META_API_TIMEOUT_MS, 10) : DEFAULT_API_TIMEOUT_MS,
+    retry: getRetryOptions(params)
+  }
+}
+
+/**
+ * Classify a Meta Cloud API send error
+ * Throttling, Graph API server errors (5xx) and connections that could not be opened
+ * are retryable; lost responses (the message may have been sent) and other API errors
+ * (invalid number, template rejected...) are permanent
+ * @param {Error} error - Error with the HTTP status and Graph API error code
+ * @returns {object} Object with retryable flag and reason
+ */
+function classifyMetaError (error) {
+  const status = Number(error?.status)
+  if (status === 429 || META_RATE_LIMIT_CODES.includes(error?.code)) {
+    return { retryable: true, reason: 'rate_limited' }
+  }
+  if (status >= 500) {
+    return { retryable: true, reason: 'server_error' }
+  }
+  const networkError = classifyNetworkError(error)
+  if (networkError) {
+    return networkError
+  }
+  if (status >= 400) {
+    return { retryable: false, reason: 'client_error' }
+  }
+  return { retryable: false, reason: 'unknown' }
+}
+
+/**
+ * Build the Cloud API request body of a message
+ * @param {string} to - Recipient phone number in E.164 format
+ * @param {string|object} message - Free-form text, or { templateName, language, contentVariables } for an approved template
+ * @returns {object} Request body
+ */
+function buildMetaMessage (to, message) {
+  const base = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: to.replace(/^\+/, '')
+  }
+
+  if (message && typeof message === 'object' && message.templateName) {
+    // Template parameters are positional, in the order of their placeholders
+    const parameters = Object.entries(message.contentVariables || {})
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([, text]) => ({ type: 'text', text }))
+    return {
+      ...base,
+      type: 'template',
+      template: {
+        name: message.templateName,
+        language: { code: message.language },
+        components: parameters.length > 0 ? [{ type: 'body', parameters }] : []
+      }
+    }
+  }
+
+  return {
+    ...base,
+    type: 'text',
+    text: { preview_url: false, body: message }
+  }
+}
+
+/**
+ * Post a message to the Cloud API
+ * Requests taking longer than the configured timeout are aborted, so a hung
+ * connection cannot use up the action's time limit
+ * @param {object} config - Meta Cloud API configuration
+ * @param {object} body - Request body
+ * @returns {Promise<object>} Object with messageSid (the wamid) and status
+ * @throws {Error} With status and code when the Graph API rejects the message, or code ETIMEDOUT when it does not answer in time
+ */
+async function postMessage (config, body) {
+  const url = `${GRAPH_API_URL}/${config.apiVersion}/${config.phoneNumberId}/messages`
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), config.timeoutMs)
+
+  let response
+  let result
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${config.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    })
+    result = await response.json().catch(error => {
+      if (error.name === 'AbortError') {
+        throw error
+      }
+      return {}
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw Object.assign(new Error(`Meta Cloud API did not respond within ${config.timeoutMs}ms`), { code: 'ETIMEDOUT' })
+    }
+    throw error
+  } finally {
+    clearTimeout(timeout)
+  }
+
+  if (!response.ok) {
+    const message = result.error?.message || `Meta Cloud API responded with ${response.status}`
+    throw Object.assign(new Error(message), { status: response.status, code: result.error?.code })
+  }
+
+  const sent = result.messages?.[0] || {}
+  return { messageSid: sent.id, status: sent.message_status || 'accepted' }
+}
+
+/**
+ * Send WhatsApp message via the Meta Cloud API
+ * Retryable errors are retried with exponential backoff and jitter
+ * @param {object} config - Meta Cloud API configuration from getMetaConfig
+ * @param {string} toPhoneNumber - Recipient phone number
+ * @param {string|object} message - Free-form text, or { templateName, language, contentVariables } for an approved template
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Object with success flag, messageSid and attempts, or error, errorCode and retryable
+ */
+async function sendMetaWhatsAppMessage (config, toPhoneNumber, message, logger) {
+  if (!config.accessToken || !config.phoneNumberId) {
+    const error = 'Meta Cloud API configuration missing - WhatsApp notifications will not be sent'
+    logger.warn(error)
+    return {
+      success: false,
+      error: error,
+      retryable: false,
+      attempts: 0
+    }
+  }
+
+  const to = formatPhoneNumber(toPhoneNumber)
+  if (!to) {
+    logger.error('Failed to send WhatsApp message: Invalid phone number format')
+    return {
+      success: false,
+      error: 'Invalid phone number format',
+      retryable: false,
+      attempts: 0
+    }
+  }
+
+  const body = buildMetaMessage(to, message)
+  return sendWithRetry(attempt => {
+    logger.info(`Sending WhatsApp to ${to} via Meta Cloud API (attempt ${attempt})`)
+    return postMessage(config, body)
+  }, classifyMetaError, config.retry, 'WhatsApp', logger)
+}
+
+module.exports = {
+  sendMetaWhatsAppMessage,
+  buildMetaMessage,
+  classifyMetaError,
+  getMetaConfig
+}
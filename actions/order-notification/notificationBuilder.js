@@ -0,0 +1,85 @@
+/**
+ * Notification Builder Module
+ * Renders the message of an event and resolves the content sent to Twilio
+ *
+ * Shared by the order-notification action and the notification-replay action,
+ * so a replayed notification is rendered exactly like the original one.
+ */
+
+const { extractOrderInfo } = require('./orderDataExtractor')
+const { generateMessageByEventType, buildTemplateValues } = require('./messageGenerator')
+const { resolveMessageContent } = require('./contentTemplates')
+const { resolveLocale } = require('./localeUtils')
+const { getOrderSummaryOptions } = require('./orderSummary')
+const { parseCarrierUrls } = require('./carrierTracking')
+
+/**
+ * Build the notification of an event
+ * @param {string} eventType - Event type
+ * @param {object} eventData - Object with orderData, shipmentData, invoiceData, creditmemoData and previousStatus
+ * @param {object} params - Action parameters
+ * @param {object|null} templates - Operator-defined message templates
+ * @param {object} logger - Logger instance
+ * @returns {object} Object with locale, the free-form message, and the content to send or contentError
+ */
+function buildNotification (eventType, eventData, params, templates, logger) {
+  const { orderData, shipmentData = null, invoiceData = null, creditmemoData = null, previousStatus = null } = eventData
+  const orderInfo = extractOrderInfo(orderData)
+  const { customerName, orderNumber } = orderInfo
+
+  // Generate message based on event type, in the store's language
+  const locale = resolveLocale(orderData, params, logger)
+  let carrierUrls = {}
+  try {
+    carrierUrls = parseCarrierUrls(params.CARRIER_TRACKING_URLS)
+  } catch (error) {
+    logger.warn(`Ignoring custom carrier tracking URLs: ${error.message}`)
+  }
+  const brandName = params.BRAND_NAME || null
+  const message = generateMessageByEventType(
+    eventType,
+    orderData,
+    customerName,
+    orderNumber,
+    shipmentData,
+    locale,
+    templates,
+    {
+      summary: getOrderSummaryOptions(params),
+      carrierUrls,
+      invoiceData,
+      creditmemoData,
+      previousStatus,
+      brandName
+    }
+  )
+
+  // Use the approved WhatsApp template for this event when one is configured
+  const formattedValues = buildTemplateValues(orderData, customerName, orderNumber, shipmentData, locale, {
+    carrierUrls,
+    invoiceData,
+    creditmemoData,
+    brandName
+  })
+  const { content, error: contentError } = resolveMessageContent(
+    eventType,
+    message,
+    {
+      ...orderInfo,
+      formattedTotal: formattedValues.orderTotal,
+      orderDate: formattedValues.orderDate,
+      trackingNumber: formattedValues.trackingNumber,
+      trackingUrl: formattedValues.trackingUrl,
+      paidAmount: formattedValues.paidAmount,
+      refundedAmount: formattedValues.refundedAmount,
+      brandName: formattedValues.brandName
+    },
+    params
+  )
+
+  return { locale, message, content, contentError }
+}
+
+module.exports = {
+  buildNotification
+}
@@ -1,9 +1,10 @@
 /**
  * Order Data Extractor Module
- * Extracts order and shipment data from event payload
+ * Extracts order, shipment, invoice and credit memo data from event payload
  */
 
 const { errorResponse } = require('../utils')
+const { getEventHandler } = require('./eventRegistry')
 
 /**
  * Extract shipment data from event payload
@@ -14,18 +15,36 @@ function extractShipmentData (data) {
   return data?.value?.shipment || null
 }
 
+/**
+ * Extract invoice data from event payload
+ * @param {object} data - Event data object
+ * @returns {object|null} Invoice data or null if not found
+ */
+function extractInvoiceData (data) {
+  return data?.value?.invoice || null
+}
+
+/**
+ * Extract credit memo data from event payload
+ * @param {object} data - Event data object
+ * @returns {object|null} Credit memo data or null if not found
+ */
+function extractCreditmemoData (data) {
+  return data?.value?.creditmemo || null
+}
+
 /**
  * Extract order data from event payload
- * Handles both standard order events and shipment events
+ * Handles standard order events and shipment, invoice and credit memo events
  * @param {object} data - Event data object
- * @param {object} shipmentData - Shipment data (if available)
- * @param {boolean} isShipmentEvent - Whether this is a shipment event
+ * @param {object} entityData - Shipment, invoice or credit memo data (if available)
+ * @param {boolean} isEntityEvent - Whether this is a shipment, invoice or credit memo event
  * @returns {object|null} Order data or null if not found
  */
-function extractOrderData (data, shipmentData = null, isShipmentEvent = false) {
-  if (isShipmentEvent && shipmentData) {
-    // For shipment events, order might be nested in shipment.order
-    return shipmentData.order || data?.value?.order || data?.value || null
+function extractOrderData (data, entityData = null, isEntityEvent = false) {
+  if (isEntityEvent && entityData) {
+    // For shipment, invoice and credit memo events, order might be nested in the entity
+    return entityData.order || data?.value?.order || data?.value || null
   } else {
     // Standard order events - order data is directly in data.value
     return data?.value?.order || data?.value || null
@@ -63,45 +82,179 @@ function extractTrackingNumber (shipmentData) {
 }
 
 /**
- * Extract order and shipment data from event
+ * Extract the captured amount of an invoice
+ * Falls back to the order's paid total when the invoice is not in the payload
+ * @param {object} invoiceData - Invoice data object
+ * @param {object} orderData - Order data object
+ * @returns {object} Object with amount and currency
+ */
+function extractInvoiceAmount (invoiceData, orderData) {
+  return {
+    amount: invoiceData?.grand_total ?? orderData?.total_paid ?? orderData?.grand_total ?? null,
+    currency: invoiceData?.order_currency_code || orderData?.order_currency_code || null
+  }
+}
+
+/**
+ * Extract the refunded amount of a credit memo
+ * Falls back to the order's refunded total when the credit memo is not in the payload
+ * @param {object} creditmemoData - Credit memo data object
+ * @param {object} orderData - Order data object
+ * @returns {object} Object with amount and currency
+ */
+function extractRefundAmount (creditmemoData, orderData) {
+  return {
+    amount: creditmemoData?.grand_total ?? orderData?.total_refunded ?? null,
+    currency: creditmemoData?.order_currency_code || orderData?.order_currency_code || null
+  }
+}
+
+/**
+ * Extract all tracks (packages) of a shipment
+ * @param {object} shipmentData - Shipment data object
+ * @returns {Array<object>} Tracks with trackingNumber, carrierCode and title
+ */
+function extractTracks (shipmentData) {
+  if (!Array.isArray(shipmentData?.tracks)) {
+    return []
+  }
+
+  return shipmentData.tracks
+    .map(track => ({
+      trackingNumber: track.track_number || track.number || null,
+      carrierCode: track.carrier_code || null,
+      title: track.title || null
+    }))
+    .filter(track => track.trackingNumber)
+}
+
+/**
+ * Extract the visible line items of an order
+ * Child items of configurable/bundle products (with parent_item_id) are skipped
+ * @param {object} orderData - Order data object
+ * @returns {Array<object>} Line items with name, qty and rowTotal
+ */
+function extractLineItems (orderData) {
+  if (!Array.isArray(orderData?.items)) {
+    return []
+  }
+
+  return orderData.items
+    .filter(item => !item.parent_item_id && item.name)
+    .map(item => {
+      const qty = Number(item.qty_ordered ?? item.qty ?? 1)
+      const rowTotal = item.row_total ?? (item.price !== undefined ? Number(item.price) * qty : null)
+      return { name: item.name, qty, rowTotal }
+    })
+}
+
+/**
+ * Extract the shipping address of an order
+ * @param {object} orderData - Order data object
+ * @returns {object|null} Shipping address or null if not found
+ */
+function extractShippingAddress (orderData) {
+  const fromAddresses = Array.isArray(orderData?.addresses)
+    ? orderData.addresses.find(address => address.address_type === 'shipping')
+    : null
+  return fromAddresses || orderData?.shipping_address || null
+}
+
+/**
+ * Extract the shipping method description of an order
+ * @param {object} orderData - Order data object
+ * @returns {string|null} Shipping method description or null if not found
+ */
+function extractShippingMethod (orderData) {
+  return orderData?.shipping_description || orderData?.shipping_method || null
+}
+
+/**
+ * Readable names of the entities carried by entity events, used in error messages
+ */
+const ENTITY_LABELS = {
+  shipment: 'shipment',
+  invoice: 'invoice',
+  creditmemo: 'credit memo'
+}
+
+/**
+ * Extract order data from an order event (order data directly in data.value)
  * @param {object} params - Event parameters
- * @param {string} eventType - Event type
  * @param {object} logger - Logger instance
- * @returns {object} Object with orderData and shipmentData, or error response
+ * @returns {object} Object with orderData, or error response
  */
-function extractEventData (params, eventType, logger) {
-  const isShipmentEvent = eventType.includes('sales_order_shipment_save_after')
+function extractOrderEventData (params, logger) {
+  const orderData = extractOrderData(params.data)
+  if (!orderData) {
+    logger.error('No order data found in event')
+    const error = errorResponse(400, 'Missing order data', logger)
+    return { error }
+  }
 
-  let shipmentData = null
-  if (isShipmentEvent) {
-    shipmentData = extractShipmentData(params.data)
+  return {
+    orderData,
+    shipmentData: null,
+    invoiceData: null,
+    creditmemoData: null
   }
+}
 
-  const orderData = extractOrderData(params.data, shipmentData, isShipmentEvent)
+/**
+ * Extract order and entity data from a shipment, invoice or credit memo event
+ * @param {object} params - Event parameters
+ * @param {string} entity - Entity key in data.value ('shipment', 'invoice' or 'creditmemo')
+ * @param {object} logger - Logger instance
+ * @returns {object} Object with orderData and <entity>Data, or error response
+ */
+function extractEntityEventData (params, entity, logger) {
+  const entityData = params.data?.value?.[entity] || null
+  const orderData = extractOrderData(params.data, entityData, Boolean(entityData))
+  const label = ENTITY_LABELS[entity] || entity
 
   if (!orderData) {
-    if (isShipmentEvent && !shipmentData) {
-      logger.error('No shipment or order data found in shipment event')
-      const error = errorResponse(400, 'Missing shipment data', logger)
-      return { error }
-    } else {
-      logger.error('No order data found in event')
-      const error = errorResponse(400, 'Missing order data', logger)
-      return { error }
-    }
+    logger.error(`No ${label} or order data found in ${label} event`)
+    const error = errorResponse(400, entityData ? 'Missing order data' : `Missing ${label} data`, logger)
+    return { error }
   }
 
   return {
     orderData,
-    shipmentData
+    shipmentData: null,
+    invoiceData: null,
+    creditmemoData: null,
+    [`${entity}Data`]: entityData
   }
 }
 
+/**
+ * Extract order and related entity data from event
+ * Uses the extractor of the handler registered for the event type
+ * @param {object} params - Event parameters
+ * @param {string} eventType - Event type
+ * @param {object} logger - Logger instance
+ * @returns {object} Object with orderData, shipmentData, invoiceData and creditmemoData, or error response
+ */
+function extractEventData (params, eventType, logger) {
+  const handler = getEventHandler(eventType)
+  return handler ? handler.extract(params, logger) : extractOrderEventData(params, logger)
+}
+
 module.exports = {
   extractShipmentData,
+  extractInvoiceData,
+  extractCreditmemoData,
   extractOrderData,
   extractOrderInfo,
   extractTrackingNumber,
+  extractTracks,
+  extractInvoiceAmount,
+  extractRefundAmount,
+  extractLineItems,
+  extractShippingAddress,
+  extractShippingMethod,
+  extractOrderEventData,
+  extractEntityEventData,
   extractEventData
 }
 
@@ -0,0 +1,124 @@
+/**
+ * Order Payload Schema Module
+ * JSON schema of the `data` of Commerce order events
+ *
+ * Order events carry the order in data.value (or data.value.order); shipment, invoice
+ * and credit memo events carry their entity in data.value.<entity>, with the order
+ * nested in it or next to it. The schema checks the shape of every field the
+ * notification reads; other fields are accepted as they are.
+ */
+
+/**
+ * Allow null on top of a JSON type, as Commerce serializes unset fields as null
+ * @param {string|Array<string>} type - JSON type(s)
+ * @returns {object} Schema accepting the type(s) or null
+ */
+function nullable (type) {
+  return { type: [...[].concat(type), 'null'] }
+}
+
+/**
+ * Commerce serializes identifiers and decimals either as numbers or as strings
+ */
+const NUMERIC = nullable(['number', 'string'])
+
+const ADDRESS_SCHEMA = {
+  type: 'object',
+  properties: {
+    address_type: nullable('string'),
+    telephone: nullable('string'),
+    country_id: nullable('string'),
+    firstname: nullable('string'),
+    lastname: nullable('string'),
+    street: nullable(['string', 'array']),
+    city: nullable('string'),
+    postcode: nullable('string')
+  }
+}
+
+const ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nullable('string'),
+    sku: nullable('string'),
+    qty: NUMERIC,
+    qty_ordered: NUMERIC,
+    price: NUMERIC,
+    row_total: NUMERIC,
+    parent_item_id: NUMERIC
+  }
+}
+
+/**
+ * Order fields, whether the order is data.value itself or nested in it
+ */
+const ORDER_PROPERTIES = {
+  entity_id: NUMERIC,
+  increment_id: NUMERIC,
+  store_id: NUMERIC,
+  status: nullable('string'),
+  state: nullable('string'),
+  customer_email: nullable('string'),
+  customer_firstname: nullable('string'),
+  customer_lastname: nullable('string'),
+  grand_total: NUMERIC,
+  total_paid: NUMERIC,
+  total_refunded: NUMERIC,
+  order_currency_code: nullable('string'),
+  shipping_description: nullable('string'),
+  shipping_method: nullable('string'),
+  shipping_address: { ...ADDRESS_SCHEMA, type: ['object', 'null'] },
+  addresses: { type: 'array', items: ADDRESS_SCHEMA },
+  items: { type: 'array', items: ITEM_SCHEMA }
+}
+
+const ORDER_SCHEMA = {
+  type: 'object',
+  properties: ORDER_PROPERTIES
+}
+
+const TRACK_SCHEMA = {
+  type: 'object',
+  properties: {
+    track_number: nullable('string'),
+    number: nullable('string'),
+    carrier_code: nullable('string'),
+    title: nullable('string')
+  }
+}
+
+/**
+ * Shipment, invoice or credit memo, with the tracks of shipments
+ */
+const ENTITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    entity_id: NUMERIC,
+    increment_id: NUMERIC,
+    grand_total: NUMERIC,
+    order_currency_code: nullable('string'),
+    tracks: { type: 'array', items: TRACK_SCHEMA },
+    order: ORDER_SCHEMA
+  }
+}
+
+const ORDER_EVENT_DATA_SCHEMA = {
+  type: 'object',
+  required: ['value'],
+  properties: {
+    value: {
+      type: 'object',
+      properties: {
+        ...ORDER_PROPERTIES,
+        order: ORDER_SCHEMA,
+        shipment: ENTITY_SCHEMA,
+        invoice: ENTITY_SCHEMA,
+        creditmemo: ENTITY_SCHEMA
+      }
+    }
+  }
+}
+
+module.exports = {
+  ORDER_EVENT_DATA_SCHEMA
+}
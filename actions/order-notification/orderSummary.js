@@ -0,0 +1,133 @@
+/**
+ * Order Summary Module
+ * Appends line items and shipping details to order messages within WhatsApp's length limit
+ */
+
+const { translate } = require('./messageCatalog')
+const { formatCurrency } = require('./localeUtils')
+const { extractLineItems, extractShippingAddress, extractShippingMethod } = require('./orderDataExtractor')
+
+/**
+ * Maximum message body length accepted by Twilio for WhatsApp
+ */
+const WHATSAPP_MAX_MESSAGE_LENGTH = 1600
+
+/**
+ * Maximum length of a product name in the summary
+ */
+const MAX_ITEM_NAME_LENGTH = 60
+
+/**
+ * Read the order summary options from action parameters
+ * @param {object} params - Action parameters
+ * @returns {object} Options with maxItems and includeShipping
+ */
+function getOrderSummaryOptions (params) {
+  const maxItems = parseInt(params.ORDER_SUMMARY_MAX_ITEMS, 10)
+  return {
+    maxItems: maxItems > 0 ? maxItems : 0,
+    includeShipping: String(params.ORDER_SUMMARY_SHIPPING) === 'true'
+  }
+}
+
+/**
+ * Shorten text to a maximum length, ending with an ellipsis when cut
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Shortened text
+ */
+function truncateText (text, maxLength) {
+  if (text.length <= maxLength) {
+    return text
+  }
+  return `${text.slice(0, maxLength - 1).trimEnd()}…`
+}
+
+/**
+ * Build a one-line shipping address (street, city postcode, country)
+ * @param {object} address - Address object
+ * @returns {string} Shortened address, or an empty string if no address
+ */
+function shortenAddress (address) {
+  if (!address) {
+    return ''
+  }
+  const street = Array.isArray(address.street) ? address.street[0] : address.street
+  const cityLine = [address.city, address.postcode].filter(Boolean).join(' ')
+  return [street, cityLine, address.country_id].filter(Boolean).join(', ')
+}
+
+/**
+ * Render a line item (e.g. "• 2 × Blue Shirt — $40.00")
+ * @param {object} item - Line item from extractLineItems
+ * @param {string} currency - Order currency code
+ * @param {string} locale - Message locale
+ * @returns {string} Rendered line
+ */
+function renderLineItem (item, currency, locale) {
+  const line = `• ${item.qty} × ${truncateText(item.name, MAX_ITEM_NAME_LENGTH)}`
+  const price = formatCurrency(item.rowTotal, currency, locale)
+  return price ? `${line} — ${price}` : line
+}
+
+/**
+ * Append the order summary to a message
+ * Items are dropped from the end (and counted in the "+N more items" line)
+ * until the message fits the WhatsApp length limit
+ * @param {string} message - Base message
+ * @param {object} orderData - Order data object
+ * @param {string} locale - Message locale
+ * @param {object} options - Options from getOrderSummaryOptions
+ * @param {number} [maxLength] - Maximum message length
+ * @returns {string} Message with summary
+ */
+function appendOrderSummary (message, orderData, locale, options, maxLength = WHATSAPP_MAX_MESSAGE_LENGTH) {
+  const { maxItems = 0, includeShipping = false } = options || {}
+  const items = maxItems > 0 ? extractLineItems(orderData) : []
+
+  const shippingLines = []
+  if (includeShipping) {
+    const shippingMethod = extractShippingMethod(orderData)
+    const shippingAddress = shortenAddress(extractShippingAddress(orderData))
+    if (shippingMethod) {
+      shippingLines.push(translate(locale, 'shippingMethod', { shippingMethod }))
+    }
+    if (shippingAddress) {
+      shippingLines.push(translate(locale, 'shippingAddress', { shippingAddress }))
+    }
+  }
+
+  if (items.length === 0 && shippingLines.length === 0) {
+    return truncateText(message, maxLength)
+  }
+
+  const compose = (shownCount) => {
+    const itemLines = items
+      .slice(0, shownCount)
+      .map(item => renderLineItem(item, orderData.order_currency_code, locale))
+    const hiddenCount = items.length - shownCount
+    if (hiddenCount > 0) {
+      itemLines.push(translate(locale, hiddenCount === 1 ? 'moreItem' : 'moreItems', { count: hiddenCount }))
+    }
+    return [message, itemLines.join('\n'), shippingLines.join('\n')]
+      .filter(Boolean)
+      .join('\n\n')
+  }
+
+  for (let shownCount = Math.min(maxItems, items.length); shownCount >= 0; shownCount--) {
+    const text = compose(shownCount)
+    if (text.length <= maxLength) {
+      return text
+    }
+  }
+
+  return truncateText(message, maxLength)
+}
+
+module.exports = {
+  appendOrderSummary,
+  getOrderSummaryOptions,
+  shortenAddress,
+  truncateText,
+  WHATSAPP_MAX_MESSAGE_LENGTH
+}
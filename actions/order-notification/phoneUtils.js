@@ -1,77 +1,87 @@
 /**
  * Phone Utilities Module
- * Handles phone number formatting and extraction from order data
+ * Handles phone number normalization and formatting
  */
 
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max')
+
 /**
- * Format phone number to E.164 format required by Twilio
- * E.164 format: +[country code][number] (e.g., +14155552671)
- * @param {string} phoneNumber - Phone number to format
- * @returns {string|null} Formatted phone number in E.164 format, or null if invalid
+ * Number types WhatsApp messages can be delivered to
+ * (FIXED_LINE_OR_MOBILE covers regions like the US where both share number ranges)
  */
-function formatPhoneNumber (phoneNumber) {
-  if (!phoneNumber) {
-    return null
-  }
+const MOBILE_CAPABLE_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE']
 
-  // Remove all non-digit characters except leading +
-  let cleaned = phoneNumber.replace(/[^\d+]/g, '')
-
-  // If it already starts with +, return as is (assuming it's already E.164)
-  if (cleaned.startsWith('+')) {
-    return cleaned
-  }
+/**
+ * Parse a phone number with the numbering plan of its region
+ * @param {string} phoneNumber - Phone number in national or international format
+ * @param {string} [defaultRegion] - ISO 3166 country code used for national numbers
+ * @returns {object|null} Parsed phone number, or null if it cannot be parsed
+ */
+function parsePhone (phoneNumber, defaultRegion) {
+  // Remove the whatsapp: prefix and all non-digit characters except leading +
+  let cleaned = String(phoneNumber).replace(/^whatsapp:/, '').replace(/[^\d+]/g, '')
 
   // If it starts with 00 (international format), replace with +
   if (cleaned.startsWith('00')) {
     cleaned = '+' + cleaned.substring(2)
-    return cleaned
-  }
-
-  // If it's a US number without country code, add +1
-  if (cleaned.length === 10) {
-    return '+1' + cleaned
-  }
-
-  // For other cases, try to add + if missing
-  if (!cleaned.startsWith('+')) {
-    return '+' + cleaned
   }
 
-  return cleaned
+  const region = String(defaultRegion || '').toUpperCase()
+  return parsePhoneNumberFromString(cleaned, isSupportedCountry(region) ? region : undefined) || null
 }
 
 /**
- * Extract phone number from order data
- * Checks multiple sources: addresses array, billing_address, shipping_address
- * @param {object} orderData - Order data object
- * @returns {string|null} Phone number or null if not found
+ * Normalize a phone number and check it can receive WhatsApp messages
+ * National numbers (e.g. "07911 123456") are read in the default region;
+ * international numbers (+ or 00 prefix) keep their own country code
+ * @param {string} phoneNumber - Phone number in national or international format
+ * @param {string} [defaultRegion] - ISO 3166 country code, usually the address country_id
+ * @returns {object} Object with valid, e164, region, type and reason
+ *   (missing, unknown_region, invalid_format, invalid_number or not_mobile when invalid)
  */
-function extractPhoneNumberFromOrder (orderData) {
-  if (!orderData) {
-    return null
+function normalizePhoneNumber (phoneNumber, defaultRegion = null) {
+  const result = { valid: false, e164: null, region: null, type: null, reason: null }
+  if (!phoneNumber) {
+    return { ...result, reason: 'missing' }
   }
 
-  // Check addresses array (billing is often first)
-  if (orderData.addresses && orderData.addresses.length > 0) {
-    for (const address of orderData.addresses) {
-      if (address.telephone) {
-        return address.telephone
-      }
-    }
+  const parsed = parsePhone(phoneNumber, defaultRegion)
+  if (!parsed) {
+    const isInternational = /^\s*(whatsapp:)?\s*(\+|00)/.test(String(phoneNumber))
+    const hasRegion = isSupportedCountry(String(defaultRegion || '').toUpperCase())
+    return { ...result, reason: isInternational || hasRegion ? 'invalid_format' : 'unknown_region' }
   }
 
-  // Fallback to billing_address
-  if (orderData.billing_address?.telephone) {
-    return orderData.billing_address.telephone
+  const details = {
+    e164: parsed.number,
+    region: parsed.country || null,
+    type: parsed.getType() || null
+  }
+  if (!parsed.isValid()) {
+    return { ...result, ...details, reason: 'invalid_number' }
   }
+  // Numbers the numbering plan cannot classify are given the benefit of the doubt
+  if (details.type && !MOBILE_CAPABLE_TYPES.includes(details.type)) {
+    return { ...result, ...details, reason: 'not_mobile' }
+  }
+
+  return { ...result, ...details, valid: true }
+}
 
-  // Fallback to shipping_address
-  if (orderData.shipping_address?.telephone) {
-    return orderData.shipping_address.telephone
+/**
+ * Format phone number to E.164 format required by Twilio
+ * E.164 format: +[country code][number] (e.g., +14155552671)
+ * @param {string} phoneNumber - Phone number to format
+ * @param {string} [defaultRegion] - ISO 3166 country code used for national numbers
+ * @returns {string|null} Formatted phone number in E.164 format, or null if invalid
+ */
+function formatPhoneNumber (phoneNumber, defaultRegion = null) {
+  if (!phoneNumber) {
+    return null
   }
 
-  return null
+  const parsed = parsePhone(phoneNumber, defaultRegion)
+  return parsed?.isValid() ? parsed.number : null
 }
 
 /**
@@ -84,12 +94,13 @@ function formatPhoneForWhatsApp (phoneNumber) {
   if (!formatted) {
     return null
   }
-  return formatted.startsWith('whatsapp:') ? formatted : `whatsapp:${formatted}`
+  return `whatsapp:${formatted}`
 }
 
 module.exports = {
+  normalizePhoneNumber,
   formatPhoneNumber,
-  extractPhoneNumberFromOrder,
-  formatPhoneForWhatsApp
+  formatPhoneForWhatsApp,
+  MOBILE_CAPABLE_TYPES
 }
 
@@ -0,0 +1,248 @@
+/**
+ * Quiet Hours Module
+ * Decides whether a notification should wait for the end of the store's quiet hours
+ *
+ * Quiet hours are a local time window (e.g. "21:00-08:00") from QUIET_HOURS, overridden
+ * per store code or store id by STORE_QUIET_HOURS ("off" disables them for a store).
+ * The local time is read in the store timezone from STORE_TIMEZONE_MAP, else in the
+ * timezone of the shipping address country, else in DEFAULT_TIMEZONE.
+ *
+ * Only non-urgent event types (QUIET_HOURS_EVENTS) are deferred.
+ */
+
+const { parseJsonInput } = require('../utils')
+const { normalizeEventType } = require('./eventRegistry')
+const { getStoreKeys } = require('./localeUtils')
+
+/**
+ * Event types deferred when QUIET_HOURS_EVENTS is not set: status changes and shipments,
+ * which Commerce often emits from overnight batch jobs
+ */
+const DEFAULT_QUIET_HOURS_EVENTS = ['sales_order_save_after', 'sales_order_shipment_save_after']
+
+/**
+ * Timezone used when neither the store nor the shipping country give one
+ */
+const DEFAULT_TIMEZONE = 'UTC'
+
+/**
+ * Timezone of countries that have a single one (countries spanning several
+ * timezones, like the US or Australia, need a STORE_TIMEZONE_MAP entry)
+ */
+const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai',
+  AT: 'Europe/Vienna',
+  BE: 'Europe/Brussels',
+  CH: 'Europe/Zurich',
+  CZ: 'Europe/Prague',
+  DE: 'Europe/Berlin',
+  DK: 'Europe/Copenhagen',
+  ES: 'Europe/Madrid',
+  FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris',
+  GB: 'Europe/London',
+  GR: 'Europe/Athens',
+  HK: 'Asia/Hong_Kong',
+  IE: 'Europe/Dublin',
+  IL: 'Asia/Jerusalem',
+  IN: 'Asia/Kolkata',
+  IT: 'Europe/Rome',
+  JP: 'Asia/Tokyo',
+  KR: 'Asia/Seoul',
+  LU: 'Europe/Luxembourg',
+  NL: 'Europe/Amsterdam',
+  NO: 'Europe/Oslo',
+  PL: 'Europe/Warsaw',
+  SA: 'Asia/Riyadh',
+  SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore',
+  ZA: 'Africa/Johannesburg'
+}
+
+/**
+ * Parse a quiet hours window
+ * @param {string} window - "HH:MM-HH:MM" in local time, may span midnight; "off" or empty for none
+ * @returns {object|null} Object with start and end in minutes after midnight, or null when disabled
+ * @throws {Error} If the window is malformed
+ */
+function parseQuietHours (window) {
+  const value = String(window || '').trim().toLowerCase()
+  if (!value || value === 'off') {
+    return null
+  }
+  const match = value.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/)
+  if (!match) {
+    throw new Error(`Invalid quiet hours "${window}" (expected HH:MM-HH:MM)`)
+  }
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes]) => {
+    if (Number(hours) > 23 || Number(minutes) > 59) {
+      throw new Error(`Invalid quiet hours "${window}" (expected HH:MM-HH:MM)`)
+    }
+    return Number(hours) * 60 + Number(minutes)
+  })
+  return start === end ? null : { start, end }
+}
+
+/**
+ * Parse the event types deferred during quiet hours
+ * @param {string|Array<string>} config - QUIET_HOURS_EVENTS input, comma-separated (prefix optional) or "*"
+ * @returns {Array<string>|null} Full event types, or null when every event type is deferred
+ */
+function parseQuietHoursEvents (config) {
+  const entries = (Array.isArray(config) ? config : String(config || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean)
+  if (entries.includes('*')) {
+    return null
+  }
+  return (entries.length > 0 ? entries : DEFAULT_QUIET_HOURS_EVENTS).map(normalizeEventType)
+}
+
+/**
+ * Check whether a timezone is known to Intl
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean} True if the timezone can be used
+ */
+function isValidTimezone (timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format()
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Get the shipping address country of an order
+ * @param {object} orderData - Order data object
+ * @returns {string|null} ISO country code or null
+ */
+function getShippingCountry (orderData) {
+  const addresses = [...(orderData.addresses || []), orderData.shipping_address].filter(Boolean)
+  const address = addresses.find(candidate => candidate.address_type === 'shipping') || addresses[0]
+  return address?.country_id ? String(address.country_id).toUpperCase() : null
+}
+
+/**
+ * Resolve the timezone of an order's store
+ * @param {object} orderData - Order data object
+ * @param {object} params - Action parameters
+ * @param {object} logger - Logger instance
+ * @returns {object} Object with timeZone and source ('store', 'country' or 'default')
+ */
+function resolveStoreTimezone (orderData, params, logger) {
+  let storeTimezoneMap = null
+  try {
+    storeTimezoneMap = parseJsonInput(params.STORE_TIMEZONE_MAP, 'STORE_TIMEZONE_MAP')
+  } catch (error) {
+    logger.warn(`Ignoring store timezone map: ${error.message}`)
+  }
+
+  const storeKey = storeTimezoneMap && getStoreKeys(orderData).find(key => storeTimezoneMap[key])
+  if (storeKey) {
+    if (isValidTimezone(storeTimezoneMap[storeKey])) {
+      return { timeZone: storeTimezoneMap[storeKey], source: 'store' }
+    }
+    logger.warn(`Ignoring unknown timezone ${storeTimezoneMap[storeKey]} of store ${storeKey}`)
+  }
+
+  const countryTimezone = COUNTRY_TIMEZONES[getShippingCountry(orderData)]
+  if (countryTimezone) {
+    return { timeZone: countryTimezone, source: 'country' }
+  }
+
+  const defaultTimezone = params.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE
+  if (!isValidTimezone(defaultTimezone)) {
+    logger.warn(`Ignoring unknown DEFAULT_TIMEZONE ${defaultTimezone}`)
+    return { timeZone: DEFAULT_TIMEZONE, source: 'default' }
+  }
+  return { timeZone: defaultTimezone, source: 'default' }
+}
+
+/**
+ * Get the quiet hours window of an order's store
+ * @param {object} orderData - Order data object
+ * @param {object} params - Action parameters
+ * @returns {object|null} Window from parseQuietHours, or null when the store has none
+ * @throws {Error} If STORE_QUIET_HOURS or the window is malformed
+ */
+function getStoreQuietHours (orderData, params) {
+  const storeQuietHours = parseJsonInput(params.STORE_QUIET_HOURS, 'STORE_QUIET_HOURS')
+  const storeKey = storeQuietHours && getStoreKeys(orderData).find(key => storeQuietHours[key])
+  return parseQuietHours(storeKey ? storeQuietHours[storeKey] : params.QUIET_HOURS)
+}
+
+/**
+ * Get the local time of day in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Minutes after local midnight
+ */
+function getLocalMinutes (date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date)
+  const read = type => Number(parts.find(part => part.type === type).value)
+  return read('hour') * 60 + read('minute')
+}
+
+/**
+ * Get the end of the quiet hours an instant falls in
+ * @param {Date} now - Instant
+ * @param {object} window - Window from parseQuietHours
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} Instant the quiet hours end, or null outside quiet hours
+ */
+function getQuietHoursEnd (now, window, timeZone) {
+  const minutes = getLocalMinutes(now, timeZone)
+  const quiet = window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end
+  if (!quiet) {
+    return null
+  }
+  const wait = (window.end - minutes + 24 * 60) % (24 * 60)
+  const startOfMinute = now.getTime() - (now.getTime() % 60000)
+  return new Date(startOfMinute + wait * 60000)
+}
+
+/**
+ * Decide whether a notification should be deferred to the end of quiet hours
+ * Malformed quiet hours are logged and never hold a notification back
+ * @param {string} eventType - Full event type
+ * @param {object} orderData - Order data object
+ * @param {object} params - Action parameters
+ * @param {Date} now - Current time
+ * @param {object} logger - Logger instance
+ * @returns {object|null} Object with deliverAt and timeZone, or null to send now
+ */
+function getQuietHoursDeferral (eventType, orderData, params, now, logger) {
+  const deferredEvents = parseQuietHoursEvents(params.QUIET_HOURS_EVENTS)
+  if (deferredEvents && !deferredEvents.includes(eventType)) {
+    return null
+  }
+
+  let window
+  try {
+    window = getStoreQuietHours(orderData, params)
+  } catch (error) {
+    logger.warn(`Ignoring quiet hours: ${error.message}`)
+    return null
+  }
+  if (!window) {
+    return null
+  }
+
+  const { timeZone } = resolveStoreTimezone(orderData, params, logger)
+  const deliverAt = getQuietHoursEnd(now, window, timeZone)
+  return deliverAt ? { deliverAt, timeZone } : null
+}
+
+module.exports = {
+  getQuietHoursDeferral,
+  getQuietHoursEnd,
+  resolveStoreTimezone,
+  parseQuietHours,
+  parseQuietHoursEvents,
+  DEFAULT_QUIET_HOURS_EVENTS,
+  DEFAULT_TIMEZONE
+}
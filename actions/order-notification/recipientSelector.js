@@ -0,0 +1,154 @@
+/**
+ * Recipient Selector Module
+ * Chooses the phone number an order's messages are sent to
+ *
+ * Candidates are tried in the order of PHONE_SOURCE_PRIORITY, numbers that
+ * fail validation are skipped in favour of the next candidate:
+ *   - attribute: customer attribute holding a dedicated WhatsApp number (PHONE_ATTRIBUTE)
+ *   - shipping: shipping address telephone
+ *   - billing: billing address telephone
+ * Addresses without an address_type are tried last, in payload order.
+ */
+
+const { normalizePhoneNumber } = require('./phoneUtils')
+
+/**
+ * Phone sources that can be listed in PHONE_SOURCE_PRIORITY
+ */
+const PHONE_SOURCES = ['attribute', 'shipping', 'billing']
+
+/**
+ * Default customer attribute holding the WhatsApp number
+ */
+const DEFAULT_PHONE_ATTRIBUTE = 'whatsapp_phone'
+
+/**
+ * Parse the phone source priority
+ * @param {string|Array<string>} config - Comma-separated sources (e.g. "attribute, shipping, billing") or array
+ * @returns {Array<string>} Sources in priority order (all sources if not configured)
+ * @throws {Error} If an unknown source is listed
+ */
+function parsePhoneSourcePriority (config) {
+  if (!config) {
+    return [...PHONE_SOURCES]
+  }
+
+  const sources = (Array.isArray(config) ? config : String(config).split(','))
+    .map(source => String(source).trim().toLowerCase())
+    .filter(Boolean)
+
+  const unknown = sources.filter(source => !PHONE_SOURCES.includes(source))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown phone source: ${unknown.join(', ')} (expected ${PHONE_SOURCES.join(', ')})`)
+  }
+  return [...new Set(sources)]
+}
+
+/**
+ * Read a customer attribute from order data
+ * Looks at the order itself, its extension_attributes and its custom_attributes
+ * (either { code: value } or [{ attribute_code, value }])
+ * @param {object} orderData - Order data object
+ * @param {string} code - Attribute code
+ * @returns {*} Attribute value or null if not set
+ */
+function getCustomerAttribute (orderData, code) {
+  const customAttributes = orderData.custom_attributes
+  const customValue = Array.isArray(customAttributes)
+    ? customAttributes.find(attribute => attribute?.attribute_code === code)?.value
+    : customAttributes?.[code]
+
+  const value = [orderData[code], orderData.extension_attributes?.[code], customValue]
+    .find(candidate => candidate !== undefined && candidate !== null && candidate !== '')
+  return value ?? null
+}
+
+/**
+ * Get the addresses of an order with a given address_type
+ * @param {object} orderData - Order data object
+ * @param {string} addressType - 'shipping' or 'billing'
+ * @returns {Array<object>} Matching addresses
+ */
+function getAddressesOfType (orderData, addressType) {
+  const addresses = (Array.isArray(orderData.addresses) ? orderData.addresses : [])
+    .filter(address => address?.address_type === addressType)
+  return [...addresses, orderData[`${addressType}_address`]].filter(Boolean)
+}
+
+/**
+ * List the phone numbers of an order in priority order
+ * @param {object} orderData - Order data object
+ * @param {object} policy - Selection policy with sources and attribute
+ * @returns {Array<object>} Candidates with source, telephone and countryId
+ */
+function collectPhoneCandidates (orderData, policy) {
+  const addresses = Array.isArray(orderData.addresses) ? orderData.addresses : []
+  const addressCountry = [...addresses, orderData.shipping_address, orderData.billing_address]
+    .find(address => address?.country_id)?.country_id || null
+
+  const candidates = []
+  for (const source of policy.sources) {
+    if (source === 'attribute') {
+      // The attribute is not tied to an address, national numbers are read in the order's country
+      const telephone = getCustomerAttribute(orderData, policy.attribute)
+      candidates.push({ source, telephone, countryId: addressCountry })
+    } else {
+      for (const address of getAddressesOfType(orderData, source)) {
+        candidates.push({ source, telephone: address.telephone, countryId: address.country_id || null })
+      }
+    }
+  }
+  for (const address of addresses.filter(address => address && !address.address_type)) {
+    candidates.push({ source: 'address', telephone: address.telephone, countryId: address.country_id || null })
+  }
+
+  return candidates.filter(candidate => candidate.telephone)
+}
+
+/**
+ * Read the recipient selection policy from action parameters
+ * @param {object} params - Action parameters
+ * @returns {object} Policy with sources and attribute
+ * @throws {Error} If PHONE_SOURCE_PRIORITY lists an unknown source
+ */
+function getPhoneSelectionPolicy (params) {
+  return {
+    sources: parsePhoneSourcePriority(params.PHONE_SOURCE_PRIORITY),
+    attribute: params.PHONE_ATTRIBUTE || DEFAULT_PHONE_ATTRIBUTE
+  }
+}
+
+/**
+ * Select the phone number to message for an order
+ * @param {object} orderData - Order data object
+ * @param {object} policy - Policy from getPhoneSelectionPolicy
+ * @param {string} [defaultRegion] - Country code for national numbers of addresses without country_id
+ * @returns {object} Object with phone (normalized number or null), source and the rejected candidates
+ */
+function selectRecipientPhone (orderData, policy, defaultRegion = null) {
+  const rejected = []
+  const seen = new Set()
+
+  for (const candidate of collectPhoneCandidates(orderData, policy)) {
+    const phone = normalizePhoneNumber(candidate.telephone, candidate.countryId || defaultRegion)
+    if (phone.valid) {
+      return { phone, source: candidate.source, rejected }
+    }
+    if (!seen.has(candidate.telephone)) {
+      seen.add(candidate.telephone)
+      rejected.push({ source: candidate.source, reason: phone.reason })
+    }
+  }
+
+  return { phone: null, source: null, rejected }
+}
+
+module.exports = {
+  selectRecipientPhone,
+  getPhoneSelectionPolicy,
+  parsePhoneSourcePriority,
+  collectPhoneCandidates,
+  getCustomerAttribute,
+  PHONE_SOURCES,
+  DEFAULT_PHONE_ATTRIBUTE
+}
@@ -0,0 +1,136 @@
+/**
+ * Retry Policy Module
+ * Retries failed provider API calls with exponential backoff and full jitter
+ *
+ * Each messaging provider classifies its own errors as retryable or permanent;
+ * the retry loop and the TWILIO_RETRY_* inputs are shared by all providers.
+ *
+ * Only failures proving the message was not accepted are retried. Neither Twilio
+ * nor the Cloud API takes an idempotency key, so a request whose response was lost
+ * (connection reset, timeout) may already have sent the message and is not retried.
+ */
+
+/**
+ * Network error codes of requests that never reached the provider (refused connection, DNS failure)
+ */
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']
+
+/**
+ * Network error codes of requests that may have reached the provider before failing
+ */
+const AMBIGUOUS_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE']
+
+/**
+ * Default retry policy: up to 3 attempts, waiting up to 0.5s then 1s (capped at 4s)
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 4000
+}
+
+/**
+ * Classify a network error of a send request
+ * @param {Error} error - Error thrown by an HTTP client
+ * @returns {object|null} Object with retryable flag and reason, or null if it is not a network error
+ */
+function classifyNetworkError (error) {
+  if (CONNECTION_ERROR_CODES.includes(error?.code)) {
+    return { retryable: true, reason: 'connection_error' }
+  }
+  if (AMBIGUOUS_NETWORK_CODES.includes(error?.code)) {
+    return { retryable: false, reason: 'delivery_unknown' }
+  }
+  return null
+}
+
+/**
+ * Read the retry policy from action parameters
+ * @param {object} params - Action parameters
+ * @returns {object} Retry options with maxAttempts, baseDelayMs and maxDelayMs
+ */
+function getRetryOptions (params) {
+  const read = (value, fallback) => {
+    const number = parseInt(value, 10)
+    return number >= 0 ? number : fallback
+  }
+  return {
+    maxAttempts: Math.max(1, read(params.TWILIO_RETRY_MAX_ATTEMPTS, DEFAULT_RETRY_OPTIONS.maxAttempts)),
+    baseDelayMs: read(params.TWILIO_RETRY_BASE_DELAY_MS, DEFAULT_RETRY_OPTIONS.baseDelayMs),
+    maxDelayMs: read(params.TWILIO_RETRY_MAX_DELAY_MS, DEFAULT_RETRY_OPTIONS.maxDelayMs)
+  }
+}
+
+/**
+ * Compute the wait before the next attempt: exponential backoff with full jitter
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {object} options - Retry options
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay (attempt, options) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1))
+  return Math.floor(Math.random() * ceiling)
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Send a message, retrying retryable errors
+ * @param {Function} send - Async function sending the message, resolving to { messageSid, status }
+ * @param {Function} classifyError - Function returning { retryable, reason } for a send error
+ * @param {object} [options] - Retry options from getRetryOptions
+ * @param {string} channel - Channel name used in logs ('WhatsApp' or 'SMS')
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Object with success flag, messageSid, status and attempts, or error, errorCode and retryable
+ */
+async function sendWithRetry (send, classifyError, options, channel, logger) {
+  const retry = { ...DEFAULT_RETRY_OPTIONS, ...options }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { messageSid, status } = await send(attempt)
+      logger.info(`${channel} message sent successfully. SID: ${messageSid}`)
+      return {
+        success: true,
+        messageSid,
+        status,
+        attempts: attempt
+      }
+    } catch (error) {
+      const errorMessage = error.message || 'Unknown provider error'
+      const { retryable, reason } = classifyError(error)
+
+      if (retryable && attempt < retry.maxAttempts) {
+        const delay = getBackoffDelay(attempt, retry)
+        logger.warn(`${channel} send attempt ${attempt} failed (${reason}): ${errorMessage}. Retrying in ${delay}ms`)
+        await sleep(delay)
+        continue
+      }
+
+      logger.error(`Failed to send ${channel} message after ${attempt} attempt(s) (${reason}): ${errorMessage}`, error)
+      return {
+        success: false,
+        error: errorMessage,
+        errorCode: error.code || null,
+        retryable,
+        attempts: attempt
+      }
+    }
+  }
+}
+
+module.exports = {
+  sendWithRetry,
+  getRetryOptions,
+  getBackoffDelay,
+  classifyNetworkError,
+  sleep,
+  DEFAULT_RETRY_OPTIONS
+}
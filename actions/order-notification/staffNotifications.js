@@ -0,0 +1,216 @@
+/**
+ * Staff Notifications Module
+ * Alerts store staff on WhatsApp when an order matches a configured rule
+ *
+ * STAFF_NOTIFICATION_RULES is a JSON array of rules:
+ *
+ *   [
+ *     { "rule": "high_value", "minTotal": 1000 },
+ *     { "rule": "cancellation", "recipients": ["+447911123456"] },
+ *     { "rule": "missing_phone", "template": "No WhatsApp for #{{orderNumber}} ({{reason}})" }
+ *   ]
+ *
+ * - high_value: orders placed with a grand_total of at least minTotal
+ * - cancellation: cancelled orders
+ * - missing_phone: orders whose customer has no usable phone number
+ *
+ * Each rule is sent to its own recipients or the STAFF_PHONE_NUMBERS, with its
+ * own template or the built-in staff message of STAFF_LOCALE.
+ */
+
+const { parseJsonInput } = require('../utils')
+const { normalizeEventType } = require('./eventRegistry')
+const { normalizePhoneNumber } = require('./phoneUtils')
+const { translate, interpolate, DEFAULT_LOCALE } = require('./messageCatalog')
+const { formatCurrency } = require('./localeUtils')
+const { deliverNotification } = require('./messageChannels')
+const { findProcessedEvent, markEventProcessed } = require('./deduplication')
+
+/**
+ * Built-in staff message of each rule
+ */
+const RULE_MESSAGE_KEYS = {
+  high_value: 'staffHighValue',
+  cancellation: 'staffCancellation',
+  missing_phone: 'staffMissingPhone'
+}
+
+/**
+ * Supported rules
+ */
+const STAFF_RULES = Object.keys(RULE_MESSAGE_KEYS)
+
+/**
+ * Event types matched by event-specific rules
+ */
+const ORDER_PLACED_EVENT = normalizeEventType('sales_order_place_after')
+const ORDER_CANCELLED_EVENT = normalizeEventType('sales_order_cancel_after')
+
+/**
+ * Parse a list of phone numbers
+ * @param {string|Array<string>} config - Comma-separated phone numbers or array
+ * @returns {Array<string>} Phone numbers
+ */
+function parsePhoneList (config) {
+  if (!config) {
+    return []
+  }
+  return (Array.isArray(config) ? config : String(config).split(','))
+    .map(phone => String(phone).trim())
+    .filter(Boolean)
+}
+
+/**
+ * Load and validate the staff notification rules
+ * Invalid rules are reported and left out, so they never block customer notifications
+ * @param {object} params - Action parameters
+ * @returns {object} Object with rules and errors
+ */
+function loadStaffRules (params) {
+  let config
+  try {
+    config = parseJsonInput(params.STAFF_NOTIFICATION_RULES, 'STAFF_NOTIFICATION_RULES')
+  } catch (error) {
+    return { rules: [], errors: [error.message] }
+  }
+  if (!config) {
+    return { rules: [], errors: [] }
+  }
+  if (!Array.isArray(config)) {
+    return { rules: [], errors: ['STAFF_NOTIFICATION_RULES must be an array of rules'] }
+  }
+
+  const defaultRecipients = parsePhoneList(params.STAFF_PHONE_NUMBERS)
+  const rules = []
+  const errors = []
+  config.forEach((entry, index) => {
+    const rule = entry?.rule
+    if (!STAFF_RULES.includes(rule)) {
+      errors.push(`Rule ${index + 1}: unknown rule "${rule}" (expected one of ${STAFF_RULES.join(', ')})`)
+      return
+    }
+    if (rule === 'high_value' && !(Number(entry.minTotal) > 0)) {
+      errors.push(`Rule ${index + 1}: high_value needs a positive minTotal`)
+      return
+    }
+    const recipients = entry.recipients ? parsePhoneList(entry.recipients) : defaultRecipients
+    if (recipients.length === 0) {
+      errors.push(`Rule ${index + 1}: ${rule} has no recipients (set recipients or STAFF_PHONE_NUMBERS)`)
+      return
+    }
+    rules.push({
+      rule,
+      recipients,
+      ...(rule === 'high_value' && { minTotal: Number(entry.minTotal) }),
+      ...(entry.template && { template: String(entry.template) })
+    })
+  })
+  return { rules, errors }
+}
+
+/**
+ * Check whether an order matches a rule
+ * @param {object} rule - Staff rule
+ * @param {object} context - Object with eventType, orderInfo and phoneIssue
+ * @returns {boolean} True if staff should be alerted
+ */
+function matchesRule (rule, context) {
+  switch (rule.rule) {
+    case 'high_value':
+      return context.eventType === ORDER_PLACED_EVENT && Number(context.orderInfo.orderTotal) >= rule.minTotal
+    case 'cancellation':
+      return context.eventType === ORDER_CANCELLED_EVENT
+    case 'missing_phone':
+      return Boolean(context.phoneIssue)
+    default:
+      return false
+  }
+}
+
+/**
+ * Build the staff message of a rule
+ * @param {object} rule - Staff rule
+ * @param {object} context - Object with orderData, orderInfo, customerPhone and phoneIssue
+ * @param {object} params - Action parameters
+ * @returns {string} Message text
+ */
+function buildStaffMessage (rule, context, params) {
+  const { orderData, orderInfo, customerPhone, phoneIssue } = context
+  const locale = params.STAFF_LOCALE || params.DEFAULT_LOCALE || DEFAULT_LOCALE
+  const orderId = orderData.entity_id || orderData.id || null
+  const adminUrl = params.COMMERCE_ADMIN_ORDER_URL && orderId
+    ? interpolate(params.COMMERCE_ADMIN_ORDER_URL, { orderId })
+    : null
+
+  const values = {
+    orderNumber: orderInfo.orderNumber,
+    orderId,
+    customerName: orderInfo.customerName || '-',
+    customerEmail: orderInfo.customerEmail || '-',
+    customerPhone: customerPhone || '-',
+    orderTotal: formatCurrency(orderInfo.orderTotal, orderInfo.orderCurrency, locale),
+    orderStatus: orderInfo.orderStatus || '-',
+    storeId: orderData.store_id || null,
+    reason: phoneIssue || null,
+    adminUrl
+  }
+
+  if (rule.template) {
+    return interpolate(rule.template, values)
+  }
+  const message = translate(locale, RULE_MESSAGE_KEYS[rule.rule], values)
+  return adminUrl ? `${message}\n${adminUrl}` : message
+}
+
+/**
+ * Alert staff for every rule the order matches
+ * Each rule is sent once per order, so redelivered and later events of the order do not
+ * alert staff twice; a rule none of whose messages went out is sent again with the next event
+ * @param {object} stateStore - State store instance
+ * @param {object} params - Action parameters
+ * @param {object} context - Object with eventType, orderData, orderInfo, customerPhone and phoneIssue
+ * @param {object} logger - Logger instance
+ * @returns {Promise<Array<object>>} One { rule, to, sent, channel } entry per staff message
+ */
+async function notifyStaff (stateStore, params, context, logger) {
+  const { rules, errors } = loadStaffRules(params)
+  errors.forEach(error => logger.error(`STAFF_NOTIFICATION_RULES: ${error}`))
+
+  const results = []
+  for (const rule of rules.filter(candidate => matchesRule(candidate, context))) {
+    const alertId = `${context.orderInfo.orderNumber}.staff.${rule.rule}`
+    if (await findProcessedEvent(stateStore, alertId)) {
+      logger.info(`Staff already alerted for ${rule.rule} on order ${context.orderInfo.orderNumber}`)
+      continue
+    }
+
+    const message = buildStaffMessage(rule, context, params)
+    let sent = false
+    for (const recipient of rule.recipients) {
+      const phone = normalizePhoneNumber(recipient, params.DEFAULT_PHONE_REGION)
+      if (!phone.valid) {
+        logger.warn(`Skipping staff phone number ${recipient}: ${phone.reason}`)
+        continue
+      }
+      const result = await deliverNotification(params, context.eventType, phone.e164, { content: message, message }, logger)
+      results.push({ rule: rule.rule, to: phone.e164, sent: result.success, channel: result.channel })
+      sent = sent || result.success
+    }
+
+    if (!sent) {
+      logger.warn(`Could not alert staff for ${rule.rule} on order ${context.orderInfo.orderNumber}, retrying with its next event`)
+      continue
+    }
+    await markEventProcessed(stateStore, alertId, { orderNumber: context.orderInfo.orderNumber }, params.DEDUP_TTL_SECONDS)
+    logger.info(`Alerted staff for ${rule.rule} on order ${context.orderInfo.orderNumber}`)
+  }
+  return results
+}
+
+module.exports = {
+  notifyStaff,
+  loadStaffRules,
+  matchesRule,
+  buildStaffMessage,
+  STAFF_RULES
+}
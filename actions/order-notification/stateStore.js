@@ -0,0 +1,152 @@
+/**
+ * State Store Module
+ * Provides a small key/value store abstraction backed by Adobe I/O State,
+ * with an in-memory implementation for local runs and tests
+ *
+ * Stores list their keys by prefix, so collections (deferred notifications, dead
+ * letters, the messages of an order) are kept as one key per item: a shared index document would lose the
+ * items added by concurrent invocations.
+ */
+
+const { State } = require('@adobe/aio-sdk')
+
+/**
+ * Maximum TTL accepted by Adobe I/O State (365 days)
+ */
+const MAX_TTL_SECONDS = 60 * 60 * 24 * 365
+
+// Shared across invocations of a warm container when STATE_STORE=memory
+let memoryStore = null
+
+/**
+ * Build a state key that satisfies Adobe I/O State key rules ([a-zA-Z0-9-_.])
+ * @param {...string} parts - Key parts, joined with '.'
+ * @returns {string} Sanitized key
+ */
+function toStateKey (...parts) {
+  return parts
+    .map(part => String(part).replace(/[^a-zA-Z0-9-_]/g, '_'))
+    .join('.')
+}
+
+/**
+ * Clamp a TTL to the range supported by Adobe I/O State
+ * @param {number} ttl - TTL in seconds
+ * @returns {number|undefined} Valid TTL or undefined to use the store default
+ */
+function normalizeTtl (ttl) {
+  const seconds = parseInt(ttl, 10)
+  if (!seconds || seconds < 0) {
+    return undefined
+  }
+  return Math.min(seconds, MAX_TTL_SECONDS)
+}
+
+/**
+ * Create an in-memory state store
+ * Values are kept as objects and expire according to their TTL
+ * @returns {object} Store with async get, put, delete and list methods
+ */
+function createMemoryStore () {
+  const entries = new Map()
+
+  return {
+    async get (key) {
+      const entry = entries.get(key)
+      if (!entry) {
+        return undefined
+      }
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key)
+        return undefined
+      }
+      return entry.value
+    },
+
+    async put (key, value, options = {}) {
+      const ttl = normalizeTtl(options.ttl)
+      entries.set(key, {
+        value,
+        expiresAt: ttl ? Date.now() + ttl * 1000 : null
+      })
+      return key
+    },
+
+    async delete (key) {
+      return entries.delete(key) ? key : null
+    },
+
+    async list (prefix) {
+      const now = Date.now()
+      return [...entries.entries()]
+        .filter(([key, entry]) => key.startsWith(prefix) && !(entry.expiresAt && entry.expiresAt <= now))
+        .map(([key]) => key)
+    }
+  }
+}
+
+/**
+ * Wrap an Adobe I/O State client so values are stored as JSON
+ * @param {object} state - Initialized aio-lib-state instance
+ * @returns {object} Store with async get, put, delete and list methods
+ */
+function createAdobeStateStore (state) {
+  return {
+    async get (key) {
+      const result = await state.get(key)
+      if (!result || result.value === undefined) {
+        return undefined
+      }
+      return JSON.parse(result.value)
+    },
+
+    async put (key, value, options = {}) {
+      const ttl = normalizeTtl(options.ttl)
+      return state.put(key, JSON.stringify(value), ttl ? { ttl } : {})
+    },
+
+    async delete (key) {
+      return state.delete(key)
+    },
+
+    async list (prefix) {
+      const keys = []
+      for await (const { keys: batch } of state.list({ match: `${prefix}*` })) {
+        keys.push(...batch)
+      }
+      return keys
+    }
+  }
+}
+
+/**
+ * Initialize the state store configured for this action
+ * Uses the in-memory store when STATE_STORE is 'memory' or when Adobe I/O State
+ * cannot be initialized, so notifications are still delivered without persistence
+ * @param {object} params - Action parameters
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Store with async get, put, delete and list methods
+ */
+async function initStateStore (params, logger) {
+  if (params.STATE_STORE !== 'memory') {
+    try {
+      const state = await State.init()
+      return createAdobeStateStore(state)
+    } catch (error) {
+      logger.warn(`Adobe I/O State unavailable, falling back to in-memory store: ${error.message}`)
+    }
+  }
+
+  if (!memoryStore) {
+    memoryStore = createMemoryStore()
+  }
+  return memoryStore
+}
+
+module.exports = {
+  initStateStore,
+  createMemoryStore,
+  createAdobeStateStore,
+  toStateKey,
+  MAX_TTL_SECONDS
+}
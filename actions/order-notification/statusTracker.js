@@ -0,0 +1,165 @@
+/**
+ * Status Tracker Module
+ * Remembers the last known status per order so only real status transitions are notified
+ */
+
+const { toStateKey } = require('./stateStore')
+
+/**
+ * Retention for tracked order statuses (90 days)
+ */
+const ORDER_STATUS_TTL_SECONDS = 60 * 60 * 24 * 90
+
+/**
+ * Check whether a NOTIFY_STATUS_TRANSITIONS entry is a `from -> to` pair
+ * @param {*} entry - Configured entry
+ * @returns {boolean} True for a string with a non-empty status on both sides of one arrow
+ */
+function isTransitionPair (entry) {
+  if (typeof entry !== 'string') {
+    return false
+  }
+  const statuses = entry.split('->').map(status => status.trim())
+  return statuses.length === 2 && statuses.every(Boolean)
+}
+
+/**
+ * Parse the configured status transitions worth messaging
+ * Accepts an array or a comma-separated string of `from -> to` pairs, where
+ * either side may be `*` to match any status
+ * (e.g. "pending -> processing, processing -> complete, * -> holded")
+ * Blank entries are ignored; any other entry must be a pair, since dropping a
+ * mistyped one could leave no transition and turn the allow-list off
+ * @param {string|Array<string>} config - NOTIFY_STATUS_TRANSITIONS input
+ * @returns {Array<object>|null} List of { from, to } pairs, or null when every transition is allowed
+ * @throws {Error} When an entry is not a `from -> to` string
+ */
+function parseStatusTransitions (config) {
+  if (!config) {
+    return null
+  }
+
+  const entries = Array.isArray(config) ? config : String(config).split(',')
+  const listed = entries
+    .map(entry => typeof entry === 'string' ? entry.trim() : entry)
+    .filter(entry => entry !== '')
+  const invalid = listed.filter(entry => !isTransitionPair(entry))
+  if (invalid.length > 0) {
+    throw new Error(`Invalid status transition ${invalid.map(entry => JSON.stringify(entry)).join(', ')} (expected "from -> to")`)
+  }
+  const transitions = listed
+    .map(entry => entry.split('->').map(status => status.trim().toLowerCase()))
+    .map(([from, to]) => ({ from, to }))
+
+  return transitions.length > 0 ? transitions : null
+}
+
+/**
+ * Check whether a status transition is in the allow-list
+ * @param {Array<object>|null} transitions - Parsed transitions (null allows all)
+ * @param {string|null} fromStatus - Previous status, null if unknown
+ * @param {string} toStatus - New status
+ * @returns {boolean} True if the transition should be notified
+ */
+function isTransitionAllowed (transitions, fromStatus, toStatus) {
+  if (!transitions) {
+    return true
+  }
+
+  const from = fromStatus ? fromStatus.toLowerCase() : null
+  const to = toStatus.toLowerCase()
+
+  return transitions.some(transition =>
+    (transition.from === '*' || transition.from === from) &&
+    (transition.to === '*' || transition.to === to)
+  )
+}
+
+/**
+ * Get the last known status of an order
+ * @param {object} store - State store instance
+ * @param {string} orderNumber - Order number
+ * @returns {Promise<string|null>} Last known status or null if never seen
+ */
+async function getLastKnownStatus (store, orderNumber) {
+  const record = await store.get(toStateKey('order', orderNumber, 'status'))
+  return record?.status || null
+}
+
+/**
+ * Remember the current status of an order
+ * @param {object} store - State store instance
+ * @param {string} orderNumber - Order number
+ * @param {string} status - Order status
+ * @returns {Promise<void>}
+ */
+async function recordOrderStatus (store, orderNumber, status) {
+  await store.put(
+    toStateKey('order', orderNumber, 'status'),
+    { status, updatedAt: new Date().toISOString() },
+    { ttl: ORDER_STATUS_TTL_SECONDS }
+  )
+}
+
+/**
+ * Remember the latest order notified to a phone number, so customer replies
+ * (e.g. "status") can be answered
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @param {object} order - Object with orderNumber, customerName and locale
+ * @returns {Promise<void>}
+ */
+async function recordLatestOrder (store, phone, order) {
+  await store.put(
+    toStateKey('phone', phone, 'latest_order'),
+    { ...order, updatedAt: new Date().toISOString() },
+    { ttl: ORDER_STATUS_TTL_SECONDS }
+  )
+}
+
+/**
+ * Get the latest order notified to a phone number
+ * @param {object} store - State store instance
+ * @param {string} phone - Phone number in E.164 format
+ * @returns {Promise<object|null>} Object with orderNumber, customerName and locale, or null if none
+ */
+async function getLatestOrder (store, phone) {
+  return await store.get(toStateKey('phone', phone, 'latest_order')) || null
+}
+
+/**
+ * Decide whether a status change should be notified
+ * @param {object} store - State store instance
+ * @param {string} orderNumber - Order number
+ * @param {string} orderStatus - Current order status
+ * @param {string|Array<string>} transitionsConfig - NOTIFY_STATUS_TRANSITIONS input
+ * @returns {Promise<object>} Object with notify flag, previousStatus and skip reason
+ */
+async function evaluateStatusChange (store, orderNumber, orderStatus, transitionsConfig) {
+  if (!orderStatus) {
+    return { notify: false, previousStatus: null, reason: 'status_missing' }
+  }
+
+  const previousStatus = await getLastKnownStatus(store, orderNumber)
+
+  if (previousStatus && previousStatus.toLowerCase() === orderStatus.toLowerCase()) {
+    return { notify: false, previousStatus, reason: 'status_unchanged' }
+  }
+
+  const transitions = parseStatusTransitions(transitionsConfig)
+  if (!isTransitionAllowed(transitions, previousStatus, orderStatus)) {
+    return { notify: false, previousStatus, reason: 'transition_not_allowed' }
+  }
+
+  return { notify: true, previousStatus, reason: null }
+}
+
+module.exports = {
+  parseStatusTransitions,
+  isTransitionAllowed,
+  getLastKnownStatus,
+  recordOrderStatus,
+  recordLatestOrder,
+  getLatestOrder,
+  evaluateStatusChange
+}
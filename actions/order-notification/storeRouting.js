@@ -0,0 +1,262 @@
+/**
+ * Store Routing Module
+ * Sends the notifications of each storefront from its own sender, brand, locale and templates
+ *
+ * STORE_ROUTING is a JSON object keyed by store code, store id or website code (as
+ * found in the order payload), with an optional "*" route for all other stores:
+ *
+ *   {
+ *     "uk_store": {
+ *       "brand": "Acme UK",
+ *       "sender": "whatsapp:+447400123456",
+ *       "smsSender": "+447400123456",
+ *       "twilio": { "accountSid": "AC...", "authToken": "..." },
+ *       "locale": "en_GB",
+ *       "templates": { "sales_order_place_after": "..." },
+ *       "contentTemplates": { "sales_order_place_after": { "contentSid": "HX..." } }
+ *     }
+ *   }
+ *
+ * Every field is optional: a route overrides the matching action inputs for the
+ * orders of its store, and the others keep their action input. With a routing table,
+ * orders of a store without a route (and no "*" route) are rejected.
+ */
+
+const { parseJsonInput } = require('../utils')
+const { getStoreKeys } = require('./localeUtils')
+const { loadMessageTemplates } = require('./messageTemplates')
+const { parseContentTemplates } = require('./contentTemplates')
+// Per-store templates are checked against the registered event types, which the
+// actions sending stored events (notification-flush) would otherwise not load
+require('./eventHandlers')
+
+/**
+ * Route applied to the stores without their own route
+ */
+const FALLBACK_ROUTE_KEY = '*'
+
+/**
+ * Action inputs overridden by the string fields of a route
+ */
+const ROUTE_INPUTS = {
+  brand: 'BRAND_NAME',
+  sender: 'TWILIO_WHATSAPP_FROM',
+  smsSender: 'TWILIO_SMS_FROM'
+}
+
+/**
+ * Action inputs overridden by the provider credentials of a route
+ */
+const CREDENTIAL_INPUTS = {
+  twilio: { accountSid: 'TWILIO_ACCOUNT_SID', authToken: 'TWILIO_AUTH_TOKEN' },
+  meta: { phoneNumberId: 'META_PHONE_NUMBER_ID', accessToken: 'META_ACCESS_TOKEN' }
+}
+
+/**
+ * Fields a route may define
+ */
+const ROUTE_FIELDS = [...Object.keys(ROUTE_INPUTS), 'locale', ...Object.keys(CREDENTIAL_INPUTS), 'templates', 'contentTemplates']
+
+/**
+ * Validate a route of the routing table
+ * @param {string} key - Store key of the route
+ * @param {*} route - Route configuration
+ * @param {object} provider - Messaging provider
+ * @returns {Array<string>} Configuration errors
+ */
+function validateRoute (key, route, provider) {
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    return [`Route for store ${key} must be an object`]
+  }
+
+  const errors = Object.keys(route)
+    .filter(field => !ROUTE_FIELDS.includes(field))
+    .map(field => `Unknown field ${field} in route for store ${key}`)
+
+  for (const field of [...Object.keys(ROUTE_INPUTS), 'locale']) {
+    if (route[field] !== undefined && (typeof route[field] !== 'string' || !route[field].trim())) {
+      errors.push(`${field} of route for store ${key} must be a non-empty string`)
+    }
+  }
+  for (const [field, inputs] of Object.entries(CREDENTIAL_INPUTS)) {
+    const credentials = route[field]
+    if (credentials === undefined) {
+      continue
+    }
+    const missing = Object.keys(inputs).filter(name => typeof credentials?.[name] !== 'string' || !credentials[name])
+    if (missing.length > 0) {
+      errors.push(`${field} credentials of route for store ${key} must define ${missing.join(', ')}`)
+    }
+  }
+
+  if (route.templates !== undefined) {
+    errors.push(...loadMessageTemplates(route.templates).errors.map(error => `Templates of store ${key}: ${error}`))
+  }
+  if (route.contentTemplates !== undefined) {
+    try {
+      parseContentTemplates(route.contentTemplates, provider)
+    } catch (error) {
+      errors.push(`Content templates of store ${key}: ${error.message}`)
+    }
+  }
+  return errors
+}
+
+/**
+ * Load the store routing table
+ * @param {string|object} config - STORE_ROUTING input
+ * @param {object} provider - Messaging provider, whose content templates the routes define
+ * @returns {object} Object with routes keyed by store key (null if not configured) and errors
+ */
+function loadStoreRouting (config, provider) {
+  let routes
+  try {
+    routes = parseJsonInput(config, 'STORE_ROUTING')
+  } catch (error) {
+    return { routes: null, errors: [error.message] }
+  }
+  if (!routes) {
+    return { routes: null, errors: [] }
+  }
+  if (typeof routes !== 'object' || Array.isArray(routes)) {
+    return { routes: null, errors: ['STORE_ROUTING must be an object keyed by store code, store id or website code'] }
+  }
+
+  const errors = Object.entries(routes).flatMap(([key, route]) => validateRoute(key, route, provider))
+  return { routes, errors }
+}
+
+/**
+ * Find the route of an order's store
+ * @param {object} routes - Routes from loadStoreRouting
+ * @param {object} orderData - Order data object
+ * @returns {object} Object with the route key and route, or storeKeys when the store has no route
+ */
+function resolveStoreRoute (routes, orderData) {
+  const storeKeys = getStoreKeys(orderData)
+  const key = storeKeys.find(storeKey => routes[storeKey]) || (routes[FALLBACK_ROUTE_KEY] && FALLBACK_ROUTE_KEY)
+  if (!key) {
+    return { key: null, route: null, storeKeys }
+  }
+  return { key, route: routes[key], storeKeys }
+}
+
+/**
+ * Override the action inputs with the fields of a store route
+ * @param {object} params - Action parameters
+ * @param {object} storeRoute - Object with the route key, route and order store keys, from resolveStoreRoute
+ * @param {object} [provider] - Messaging provider, needed to apply the content templates of the route
+ * @returns {object} Action parameters of the store
+ */
+function applyStoreRoute (params, storeRoute, provider) {
+  const { route } = storeRoute
+  const overrides = {}
+
+  for (const [field, input] of Object.entries(ROUTE_INPUTS)) {
+    if (route[field] !== undefined) {
+      overrides[input] = route[field]
+    }
+  }
+  // The store locale wins over the order's own locale, like STORE_LOCALE_MAP entries
+  if (route.locale) {
+    overrides.STORE_LOCALE_MAP = Object.fromEntries((storeRoute.storeKeys || []).map(storeKey => [storeKey, route.locale]))
+    overrides.DEFAULT_LOCALE = route.locale
+  }
+  for (const [field, inputs] of Object.entries(CREDENTIAL_INPUTS)) {
+    for (const [name, input] of Object.entries(inputs)) {
+      if (route[field]?.[name]) {
+        overrides[input] = route[field][name]
+      }
+    }
+  }
+  if (route.templates !== undefined) {
+    overrides.MESSAGE_TEMPLATES = route.templates
+  }
+  if (route.contentTemplates !== undefined && provider) {
+    overrides[provider.templatesInput] = route.contentTemplates
+  }
+
+  return { ...params, ...overrides }
+}
+
+/**
+ * Get the action parameters of an order's store, for actions sending messages of stored events
+ * @param {object} params - Action parameters
+ * @param {object} orderData - Order data object
+ * @param {object} provider - Messaging provider
+ * @returns {object} Object with params of the store and its route key (null without routing table),
+ *   or error and its HTTP statusCode when the routing table is invalid or the store has no route
+ */
+function routeOrderParams (params, orderData, provider) {
+  const { routes, errors } = loadStoreRouting(params.STORE_ROUTING, provider)
+  if (errors.length > 0) {
+    return { error: `Invalid STORE_ROUTING configuration: ${errors.join('; ')}`, statusCode: 500 }
+  }
+  if (!routes) {
+    return { params, store: null }
+  }
+
+  const storeRoute = resolveStoreRoute(routes, orderData)
+  if (!storeRoute.route) {
+    return { error: `No store route for ${describeStoreKeys(storeRoute.storeKeys)}`, statusCode: 400 }
+  }
+  return { params: applyStoreRoute(params, storeRoute, provider), store: storeRoute.key }
+}
+
+/**
+ * Read the routes for webhook actions, which do not report configuration errors
+ * @param {object} params - Action parameters
+ * @returns {object} Routes keyed by store key (empty when not configured or invalid)
+ */
+function readRoutes (params) {
+  try {
+    const routes = parseJsonInput(params.STORE_ROUTING, 'STORE_ROUTING')
+    return routes && typeof routes === 'object' ? routes : {}
+  } catch (error) {
+    // Invalid routing tables are reported by order-notification
+    return {}
+  }
+}
+
+/**
+ * Get the action parameters of a store by its route key
+ * @param {object} params - Action parameters
+ * @param {string|null} key - Route key recorded with a sent message
+ * @returns {object} Action parameters of the store, or the action parameters when the route no longer exists
+ */
+function routeParamsByKey (params, key) {
+  const route = key && readRoutes(params)[key]
+  return route && typeof route === 'object' ? applyStoreRoute(params, { key, route }) : params
+}
+
+/**
+ * Get the Twilio Auth Token of the account a webhook request comes from
+ * Stores can send from their own Twilio account, whose token signs its webhooks
+ * @param {object} params - Action parameters
+ * @param {string} accountSid - AccountSid field of the webhook request
+ * @returns {string|undefined} Auth Token of the store account, or TWILIO_AUTH_TOKEN
+ */
+function getTwilioAuthToken (params, accountSid) {
+  const route = accountSid && Object.values(readRoutes(params)).find(route => route?.twilio?.accountSid === accountSid)
+  return route?.twilio?.authToken || params.TWILIO_AUTH_TOKEN
+}
+
+/**
+ * Describe the store identifiers of an order for error messages
+ * @param {Array<string>} storeKeys - Store keys from getStoreKeys
+ * @returns {string} Description
+ */
+function describeStoreKeys (storeKeys) {
+  return storeKeys.length > 0 ? `store ${storeKeys.join(' / ')}` : 'orders without a store id'
+}
+
+module.exports = {
+  loadStoreRouting,
+  resolveStoreRoute,
+  applyStoreRoute,
+  routeOrderParams,
+  routeParamsByKey,
+  getTwilioAuthToken,
+  describeStoreKeys,
+  FALLBACK_ROUTE_KEY
+}
@@ -1,10 +1,115 @@
 /**
  * Twilio Service Module
- * Handles WhatsApp message sending via Twilio API
+ * Handles WhatsApp and SMS message sending via Twilio API
  */
 
 const twilio = require('twilio')
-const { formatPhoneForWhatsApp } = require('./phoneUtils')
+const { formatPhoneNumber, formatPhoneForWhatsApp } = require('./phoneUtils')
+const { sendWithRetry, getRetryOptions, classifyNetworkError } = require('./retryPolicy')
+
+/**
+ * Build the message content parameters for the Twilio Messages API
+ * @param {string|object} message - Free-form text, or { contentSid, contentVariables } for an approved template
+ * @returns {object} Either { body } or { contentSid, contentVariables }
+ */
+function buildMessageContent (message) {
+  if (message && typeof message === 'object' && message.contentSid) {
+    return {
+      contentSid: message.contentSid,
+      contentVariables: JSON.stringify(message.contentVariables || {})
+    }
+  }
+  return { body: message }
+}
+
+/**
+ * Classify a Twilio send error
+ * Rate limits (429), Twilio server errors (5xx) and connections that could not be opened
+ * are retryable; lost responses (the message may have been sent) and other API errors
+ * (invalid number, template rejected...) are permanent
+ * @param {Error} error - Error thrown by the Twilio client
+ * @returns {object} Object with retryable flag and reason
+ */
+function classifyTwilioError (error) {
+  const status = Number(error?.status)
+  if (status === 429 || error?.code === 20429) {
+    return { retryable: true, reason: 'rate_limited' }
+  }
+  if (status >= 500) {
+    return { retryable: true, reason: 'server_error' }
+  }
+  const networkError = classifyNetworkError(error)
+  if (networkError) {
+    return networkError
+  }
+  if (status >= 400) {
+    return { retryable: false, reason: 'client_error' }
+  }
+  return { retryable: false, reason: 'unknown' }
+}
+
+/**
+ * Build the Twilio configuration of a channel from action parameters
+ * @param {object} params - Action parameters
+ * @param {string} [channel] - 'whatsapp' or 'sms'
+ * @returns {object} Twilio configuration for sendWhatsAppMessage or sendSmsMessage
+ */
+function getTwilioConfig (params, channel = 'whatsapp') {
+  return {
+    accountSid: params.TWILIO_ACCOUNT_SID,
+    authToken: params.TWILIO_AUTH_TOKEN,
+    fromNumber: channel === 'sms' ? params.TWILIO_SMS_FROM : params.TWILIO_WHATSAPP_FROM,
+    statusCallback: params.TWILIO_STATUS_CALLBACK_URL,
+    retry: getRetryOptions(params)
+  }
+}
+
+/**
+ * Send a message via Twilio on a channel
+ * Retryable errors are retried with exponential backoff and jitter
+ * @param {object} config - Twilio configuration
+ * @param {string} channel - Channel name used in logs ('WhatsApp' or 'SMS')
+ * @param {string} to - Recipient address, formatted for the channel
+ * @param {string|object} message - Free-form text, or { contentSid, contentVariables } for an approved template
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Object with success flag, messageSid and attempts, or error, errorCode and retryable
+ */
+async function sendTwilioMessage (config, channel, to, message, logger) {
+  const { fromNumber, statusCallback } = config
+  const twilioClient = twilio(config.accountSid, config.authToken)
+
+  return sendWithRetry(async attempt => {
+    logger.info(`Sending ${channel} to ${to} (attempt ${attempt})`)
+    const twilioMessage = await twilioClient.messages.create({
+      from: fromNumber,
+      to,
+      ...buildMessageContent(message),
+      ...(statusCallback && { statusCallback })
+    })
+    return { messageSid: twilioMessage.sid, status: twilioMessage.status }
+  }, classifyTwilioError, config.retry, channel, logger)
+}
+
+/**
+ * Check the Twilio credentials and sender of a channel are configured
+ * @param {object} config - Twilio configuration
+ * @param {string} channel - Channel name used in logs
+ * @param {object} logger - Logger instance
+ * @returns {object|null} Failed send result, or null when configured
+ */
+function checkTwilioConfig (config, channel, logger) {
+  if (config.accountSid && config.authToken && config.fromNumber) {
+    return null
+  }
+  const error = `Twilio configuration missing - ${channel} notifications will not be sent`
+  logger.warn(error)
+  return {
+    success: false,
+    error: error,
+    retryable: false,
+    attempts: 0
+  }
+}
 
 /**
  * Send WhatsApp message via Twilio
@@ -12,58 +117,68 @@ const { formatPhoneForWhatsApp } = require('./phoneUtils')
  * @param {string} config.accountSid - Twilio Account SID
  * @param {string} config.authToken - Twilio Auth Token
  * @param {string} config.fromNumber - WhatsApp sender number (with whatsapp: prefix)
+ * @param {string} [config.statusCallback] - URL Twilio posts delivery status updates to
+ * @param {object} [config.retry] - Retry options from getRetryOptions
  * @param {string} toPhoneNumber - Recipient phone number
- * @param {string} message - Message to send
+ * @param {string|object} message - Free-form text, or { contentSid, contentVariables } for an approved template
  * @param {object} logger - Logger instance
- * @returns {Promise<object>} Object with success flag, messageSid, and optional error
+ * @returns {Promise<object>} Object with success flag, messageSid and attempts, or error, errorCode and retryable
  */
 async function sendWhatsAppMessage (config, toPhoneNumber, message, logger) {
-  const { accountSid, authToken, fromNumber } = config
+  const configError = checkTwilioConfig(config, 'WhatsApp', logger)
+  if (configError) {
+    return configError
+  }
 
-  if (!accountSid || !authToken || !fromNumber) {
-    const error = 'Twilio configuration missing - WhatsApp notifications will not be sent'
-    logger.warn(error)
+  // Format phone number for WhatsApp
+  const whatsappTo = formatPhoneForWhatsApp(toPhoneNumber)
+  if (!whatsappTo) {
+    logger.error('Failed to send WhatsApp message: Invalid phone number format')
     return {
       success: false,
-      error: error
+      error: 'Invalid phone number format',
+      retryable: false,
+      attempts: 0
     }
   }
 
-  try {
-    // Initialize Twilio client
-    const twilioClient = twilio(accountSid, authToken)
-
-    // Format phone number for WhatsApp
-    const whatsappTo = formatPhoneForWhatsApp(toPhoneNumber)
-    if (!whatsappTo) {
-      throw new Error('Invalid phone number format')
-    }
+  return sendTwilioMessage(config, 'WhatsApp', whatsappTo, message, logger)
+}
 
-    // Send message
-    logger.info(`Sending WhatsApp to ${whatsappTo}`)
-    const twilioMessage = await twilioClient.messages.create({
-      from: fromNumber,
-      to: whatsappTo,
-      body: message
-    })
+/**
+ * Send SMS message via Twilio
+ * SMS has no Content templates, so only free-form text is sent
+ * @param {object} config - Twilio configuration, with the SMS sender number as fromNumber
+ * @param {string} toPhoneNumber - Recipient phone number
+ * @param {string} text - Message text
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object>} Object with success flag, messageSid and attempts, or error, errorCode and retryable
+ */
+async function sendSmsMessage (config, toPhoneNumber, text, logger) {
+  const configError = checkTwilioConfig(config, 'SMS', logger)
+  if (configError) {
+    return configError
+  }
 
-    logger.info(`WhatsApp message sent successfully. SID: ${twilioMessage.sid}`)
-    return {
-      success: true,
-      messageSid: twilioMessage.sid,
-      status: twilioMessage.status
-    }
-  } catch (error) {
-    const errorMessage = error.message || 'Unknown Twilio error'
-    logger.error(`Failed to send WhatsApp message: ${errorMessage}`, error)
+  const smsTo = formatPhoneNumber(toPhoneNumber)
+  if (!smsTo) {
+    logger.error('Failed to send SMS message: Invalid phone number format')
     return {
       success: false,
-      error: errorMessage
+      error: 'Invalid phone number format',
+      retryable: false,
+      attempts: 0
     }
   }
+
+  return sendTwilioMessage(config, 'SMS', smsTo, text, logger)
 }
 
 module.exports = {
-  sendWhatsAppMessage
+  sendWhatsAppMessage,
+  sendSmsMessage,
+  buildMessageContent,
+  classifyTwilioError,
+  getTwilioConfig
 }
 
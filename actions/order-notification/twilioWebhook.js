@@ -0,0 +1,66 @@
+/**
+ * Twilio Webhook Module
+ * Parses and authenticates requests Twilio sends to our web actions, and builds TwiML replies
+ *
+ * Webhook actions are deployed with `raw-http: true` so the form body Twilio
+ * signed reaches the action untouched.
+ */
+
+const twilio = require('twilio')
+const { getHeader } = require('../utils')
+
+/**
+ * Parse the form-encoded body of a Twilio webhook request
+ * I/O Runtime passes text bodies as-is and binary ones base64-encoded
+ * @param {object} params - Action parameters (with __ow_body)
+ * @returns {object} Form fields (e.g. From, Body, MessageSid)
+ */
+function parseFormBody (params) {
+  const body = params.__ow_body
+  if (!body || typeof body !== 'string') {
+    return {}
+  }
+
+  const isFormText = /=[^=]|&/.test(body)
+  const text = isFormText ? body : Buffer.from(body, 'base64').toString('utf8')
+  return Object.fromEntries(new URLSearchParams(text))
+}
+
+/**
+ * Verify the X-Twilio-Signature of a webhook request
+ * @param {object} params - Action parameters (with __ow_headers)
+ * @param {object} form - Form fields from parseFormBody
+ * @param {string} webhookUrl - Public URL of the action, exactly as configured in Twilio
+ * @param {string} authToken - Twilio Auth Token
+ * @returns {boolean} True if the request was signed by Twilio
+ */
+function verifyTwilioSignature (params, form, webhookUrl, authToken) {
+  const signature = getHeader(params, 'x-twilio-signature')
+  if (!signature || !webhookUrl || !authToken) {
+    return false
+  }
+  return twilio.validateRequest(authToken, signature, webhookUrl, form)
+}
+
+/**
+ * Build a TwiML response for a webhook request
+ * @param {string|null} message - Reply text, or null to reply with nothing
+ * @returns {object} HTTP response with the TwiML document
+ */
+function twimlResponse (message = null) {
+  const twiml = new twilio.twiml.MessagingResponse()
+  if (message) {
+    twiml.message(message)
+  }
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'text/xml' },
+    body: twiml.toString()
+  }
+}
+
+module.exports = {
+  parseFormBody,
+  verifyTwilioSignature,
+  twimlResponse
+}
@@ -114,6 +114,21 @@ function getBearerToken (params) {
   }
   return undefined
 }
+/**
+ *
+ * Returns a request header. I/O Runtime lowercases header names, so the lookup is case-insensitive.
+ *
+ * @param {object} params action input parameters.
+ * @param {string} name the header name.
+ *        e.g. 'X-Twilio-Signature'
+ *
+ * @returns {string|undefined} the header value or undefined if not set in request headers.
+ *
+ */
+function getHeader (params, name) {
+  return params.__ow_headers?.[name.toLowerCase()]
+}
+
 /**
  *
  * Returns an error response object and attempts to log.info the status code and error message
@@ -124,11 +139,13 @@ function getBearerToken (params) {
  *        e.g. 'missing xyz parameter'
  * @param {*} [logger] an optional logger instance object with an `info` method
  *        e.g. `new require('@adobe/aio-sdk').Core.Logger('name')`
+ * @param {object} [details] optional fields added to the error body.
+ *        e.g. `{ violations: [...] }`
  *
  * @returns {object} the error object, ready to be returned from the action main's function.
  *
  */
-function errorResponse (statusCode, message, logger) {
+function errorResponse (statusCode, message, logger, details) {
   if (logger && typeof logger.info === 'function') {
     logger.info(`${statusCode}: ${message}`)
   }
@@ -136,15 +153,44 @@ function errorResponse (statusCode, message, logger) {
     error: {
       statusCode,
       body: {
-        error: message
+        error: message,
+        ...details
       }
     }
   }
 }
 
+/**
+ *
+ * Parses an action input that holds JSON. Inputs coming from `app.config.yaml`
+ * are strings, while inputs set at invocation time may already be objects.
+ *
+ * @param {string|object} value the input value.
+ * @param {string} name the input name, used in the error message.
+ *
+ * @returns {*} the parsed value, or null if the input is not set.
+ * @throws {Error} if the input is a string that is not valid JSON.
+ *
+ */
+function parseJsonInput (value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  if (typeof value !== 'string') {
+    return value
+  }
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    throw new Error(`Invalid ${name} JSON: ${error.message}`)
+  }
+}
+
 module.exports = {
   errorResponse,
+  parseJsonInput,
   getBearerToken,
+  getHeader,
   stringParameters,
   checkMissingRequestInputs
 }
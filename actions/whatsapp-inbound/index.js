@@ -0,0 +1,104 @@
+/**
+ * WhatsApp Inbound Action
+ *
+ * Receives customer replies from Twilio's inbound message webhook and answers with TwiML:
+ *   - STOP (and other opt-out keywords): adds the number to the suppression list
+ *   - START: opts the number back in
+ *   - HELP: lists the available keywords
+ *   - STATUS: replies with the status of the latest order notified to the number
+ *
+ * Requests are authenticated with the X-Twilio-Signature header, computed by Twilio
+ * from TWILIO_INBOUND_WEBHOOK_URL and the Auth Token of the receiving account
+ * (TWILIO_AUTH_TOKEN, or the token of a store route in STORE_ROUTING).
+ */
+
+const { Core } = require('@adobe/aio-sdk')
+const { errorResponse } = require('../utils')
+const { parseFormBody, verifyTwilioSignature, twimlResponse } = require('../order-notification/twilioWebhook')
+const { normalizePhoneNumber } = require('../order-notification/phoneUtils')
+const { initStateStore } = require('../order-notification/stateStore')
+const { handleConsentReply } = require('../order-notification/consent')
+const { getLatestOrder, getLastKnownStatus } = require('../order-notification/statusTracker')
+const { translate, DEFAULT_LOCALE } = require('../order-notification/messageCatalog')
+const { generateOrderStatusChangeMessage } = require('../order-notification/messageGenerator')
+const { getTwilioAuthToken } = require('../order-notification/storeRouting')
+
+/**
+ * Keywords answered with the list of keywords
+ */
+const HELP_KEYWORDS = ['HELP', 'INFO']
+
+/**
+ * Keywords answered with the latest order status
+ */
+const STATUS_KEYWORDS = ['STATUS']
+
+/**
+ * Build the reply to a STATUS request
+ * @param {object} stateStore - State store instance
+ * @param {object|null} latestOrder - Latest order notified to the number
+ * @param {string} locale - Reply locale
+ * @returns {Promise<string>} Reply text
+ */
+async function buildStatusReply (stateStore, latestOrder, locale) {
+  const status = latestOrder && await getLastKnownStatus(stateStore, latestOrder.orderNumber)
+  if (!status) {
+    return translate(locale, 'replyNoOrder')
+  }
+  return generateOrderStatusChangeMessage(latestOrder.customerName, latestOrder.orderNumber, status, locale)
+}
+
+/**
+ * Main function executed by Adobe I/O Runtime
+ * @param {object} params - Webhook request from Twilio
+ * @returns {object} HTTP response with a TwiML document
+ */
+async function main (params) {
+  const logger = Core.Logger('whatsapp-inbound', { level: params.LOG_LEVEL || 'info' })
+
+  try {
+    const form = parseFormBody(params)
+    if (!verifyTwilioSignature(params, form, params.TWILIO_INBOUND_WEBHOOK_URL, getTwilioAuthToken(params, form.AccountSid))) {
+      logger.warn('Rejected inbound message with missing or invalid X-Twilio-Signature')
+      return errorResponse(403, 'Invalid Twilio signature', logger)
+    }
+
+    const phone = normalizePhoneNumber(form.From).e164
+    if (!phone) {
+      return errorResponse(400, 'Missing sender phone number', logger)
+    }
+
+    const stateStore = await initStateStore(params, logger)
+    const keyword = String(form.Body || '').trim().toUpperCase()
+    logger.info(`Received inbound message ${form.MessageSid} from ${phone}`)
+
+    // Reply in the language of the customer's latest notification
+    const latestOrder = await getLatestOrder(stateStore, phone)
+    const locale = latestOrder?.locale || params.DEFAULT_LOCALE || DEFAULT_LOCALE
+
+    const consentReply = await handleConsentReply(stateStore, form.From, form.Body)
+    if (consentReply.action === 'opted_out') {
+      logger.info(`Added ${phone} to the suppression list`)
+      return twimlResponse(translate(locale, 'replyOptedOut'))
+    }
+    if (consentReply.action === 'opted_in') {
+      logger.info(`Removed ${phone} from the suppression list`)
+      return twimlResponse(translate(locale, 'replyOptedIn'))
+    }
+
+    if (HELP_KEYWORDS.includes(keyword)) {
+      return twimlResponse(translate(locale, 'replyHelp'))
+    }
+    if (STATUS_KEYWORDS.includes(keyword)) {
+      return twimlResponse(await buildStatusReply(stateStore, latestOrder, locale))
+    }
+
+    logger.info(`No automatic reply for inbound message ${form.MessageSid}`)
+    return twimlResponse()
+  } catch (error) {
+    logger.error('Unexpected error processing inbound WhatsApp message', error)
+    return errorResponse(500, 'Internal server error', logger)
+  }
+}
+
+exports.main = main
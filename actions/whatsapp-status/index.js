@@ -0,0 +1,129 @@
+/**
+ * WhatsApp Status Callback Action
+ *
+ * Receives Twilio message status callbacks (queued, sent, delivered, read, failed...)
+ * for the messages sent by order-notification, and persists each message's
+ * delivery lifecycle with its error code, keyed by message SID and order number.
+ *
+ * When WhatsApp reports that a customer cannot be reached (e.g. 63003, number not on
+ * WhatsApp) and SMS fallback is allowed for the event, the notification is sent by SMS,
+ * once per message, unless the customer has since opted out or reached the daily limit.
+ *
+ * Requests are authenticated with the X-Twilio-Signature header, computed by Twilio
+ * from TWILIO_STATUS_CALLBACK_URL and the Auth Token of the sending account
+ * (TWILIO_AUTH_TOKEN, or the token of a store route in STORE_ROUTING).
+ */
+
+const { Core } = require('@adobe/aio-sdk')
+const { errorResponse } = require('../utils')
+const { parseFormBody, verifyTwilioSignature } = require('../order-notification/twilioWebhook')
+const { initStateStore } = require('../order-notification/stateStore')
+const { applyStatusCallback, recordMessageSent, recordFallbackSent, claimFallback, releaseFallback } = require('../order-notification/messageStatus')
+const { isSmsFallbackAllowed, isWhatsAppUnreachable, CHANNEL_SMS } = require('../order-notification/messageChannels')
+const { sendSmsMessage, getTwilioConfig } = require('../order-notification/twilioService')
+const { routeParamsByKey, getTwilioAuthToken } = require('../order-notification/storeRouting')
+const { checkConsent } = require('../order-notification/consent')
+const { checkDailyLimit, recordDailyMessage } = require('../order-notification/dailyLimit')
+
+/**
+ * Send an undelivered WhatsApp notification by SMS, once
+ * @param {object} stateStore - State store instance
+ * @param {object} record - Message record after the status callback
+ * @param {object} params - Action parameters
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object|null>} SMS send result (with skipped reason when it was not sent),
+ *   or null when no fallback applies or another callback sends it
+ */
+async function sendSmsFallback (stateStore, record, params, logger) {
+  if (!record.fallbackText || record.fallbackSid || !isWhatsAppUnreachable(record) ||
+      !isSmsFallbackAllowed(record.eventType, params)) {
+    return null
+  }
+  // Sent from the SMS sender of the store the WhatsApp message was sent for
+  const storeParams = routeParamsByKey(params, record.store)
+
+  // The customer consented to the WhatsApp message; a STOP reply since withdraws it
+  const consent = await checkConsent(stateStore, {}, record.to, { ...storeParams, CONSENT_REQUIRED: 'false' })
+  if (!consent.allowed) {
+    logger.info(`Not falling back to SMS for order ${record.orderNumber}: the customer opted out`)
+    return { success: false, skipped: 'no_consent' }
+  }
+  const dailyLimit = await checkDailyLimit(stateStore, record.to, storeParams)
+  if (!dailyLimit.allowed) {
+    logger.warn(`Not falling back to SMS for order ${record.orderNumber}: ${record.to} reached the daily limit of ${dailyLimit.limit} messages`)
+    return { success: false, skipped: 'daily_limit' }
+  }
+
+  if (!await claimFallback(stateStore, record.messageSid)) {
+    logger.info(`SMS fallback of message ${record.messageSid} is already being sent`)
+    return null
+  }
+
+  logger.info(`WhatsApp cannot reach the customer of order ${record.orderNumber} (error ${record.errorCode}), falling back to SMS`)
+  const result = await sendSmsMessage(getTwilioConfig(storeParams, CHANNEL_SMS), record.to, record.fallbackText, logger)
+  if (!result.success) {
+    await releaseFallback(stateStore, record.messageSid)
+    return result
+  }
+  await recordFallbackSent(stateStore, record.messageSid, result.messageSid)
+  await recordDailyMessage(stateStore, record.to, storeParams)
+  await recordMessageSent(stateStore, result.messageSid, {
+    orderNumber: record.orderNumber,
+    eventType: record.eventType,
+    to: record.to,
+    channel: CHANNEL_SMS,
+    status: result.status,
+    ...(record.store && { store: record.store })
+  })
+  return result
+}
+
+/**
+ * Main function executed by Adobe I/O Runtime
+ * @param {object} params - Status callback request from Twilio
+ * @returns {object} HTTP response with status code and body
+ */
+async function main (params) {
+  const logger = Core.Logger('whatsapp-status', { level: params.LOG_LEVEL || 'info' })
+
+  try {
+    const form = parseFormBody(params)
+    if (!verifyTwilioSignature(params, form, params.TWILIO_STATUS_CALLBACK_URL, getTwilioAuthToken(params, form.AccountSid))) {
+      logger.warn('Rejected status callback with missing or invalid X-Twilio-Signature')
+      return errorResponse(403, 'Invalid Twilio signature', logger)
+    }
+
+    if (!form.MessageSid || !form.MessageStatus) {
+      return errorResponse(400, 'Missing MessageSid or MessageStatus', logger)
+    }
+
+    const stateStore = await initStateStore(params, logger)
+    const record = await applyStatusCallback(stateStore, form)
+
+    if (form.ErrorCode) {
+      logger.warn(`Message ${form.MessageSid} for order ${record.orderNumber} is ${form.MessageStatus}: error ${form.ErrorCode}`)
+    } else {
+      logger.info(`Message ${form.MessageSid} for order ${record.orderNumber} is ${form.MessageStatus}`)
+    }
+
+    const fallback = await sendSmsFallback(stateStore, record, params, logger)
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        messageSid: record.messageSid,
+        orderNumber: record.orderNumber || null,
+        status: record.status,
+        ...(fallback && { fallbackChannel: CHANNEL_SMS, fallbackSent: fallback.success }),
+        ...(fallback?.messageSid && { fallbackSid: fallback.messageSid }),
+        ...(fallback?.skipped && { fallbackSkipped: fallback.skipped })
+      }
+    }
+  } catch (error) {
+    logger.error('Unexpected error processing message status callback', error)
+    return errorResponse(500, 'Internal server error', logger)
+  }
+}
+
+exports.main = main
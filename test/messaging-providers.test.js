@@ -0,0 +1,280 @@
+/*
+ * Copyright 2025 EBH
+ * Author: Sarvagya Pandey
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+jest.mock('@adobe/aio-sdk', () => ({
+  Core: {
+    Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
+  }
+}))
+
+// Send the requests of the real Twilio client and of node-fetch to the local stub below
+let mockApiOrigin
+/**
+ * Point a provider API URL at the stub origin
+ * @param {string} url - Twilio or Graph API URL
+ * @returns {string} Same path on the stub
+ */
+function mockStubUrl (url) {
+  const target = new URL(url)
+  const origin = new URL(mockApiOrigin)
+  target.protocol = origin.protocol
+  target.host = origin.host
+  return target.href
+}
+jest.mock('twilio', () => {
+  const twilio = jest.requireActual('twilio')
+  return Object.assign((accountSid, authToken) => {
+    const httpClient = new twilio.RequestClient()
+    const request = httpClient.request.bind(httpClient)
+    httpClient.request = opts => request({ ...opts, uri: mockStubUrl(opts.uri) })
+    return twilio(accountSid, authToken, { httpClient })
+  }, twilio)
+})
+jest.mock('node-fetch', () => {
+  const fetch = jest.requireActual('node-fetch')
+  return (url, options) => fetch(mockStubUrl(url), options)
+})
+
+const http = require('http')
+const { Core } = require('@adobe/aio-sdk')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn(), warn: jest.fn() }
+Core.Logger.mockReturnValue(mockLoggerInstance)
+
+const action = require('./../actions/order-notification/index.js')
+const { getMessagingProvider } = require('./../actions/order-notification/messagingProviders')
+const { buildMetaMessage, classifyMetaError } = require('./../actions/order-notification/metaCloudService')
+const { resolveMessageContent } = require('./../actions/order-notification/contentTemplates')
+
+// Local HTTP stub standing in for the Twilio and Meta APIs
+const requests = []
+let respond = () => ({ status: 200, body: {} })
+let server
+let stubUrl
+
+/**
+ * Read the body of a stub request
+ * @param {object} request - Incoming request
+ * @returns {Promise<string>} Request body
+ */
+function readBody (request) {
+  return new Promise(resolve => {
+    let body = ''
+    request.on('data', chunk => { body += chunk })
+    request.on('end', () => resolve(body))
+  })
+}
+
+beforeAll(async () => {
+  server = http.createServer(async (request, response) => {
+    const body = await readBody(request)
+    const recorded = { method: request.method, url: request.url, headers: request.headers, body }
+    requests.push(recorded)
+    const { status, body: responseBody, hang } = respond(recorded)
+    if (hang) {
+      return
+    }
+    response.writeHead(status, { 'Content-Type': 'application/json' })
+    response.end(JSON.stringify(responseBody))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  stubUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve))
+})
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  requests.length = 0
+  mockApiOrigin = stubUrl
+})
+
+const orderEvent = {
+  specversion: '1.0',
+  id: 'provider-event-1',
+  type: 'com.adobe.commerce.observer.sales_order_place_after',
+  source: 'com.adobe.commerce',
+  data: {
+    value: {
+      order: {
+        increment_id: '000000301',
+        customer_firstname: 'Priya',
+        customer_lastname: 'Shah',
+        whatsapp_opt_in: true,
+        addresses: [{ telephone: '07911 123456', country_id: 'GB' }],
+        grand_total: 49.9,
+        order_currency_code: 'GBP'
+      }
+    }
+  }
+}
+
+const twilioParams = {
+  STATE_STORE: 'memory',
+  TWILIO_ACCOUNT_SID: 'ACtest',
+  TWILIO_AUTH_TOKEN: 'test_token',
+  TWILIO_WHATSAPP_FROM: 'whatsapp:+14155238886',
+  TWILIO_RETRY_BASE_DELAY_MS: '0'
+}
+
+const metaParams = {
+  STATE_STORE: 'memory',
+  MESSAGING_PROVIDER: 'meta',
+  META_ACCESS_TOKEN: 'meta_token',
+  META_PHONE_NUMBER_ID: '1055512345',
+  TWILIO_RETRY_BASE_DELAY_MS: '0'
+}
+
+describe('messaging providers', () => {
+  test('should select Twilio by default and reject unknown providers', () => {
+    expect(getMessagingProvider({}).name).toBe('twilio')
+    expect(getMessagingProvider({ MESSAGING_PROVIDER: 'Meta' }).name).toBe('meta')
+    expect(() => getMessagingProvider({ MESSAGING_PROVIDER: 'carrier-pigeon' })).toThrow('Unknown messaging provider: carrier-pigeon')
+  })
+
+  test('should fail the action on an unknown provider', async () => {
+    const response = await action.main({ ...orderEvent, ...twilioParams, MESSAGING_PROVIDER: 'carrier-pigeon' })
+
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body.error).toContain('Invalid MESSAGING_PROVIDER configuration')
+  })
+
+  test('should send through the Twilio Messages API', async () => {
+    respond = () => ({ status: 201, body: { sid: 'SM301', status: 'queued' } })
+
+    const response = await action.main({ ...orderEvent, ...twilioParams, event_id: 'provider-1' })
+
+    expect(response.body).toMatchObject({ provider: 'twilio', channel: 'whatsapp', messageSid: 'SM301' })
+    expect(requests).toHaveLength(1)
+    expect(requests[0].url).toBe('/2010-04-01/Accounts/ACtest/Messages.json')
+    const form = new URLSearchParams(requests[0].body)
+    expect(form.get('To')).toBe('whatsapp:+447911123456')
+    expect(form.get('From')).toBe('whatsapp:+14155238886')
+    expect(form.get('Body')).toContain('000000301')
+  })
+
+  test('should send through the Meta Cloud API', async () => {
+    respond = () => ({ status: 200, body: { messaging_product: 'whatsapp', messages: [{ id: 'wamid.HBgM301' }] } })
+
+    const response = await action.main({ ...orderEvent, ...metaParams, event_id: 'provider-2' })
+
+    expect(response.body).toMatchObject({ provider: 'meta', channel: 'whatsapp', whatsappSent: true, messageSid: 'wamid.HBgM301' })
+    expect(requests[0].url).toBe('/v21.0/1055512345/messages')
+    expect(requests[0].headers.authorization).toBe('Bearer meta_token')
+    const body = JSON.parse(requests[0].body)
+    expect(body).toMatchObject({ messaging_product: 'whatsapp', to: '447911123456', type: 'text' })
+    expect(body.text.body).toContain('000000301')
+  })
+
+  test('should return the same result shape for failures of both providers', async () => {
+    respond = () => ({ status: 400, body: { code: 21211, message: 'Invalid To number', status: 400 } })
+    const twilioResult = await getMessagingProvider(twilioParams)
+      .sendWhatsApp(twilioParams, '+447911123456', 'Hello', mockLoggerInstance)
+
+    respond = () => ({ status: 400, body: { error: { message: 'Invalid parameter', type: 'OAuthException', code: 100 } } })
+    const metaResult = await getMessagingProvider(metaParams)
+      .sendWhatsApp(metaParams, '+447911123456', 'Hello', mockLoggerInstance)
+
+    expect(twilioResult).toEqual({ success: false, error: 'Invalid To number', errorCode: 21211, retryable: false, attempts: 1 })
+    expect(metaResult).toEqual({ success: false, error: 'Invalid parameter', errorCode: 100, retryable: false, attempts: 1 })
+  })
+
+  test('should retry throttled requests on both providers', async () => {
+    let calls = 0
+    respond = request => {
+      calls++
+      if (calls % 2 === 1) {
+        return request.url.includes('Messages.json')
+          ? { status: 429, body: { code: 20429, message: 'Too Many Requests', status: 429 } }
+          : { status: 400, body: { error: { message: 'Throughput reached', code: 130429 } } }
+      }
+      return request.url.includes('Messages.json')
+        ? { status: 201, body: { sid: 'SM302', status: 'queued' } }
+        : { status: 200, body: { messages: [{ id: 'wamid.302' }] } }
+    }
+
+    const twilioResult = await getMessagingProvider(twilioParams)
+      .sendWhatsApp(twilioParams, '+447911123456', 'Hello', mockLoggerInstance)
+    const metaResult = await getMessagingProvider(metaParams)
+      .sendWhatsApp(metaParams, '+447911123456', 'Hello', mockLoggerInstance)
+
+    expect(twilioResult).toEqual({ success: true, messageSid: 'SM302', status: 'queued', attempts: 2 })
+    expect(metaResult).toEqual({ success: true, messageSid: 'wamid.302', status: 'accepted', attempts: 2 })
+  })
+
+  test('should treat unreachable APIs as retryable connection errors', async () => {
+    mockApiOrigin = 'http://127.0.0.1:1'
+    const result = await getMessagingProvider(metaParams)
+      .sendWhatsApp({ ...metaParams, TWILIO_RETRY_MAX_ATTEMPTS: '2' }, '+447911123456', 'Hello', mockLoggerInstance)
+
+    expect(result).toMatchObject({ success: false, errorCode: 'ECONNREFUSED', retryable: true, attempts: 2 })
+    expect(classifyMetaError(Object.assign(new Error('Server error'), { status: 503 }))).toEqual({ retryable: true, reason: 'server_error' })
+  })
+
+  test('should abort Graph API requests that do not answer in time', async () => {
+    respond = () => ({ hang: true })
+
+    const result = await getMessagingProvider(metaParams)
+      .sendWhatsApp({ ...metaParams, META_API_TIMEOUT_MS: '50' }, '+447911123456', 'Hello', mockLoggerInstance)
+
+    expect(result).toEqual({
+      success: false,
+      error: 'Meta Cloud API did not respond within 50ms',
+      errorCode: 'ETIMEDOUT',
+      retryable: false,
+      attempts: 1
+    })
+    expect(requests).toHaveLength(1)
+  })
+
+  test('should send Meta templates from META_CONTENT_TEMPLATES', () => {
+    const { content } = resolveMessageContent(orderEvent.type, 'Hello', { customerName: 'Priya Shah', orderNumber: '000000301' }, {
+      MESSAGING_PROVIDER: 'meta',
+      META_CONTENT_TEMPLATES: JSON.stringify({
+        sales_order_place_after: { name: 'order_confirmation', language: 'en_GB', variables: ['customerName', 'orderNumber'] }
+      })
+    })
+
+    expect(buildMetaMessage('+447911123456', content)).toEqual({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: '447911123456',
+      type: 'template',
+      template: {
+        name: 'order_confirmation',
+        language: { code: 'en_GB' },
+        components: [{
+          type: 'body',
+          parameters: [{ type: 'text', text: 'Priya Shah' }, { type: 'text', text: '000000301' }]
+        }]
+      }
+    })
+  })
+
+  test('should reject Meta templates without a language', () => {
+    const result = resolveMessageContent(orderEvent.type, 'Hello', {}, {
+      MESSAGING_PROVIDER: 'meta',
+      META_CONTENT_TEMPLATES: { sales_order_place_after: { name: 'order_confirmation' } }
+    })
+
+    expect(result.error).toBe('Content template for sales_order_place_after is missing language')
+  })
+})
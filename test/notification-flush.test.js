@@ -0,0 +1,315 @@
+/*
+ * Copyright 2025 EBH
+ * Author: Sarvagya Pandey
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+jest.mock('@adobe/aio-sdk', () => ({
+  Core: {
+    Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
+  }
+}))
+
+jest.mock('twilio', () => jest.fn())
+
+const { Core, State } = require('@adobe/aio-sdk')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn(), warn: jest.fn() }
+Core.Logger.mockReturnValue(mockLoggerInstance)
+
+// Fake aio-lib-state client, values are stored as strings like the real service
+const mockStateData = new Map()
+const mockStateInstance = {
+  get: jest.fn(async key => mockStateData.has(key) ? { value: mockStateData.get(key) } : undefined),
+  put: jest.fn(async (key, value) => { mockStateData.set(key, value); return key }),
+  delete: jest.fn(async key => mockStateData.delete(key) ? key : null),
+  list: jest.fn(({ match }) => (async function * () {
+    yield { keys: [...mockStateData.keys()].filter(key => key.startsWith(match.replace(/\*$/, ''))) }
+  })())
+}
+
+const twilio = require('twilio')
+const action = require('./../actions/notification-flush/index.js')
+const orderNotification = require('./../actions/order-notification/index.js')
+const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+const { listQueuedNotifications } = require('./../actions/order-notification/deferredQueue')
+const { listDeadLetters } = require('./../actions/order-notification/deadLetter')
+const { getOrderMessages } = require('./../actions/order-notification/messageStatus')
+const { recordOptOut } = require('./../actions/order-notification/consent')
+
+const twilioParams = {
+  TWILIO_ACCOUNT_SID: 'test_sid',
+  TWILIO_AUTH_TOKEN: 'test_token',
+  TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890',
+  TWILIO_RETRY_BASE_DELAY_MS: '0'
+}
+
+const quietHoursParams = { QUIET_HOURS: '21:00-08:00' }
+
+/**
+ * Build a shipment event of an order shipped to the UK
+ * @param {string} orderNumber - Order increment id
+ * @returns {object} Shipment event
+ */
+function shipmentEvent (orderNumber) {
+  return {
+    specversion: '1.0',
+    id: `flush-event-${orderNumber}`,
+    type: 'com.adobe.commerce.observer.sales_order_shipment_save_after',
+    source: 'com.adobe.commerce',
+    event_id: `flush-event-${orderNumber}`,
+    data: {
+      value: {
+        shipment: {
+          order: {
+            increment_id: orderNumber,
+            customer_email: 'ana@example.com',
+            customer_firstname: 'Ana',
+            customer_lastname: 'Silva',
+            whatsapp_opt_in: true,
+            addresses: [{ address_type: 'shipping', telephone: '07911 123456', country_id: 'GB' }]
+          },
+          tracks: [{ track_number: `TRACK${orderNumber}` }]
+        }
+      }
+    }
+  }
+}
+
+const store = createAdobeStateStore(mockStateInstance)
+let mockCreate
+
+/**
+ * Send a shipment event at 2 a.m. in London, so its notification is deferred to 8 a.m.
+ * @param {string} orderNumber - Order increment id
+ * @returns {Promise<object>} order-notification response
+ */
+async function deferShipment (orderNumber) {
+  jest.setSystemTime(new Date('2026-03-10T02:00:00Z'))
+  return orderNotification.main({ ...shipmentEvent(orderNumber), ...twilioParams, ...quietHoursParams })
+}
+
+/**
+ * Run the flush action at a given time
+ * @param {string} time - ISO time
+ * @param {object} [params] - Extra action parameters
+ * @returns {Promise<object>} Action response
+ */
+function flushAt (time, params = {}) {
+  jest.setSystemTime(new Date(time))
+  return action.main({ ...twilioParams, ...params })
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ advanceTimers: true })
+  jest.clearAllMocks()
+  mockStateData.clear()
+  State.init.mockResolvedValue(mockStateInstance)
+  mockCreate = jest.fn().mockResolvedValue({ sid: 'SM100', status: 'queued' })
+  twilio.mockReturnValue({ messages: { create: mockCreate } })
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+describe('notification-flush', () => {
+  test('main should be defined', () => {
+    expect(action.main).toBeInstanceOf(Function)
+  })
+
+  test('should send deferred notifications once quiet hours are over', async () => {
+    const deferred = await deferShipment('000000050')
+    expect(deferred.body).toMatchObject({ deferred: true, deliverAt: '2026-03-10T08:00:00.000Z', timeZone: 'Europe/London' })
+    expect(mockCreate).not.toHaveBeenCalled()
+
+    const early = await flushAt('2026-03-10T07:45:00Z')
+    expect(early.body).toMatchObject({ sent: 0, remaining: 0 })
+    expect(mockCreate).not.toHaveBeenCalled()
+
+    const response = await flushAt('2026-03-10T08:00:00Z')
+
+    expect(response.body).toMatchObject({ success: true, sent: 1, skipped: 0, failed: 0, remaining: 0 })
+    expect(mockCreate).toHaveBeenCalledTimes(1)
+    expect(mockCreate.mock.calls[0][0].to).toBe('whatsapp:+447911123456')
+    expect(mockCreate.mock.calls[0][0].body).toContain('TRACK000000050')
+    expect(await listQueuedNotifications(store)).toEqual([])
+    expect(await getOrderMessages(store, '000000050')).toEqual([expect.objectContaining({ messageSid: 'SM100', channel: 'whatsapp' })])
+  })
+
+  test('should drop deferred notifications of customers who opted out', async () => {
+    await deferShipment('000000051')
+    await recordOptOut(store, '+447911123456')
+
+    const response = await flushAt('2026-03-10T08:00:00Z')
+
+    expect(response.body).toMatchObject({ sent: 0, skipped: 1 })
+    expect(response.body.results[0].reason).toBe('no_consent')
+    expect(mockCreate).not.toHaveBeenCalled()
+    expect(await listQueuedNotifications(store)).toEqual([])
+  })
+
+  test('should dead-letter deferred notifications that cannot be sent', async () => {
+    await deferShipment('000000052')
+    mockCreate.mockRejectedValue(Object.assign(new Error('Invalid From'), { status: 400, code: 21212 }))
+
+    const response = await flushAt('2026-03-10T08:00:00Z')
+
+    expect(response.body).toMatchObject({ sent: 0, failed: 1 })
+    const [deadLetter] = await listDeadLetters(store)
+    expect(deadLetter).toMatchObject({ id: response.body.results[0].deadLetterId, orderNumber: '000000052', error: 'Invalid From' })
+    expect(deadLetter.event.type).toBe('com.adobe.commerce.observer.sales_order_shipment_save_after')
+    expect(await listQueuedNotifications(store)).toEqual([])
+  })
+
+  test('should drop deferred notifications over the daily limit', async () => {
+    await deferShipment('000000056')
+    await deferShipment('000000057')
+
+    const response = await flushAt('2026-03-10T08:00:00Z', { MAX_MESSAGES_PER_PHONE_PER_DAY: '1' })
+
+    expect(response.body).toMatchObject({ sent: 1, skipped: 1 })
+    expect(response.body.results[1].reason).toBe('daily_limit')
+    expect(mockCreate).toHaveBeenCalledTimes(1)
+  })
+
+  test('should send deferred notifications from the sender of the order store', async () => {
+    const routingParams = { STORE_ROUTING: JSON.stringify({ uk_store: { sender: 'whatsapp:+447400123456' } }) }
+    const event = shipmentEvent('000000058')
+    event.data.value.shipment.order.store_code = 'uk_store'
+    jest.setSystemTime(new Date('2026-03-10T02:00:00Z'))
+    await orderNotification.main({ ...event, ...twilioParams, ...quietHoursParams, ...routingParams })
+
+    const response = await flushAt('2026-03-10T08:00:00Z', routingParams)
+
+    expect(response.body).toMatchObject({ sent: 1 })
+    expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({ from: 'whatsapp:+447400123456' }))
+  })
+
+  test('should drop deferred notifications of stores that lost their route', async () => {
+    jest.setSystemTime(new Date('2026-03-10T02:00:00Z'))
+    await orderNotification.main({ ...shipmentEvent('000000059'), ...twilioParams, ...quietHoursParams, STORE_ROUTING: '{"*": {}}' })
+
+    const response = await flushAt('2026-03-10T08:00:00Z', { STORE_ROUTING: '{"uk_store": {}}' })
+
+    expect(response.body).toMatchObject({ sent: 0, skipped: 1 })
+    expect(response.body.results[0].reason).toBe('no_store_route')
+    expect(mockCreate).not.toHaveBeenCalled()
+  })
+
+  test('should keep deferred notifications queued while the routing table is invalid', async () => {
+    await deferShipment('000000060')
+
+    const response = await flushAt('2026-03-10T08:00:00Z', { STORE_ROUTING: '{"uk_store": {"sendr": "whatsapp:+447400123456"}}' })
+
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body.error).toBe('Invalid STORE_ROUTING configuration: Unknown field sendr in route for store uk_store')
+    expect(mockCreate).not.toHaveBeenCalled()
+    expect(await listQueuedNotifications(store)).toHaveLength(1)
+  })
+
+  test('should send every notification deferred concurrently', async () => {
+    jest.setSystemTime(new Date('2026-03-10T02:00:00Z'))
+    await Promise.all(['000000062', '000000063', '000000064'].map(orderNumber =>
+      orderNotification.main({ ...shipmentEvent(orderNumber), ...twilioParams, ...quietHoursParams })
+    ))
+    expect(await listQueuedNotifications(store)).toHaveLength(3)
+
+    const response = await flushAt('2026-03-10T08:00:00Z')
+
+    expect(response.body).toMatchObject({ sent: 3, remaining: 0 })
+    expect(await listQueuedNotifications(store)).toEqual([])
+  })
+
+  test('should refresh stale opt-outs once a day', async () => {
+    const optOut = updatedAt => JSON.stringify({ status: 'opted_out', source: 'stop_reply', updatedAt })
+    mockStateData.set('consent._447911123456', optOut('2025-06-01T00:00:00.000Z'))
+    mockStateData.set('consent._447911654321', optOut('2026-03-01T00:00:00.000Z'))
+    mockStateData.set('consent._447911000000', JSON.stringify({ status: 'opted_in', source: 'start_reply', updatedAt: '2025-06-01T00:00:00.000Z' }))
+
+    await flushAt('2026-03-10T08:00:00Z')
+
+    expect(mockStateInstance.put.mock.calls.filter(([key]) => key.startsWith('consent.'))).toEqual([
+      ['consent._447911123456', expect.any(String), { ttl: 60 * 60 * 24 * 365 }]
+    ])
+    expect(JSON.parse(mockStateData.get('consent._447911123456')).refreshedAt).toBe('2026-03-10T08:00:00.000Z')
+
+    mockStateData.set('consent._447911123456', optOut('2025-06-01T00:00:00.000Z'))
+    await flushAt('2026-03-10T08:15:00Z')
+    expect(JSON.parse(mockStateData.get('consent._447911123456')).refreshedAt).toBeUndefined()
+  })
+
+  test('should send at most FLUSH_BATCH_SIZE notifications per run', async () => {
+    await deferShipment('000000053')
+    await deferShipment('000000054')
+
+    const first = await flushAt('2026-03-10T08:00:00Z', { FLUSH_BATCH_SIZE: '1' })
+    expect(first.body).toMatchObject({ sent: 1, remaining: 1 })
+
+    const second = await flushAt('2026-03-10T08:15:00Z', { FLUSH_BATCH_SIZE: '1' })
+    expect(second.body).toMatchObject({ sent: 1, remaining: 0 })
+    expect(mockCreate).toHaveBeenCalledTimes(2)
+  })
+
+  test('should keep notifications in the queue when sending throws', async () => {
+    await deferShipment('000000055')
+    State.init.mockResolvedValue({
+      ...mockStateInstance,
+      get: jest.fn(async key => {
+        if (key.startsWith('consent.')) {
+          throw new Error('State unavailable')
+        }
+        return mockStateInstance.get(key)
+      })
+    })
+
+    const response = await flushAt('2026-03-10T08:00:00Z')
+
+    expect(response.body).toMatchObject({ sent: 0, remaining: 1 })
+    expect(await listQueuedNotifications(store)).toHaveLength(1)
+  })
+})
+
+describe('notification-flush without order-notification loaded', () => {
+  test('should send deferred notifications of stores with their own templates', async () => {
+    let flush, enqueueNotification
+    jest.isolateModules(() => {
+      const sdk = require('@adobe/aio-sdk')
+      sdk.Core.Logger.mockReturnValue(mockLoggerInstance)
+      sdk.State.init.mockResolvedValue(mockStateInstance)
+      require('twilio').mockReturnValue({ messages: { create: mockCreate } })
+      flush = require('./../actions/notification-flush/index.js')
+      ;({ enqueueNotification } = require('./../actions/order-notification/deferredQueue'))
+    })
+    const event = shipmentEvent('000000061')
+    event.data.value.shipment.order.store_code = 'uk_store'
+    await enqueueNotification(store, event, {
+      eventType: event.type,
+      orderNumber: '000000061',
+      to: '+447911123456',
+      locale: 'en',
+      notification: { message: 'Order #000000061 has shipped', content: 'Order #000000061 has shipped', contentError: null },
+      deliverAt: new Date('2026-03-10T08:00:00Z'),
+      timeZone: 'Europe/London'
+    })
+    const routing = { uk_store: { sender: 'whatsapp:+447400123456', templates: { sales_order_shipment_save_after: 'Shipped #{{orderNumber}}' } } }
+
+    jest.setSystemTime(new Date('2026-03-10T08:00:00Z'))
+    const response = await flush.main({ ...twilioParams, STORE_ROUTING: JSON.stringify(routing) })
+
+    expect(response.body).toMatchObject({ sent: 1, skipped: 0 })
+    expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({ from: 'whatsapp:+447400123456', body: 'Order #000000061 has shipped' }))
+  })
+})
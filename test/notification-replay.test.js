@@ -0,0 +1,224 @@
+/*
+ * Copyright 2025 EBH
+ * Author: Sarvagya Pandey
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+jest.mock('@adobe/aio-sdk', () => ({
+  Core: {
+    Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
+  }
+}))
+
+jest.mock('twilio', () => jest.fn())
+
+const { Core, State } = require('@adobe/aio-sdk')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn(), warn: jest.fn() }
+Core.Logger.mockReturnValue(mockLoggerInstance)
+
+// Fake aio-lib-state client, values are stored as strings like the real service
+const mockStateData = new Map()
+const mockStateInstance = {
+  get: jest.fn(async key => mockStateData.has(key) ? { value: mockStateData.get(key) } : undefined),
+  put: jest.fn(async (key, value) => { mockStateData.set(key, value); return key }),
+  delete: jest.fn(async key => mockStateData.delete(key) ? key : null),
+  list: jest.fn(({ match }) => (async function * () {
+    yield { keys: [...mockStateData.keys()].filter(key => key.startsWith(match.replace(/\*$/, ''))) }
+  })())
+}
+
+const twilio = require('twilio')
+const action = require('./../actions/notification-replay/index.js')
+const orderNotification = require('./../actions/order-notification/index.js')
+const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+const { listDeadLetters } = require('./../actions/order-notification/deadLetter')
+const { getOrderMessages } = require('./../actions/order-notification/messageStatus')
+
+const twilioParams = {
+  TWILIO_ACCOUNT_SID: 'test_sid',
+  TWILIO_AUTH_TOKEN: 'test_token',
+  TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890',
+  TWILIO_RETRY_BASE_DELAY_MS: '0'
+}
+
+const adminHeaders = { __ow_headers: { authorization: 'Bearer ims-token' } }
+
+const shipmentEvent = {
+  specversion: '1.0',
+  id: 'replay-event-1',
+  type: 'com.adobe.commerce.observer.sales_order_shipment_save_after',
+  source: 'com.adobe.commerce',
+  event_id: 'replay-event-1',
+  data: {
+    value: {
+      shipment: {
+        order: {
+          increment_id: '000000042',
+          customer_email: 'ana@example.com',
+          customer_firstname: 'Ana',
+          customer_lastname: 'Silva',
+          whatsapp_opt_in: true,
+          addresses: [{ telephone: '2125559876', country_id: 'US' }]
+        },
+        tracks: [{ track_number: 'TRACK42' }]
+      }
+    }
+  }
+}
+
+const store = createAdobeStateStore(mockStateInstance)
+let mockCreate
+
+/**
+ * Invoke the replay action as an authenticated admin
+ * @param {object} params - Replay parameters
+ * @returns {Promise<object>} Action response
+ */
+function replay (params) {
+  return action.main({ ...adminHeaders, ...twilioParams, ...params })
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  mockStateData.clear()
+  State.init.mockResolvedValue(mockStateInstance)
+  mockCreate = jest.fn().mockResolvedValue({ sid: 'SM100', status: 'queued' })
+  twilio.mockReturnValue({ messages: { create: mockCreate } })
+})
+
+describe('notification-replay', () => {
+  test('main should be defined', () => {
+    expect(action.main).toBeInstanceOf(Function)
+  })
+
+  test('should reject requests without an Authorization header', async () => {
+    const response = await action.main({ ...twilioParams, deadLetterId: 'x' })
+
+    expect(response.error.statusCode).toBe(401)
+  })
+
+  test('should require a dead letter or an order number and event type', async () => {
+    const response = await replay({ orderNumber: '000000042' })
+
+    expect(response.error.statusCode).toBe(400)
+    expect(response.error.body.error).toBe('Missing parameter(s): deadLetterId, or orderNumber and eventType')
+  })
+
+  test('should list and replay dead letters, removing them once sent', async () => {
+    mockCreate.mockRejectedValueOnce(Object.assign(new Error('Invalid From'), { status: 400, code: 21212 }))
+    const original = await orderNotification.main({ ...shipmentEvent, ...twilioParams })
+    const deadLetterId = original.body.deadLetterId
+
+    const list = await replay({ list: 'true' })
+    expect(list.body.deadLetters).toEqual([expect.objectContaining({ id: deadLetterId, orderNumber: '000000042' })])
+
+    const response = await replay({ deadLetterId })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toMatchObject({
+      success: true,
+      deadLetterId,
+      orderNumber: '000000042',
+      eventType: shipmentEvent.type,
+      to: '+12125559876',
+      messageSid: 'SM100'
+    })
+    expect(mockCreate.mock.calls[1][0].body).toContain('TRACK42')
+    expect(await listDeadLetters(store)).toEqual([])
+    expect(await getOrderMessages(store, '000000042')).toEqual([expect.objectContaining({ messageSid: 'SM100' })])
+  })
+
+  test('should answer 404 for unknown dead letters', async () => {
+    const response = await replay({ deadLetterId: 'missing' })
+
+    expect(response.error.statusCode).toBe(404)
+  })
+
+  test('should regenerate the message of a notified event for a new phone number', async () => {
+    await orderNotification.main({ ...shipmentEvent, ...twilioParams })
+
+    const response = await replay({ orderNumber: '000000042', eventType: 'sales_order_shipment_save_after', phone: '+447911123456' })
+
+    expect(response.body).toMatchObject({ success: true, to: '+447911123456', phoneSource: 'override' })
+    expect(mockCreate).toHaveBeenCalledTimes(2)
+    expect(mockCreate.mock.calls[1][0].to).toBe('whatsapp:+447911123456')
+    expect(mockCreate.mock.calls[1][0].body).toBe(mockCreate.mock.calls[0][0].body)
+  })
+
+  test('should return the rendered message without sending on dry run', async () => {
+    await orderNotification.main({ ...shipmentEvent, ...twilioParams })
+
+    const response = await replay({ orderNumber: '000000042', eventType: 'sales_order_shipment_save_after', dryRun: true })
+
+    expect(response.body).toMatchObject({ success: true, dryRun: true, to: '+12125559876' })
+    expect(response.body.message).toContain('TRACK42')
+    expect(response.body.content).toBe(response.body.message)
+    expect(mockCreate).toHaveBeenCalledTimes(1)
+  })
+
+  test('should answer 404 when the order has no notified event of that type', async () => {
+    const response = await replay({ orderNumber: '000000042', eventType: 'sales_order_cancel_after' })
+
+    expect(response.error.statusCode).toBe(404)
+  })
+
+  test('should reject unsupported event types and invalid phone numbers', async () => {
+    await orderNotification.main({ ...shipmentEvent, ...twilioParams })
+
+    expect((await replay({ orderNumber: '000000042', eventType: 'sales_order_unknown' })).error.statusCode).toBe(400)
+    const response = await replay({ orderNumber: '000000042', eventType: 'sales_order_shipment_save_after', phone: '123' })
+    expect(response.error.body.error).toMatch(/^Invalid phone number/)
+  })
+
+  test('should respect the suppression list', async () => {
+    const { recordOptOut } = require('./../actions/order-notification/consent')
+    await orderNotification.main({ ...shipmentEvent, ...twilioParams })
+    await recordOptOut(store, '+12125559876')
+
+    const response = await replay({ orderNumber: '000000042', eventType: 'sales_order_shipment_save_after' })
+
+    expect(response.error.statusCode).toBe(409)
+    expect(mockCreate).toHaveBeenCalledTimes(1)
+  })
+
+  test('should ignore configuration passed in the request', async () => {
+    const { recordOptOut } = require('./../actions/order-notification/consent')
+    await orderNotification.main({ ...shipmentEvent, ...twilioParams })
+    await recordOptOut(store, '+12125559876')
+
+    // A memory store would not hold the opt-out
+    const response = await replay({
+      orderNumber: '000000042',
+      eventType: 'sales_order_shipment_save_after',
+      STATE_STORE: 'memory'
+    })
+
+    expect(response.error.statusCode).toBe(409)
+    expect(State.init).toHaveBeenCalledTimes(2)
+    expect(mockCreate).toHaveBeenCalledTimes(1)
+  })
+
+  test('should report send failures', async () => {
+    await orderNotification.main({ ...shipmentEvent, ...twilioParams })
+    mockCreate.mockRejectedValue(Object.assign(new Error('Unreachable'), { status: 400, code: 63003 }))
+
+    const response = await replay({ orderNumber: '000000042', eventType: 'sales_order_shipment_save_after' })
+
+    expect(response.error.statusCode).toBe(502)
+    expect(response.error.body.error).toBe('Notification not sent: Unreachable')
+  })
+})
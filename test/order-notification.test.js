@@ -18,6 +18,9 @@
 jest.mock('@adobe/aio-sdk', () => ({
   Core: {
     Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
   }
 }))
 
@@ -29,10 +32,21 @@ jest.mock('twilio', () => {
   }))
 })
 
-const { Core } = require('@adobe/aio-sdk')
+const { Core, State } = require('@adobe/aio-sdk')
 const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn(), warn: jest.fn() }
 Core.Logger.mockReturnValue(mockLoggerInstance)
 
+// Fake aio-lib-state client, values are stored as strings like the real service
+const mockStateData = new Map()
+const mockStateInstance = {
+  get: jest.fn(async key => mockStateData.has(key) ? { value: mockStateData.get(key) } : undefined),
+  put: jest.fn(async (key, value) => { mockStateData.set(key, value); return key }),
+  delete: jest.fn(async key => mockStateData.delete(key) ? key : null),
+  list: jest.fn(({ match }) => (async function * () {
+    yield { keys: [...mockStateData.keys()].filter(key => key.startsWith(match.replace(/\*$/, ''))) }
+  })())
+}
+
 const twilio = require('twilio')
 const action = require('./../actions/order-notification/index.js')
 
@@ -43,10 +57,14 @@ beforeEach(() => {
   mockLoggerInstance.error.mockReset()
   mockLoggerInstance.warn.mockReset()
   jest.clearAllMocks()
+  mockStateData.clear()
+  State.init.mockResolvedValue(mockStateInstance)
 })
 
 // Mock order placement event
 const mockOrderPlacedEvent = {
+  specversion: '1.0',
+  id: 'test-event-123',
   type: 'com.adobe.commerce.observer.sales_order_place_after',
   source: 'com.adobe.commerce',
   event_id: 'test-event-123',
@@ -56,9 +74,11 @@ const mockOrderPlacedEvent = {
         increment_id: '000000008',
         customer_email: 'test@example.com',
         customer_firstname: 'Test',
+        whatsapp_opt_in: true,
         customer_lastname: 'Customer',
         addresses: [{
-          telephone: '1234567890'
+          telephone: '4155552671',
+          country_id: 'US'
         }],
         grand_total: 100,
         order_currency_code: 'USD'
@@ -69,6 +89,8 @@ const mockOrderPlacedEvent = {
 
 // Mock order status change event
 const mockOrderStatusEvent = {
+  specversion: '1.0',
+  id: 'test-event-124',
   type: 'com.adobe.commerce.observer.sales_order_save_after',
   source: 'com.adobe.commerce',
   event_id: 'test-event-124',
@@ -78,9 +100,10 @@ const mockOrderStatusEvent = {
         increment_id: '000000009',
         customer_email: 'test2@example.com',
         customer_firstname: 'Jane',
+        whatsapp_opt_in: true,
         customer_lastname: 'Doe',
         addresses: [{
-          telephone: '+15551234567'
+          telephone: '+14155550123'
         }],
         status: 'processing',
         grand_total: 200,
@@ -92,6 +115,8 @@ const mockOrderStatusEvent = {
 
 // Mock shipment event
 const mockShipmentEvent = {
+  specversion: '1.0',
+  id: 'test-event-125',
   type: 'com.adobe.commerce.observer.sales_order_shipment_save_after',
   source: 'com.adobe.commerce',
   event_id: 'test-event-125',
@@ -102,9 +127,11 @@ const mockShipmentEvent = {
           increment_id: '000000010',
           customer_email: 'test3@example.com',
           customer_firstname: 'John',
+          whatsapp_opt_in: true,
           customer_lastname: 'Smith',
           addresses: [{
-            telephone: '5559876543'
+            telephone: '2125559876',
+            country_id: 'US'
           }]
         },
         tracks: [{
@@ -117,6 +144,8 @@ const mockShipmentEvent = {
 
 // Mock cancellation event
 const mockCancellationEvent = {
+  specversion: '1.0',
+  id: 'test-event-126',
   type: 'com.adobe.commerce.observer.sales_order_cancel_after',
   source: 'com.adobe.commerce',
   event_id: 'test-event-126',
@@ -126,6 +155,7 @@ const mockCancellationEvent = {
         increment_id: '000000011',
         customer_email: 'test4@example.com',
         customer_firstname: 'Bob',
+        whatsapp_opt_in: true,
         customer_lastname: 'Johnson',
         addresses: [{
           telephone: '+14155552671'
@@ -147,6 +177,8 @@ describe('order-notification', () => {
 
   test('should reject invalid event source', async () => {
     const invalidEvent = {
+      specversion: '1.0',
+      id: 'invalid-source-event',
       type: 'com.example.event',
       source: 'com.example'
     }
@@ -157,6 +189,8 @@ describe('order-notification', () => {
 
   test('should reject unauthorized event types', async () => {
     const unauthorizedEvent = {
+      specversion: '1.0',
+      id: 'unknown-type-event',
       type: 'com.adobe.commerce.observer.unknown_event',
       source: 'com.adobe.commerce',
       data: { value: { order: {} } }
@@ -168,13 +202,16 @@ describe('order-notification', () => {
 
   test('should reject events missing order data', async () => {
     const eventNoData = {
+      specversion: '1.0',
+      id: 'missing-data-event',
       type: 'com.adobe.commerce.observer.sales_order_place_after',
       source: 'com.adobe.commerce',
       data: {}
     }
     const response = await action.main(eventNoData)
     expect(response.error.statusCode).toBe(400)
-    expect(response.error.body.error).toContain('Missing order data')
+    expect(response.error.body.error).toBe('Invalid event structure')
+    expect(response.error.body.violations).toEqual([{ field: 'value', path: '/data/value', message: 'is required' }])
   })
 
   test('should handle order placement event without Twilio config', async () => {
@@ -282,6 +319,7 @@ describe('order-notification', () => {
             increment_id: '000000012',
             customer_email: 'test@example.com',
             customer_firstname: 'Test',
+            whatsapp_opt_in: true,
             customer_lastname: 'Customer',
             addresses: [{}],
             grand_total: 100,
@@ -327,9 +365,11 @@ describe('order-notification', () => {
             increment_id: '000000013',
             customer_email: 'test@example.com',
             customer_firstname: 'Test',
+            whatsapp_opt_in: true,
             customer_lastname: 'Customer',
             billing_address: {
-              telephone: '5551234567'
+              telephone: '6175551234',
+              country_id: 'US'
             },
             grand_total: 100,
             order_currency_code: 'USD'
@@ -353,3 +393,2154 @@ describe('order-notification', () => {
     expect(response.body.whatsappSent).toBe(true)
   })
 })
+
+describe('event deduplication', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  test('should not message the customer twice for a retried event', async () => {
+    const mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+
+    const first = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+    expect(first.body.whatsappSent).toBe(true)
+    expect(first.body.messageSid).toBe('SM123456')
+
+    const retry = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+    expect(retry.statusCode).toBe(200)
+    expect(retry.body.duplicate).toBe(true)
+    expect(retry.body.orderNumber).toBe('000000008')
+    expect(retry.body.messageSid).toBe('SM123456')
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+  })
+
+  test('should use the CloudEvent id when event_id is absent', async () => {
+    const mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+
+    const event = { ...mockOrderPlacedEvent }
+    delete event.event_id
+    await action.main({ ...event, id: 'cloud-event-1', ...twilioParams })
+    const retry = await action.main({ ...event, id: 'cloud-event-1', ...twilioParams })
+
+    expect(retry.body.duplicate).toBe(true)
+    expect(mockStateInstance.put).toHaveBeenCalledWith('event.cloud-event-1', expect.any(String), expect.any(Object))
+  })
+
+  test('should allow a retry when the previous send failed', async () => {
+    const mockTwilioClient = {
+      messages: {
+        create: jest.fn()
+          .mockRejectedValueOnce(new Error('Twilio API Error'))
+          .mockResolvedValueOnce({ sid: 'SM654321' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+
+    const first = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+    expect(first.body.whatsappSent).toBe(false)
+
+    const retry = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+    expect(retry.body.duplicate).toBeUndefined()
+    expect(retry.body.whatsappSent).toBe(true)
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(2)
+  })
+
+  test('should fall back to the in-memory store when State cannot be initialized', async () => {
+    State.init.mockRejectedValue(new Error('State unavailable'))
+    const mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+
+    const event = { ...mockOrderPlacedEvent, event_id: 'memory-event-1', ...twilioParams }
+    await action.main(event)
+    const retry = await action.main(event)
+
+    expect(retry.body.duplicate).toBe(true)
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('falling back to in-memory store'))
+  })
+})
+
+describe('status change notifications', () => {
+  const { parseStatusTransitions } = require('./../actions/order-notification/statusTracker')
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const statusEvent = (eventId, status) => ({
+    ...mockOrderStatusEvent,
+    event_id: eventId,
+    data: {
+      value: {
+        order: { ...mockOrderStatusEvent.data.value.order, status }
+      }
+    },
+    ...twilioParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should skip order saves that leave the status unchanged', async () => {
+    await action.main(statusEvent('save-1', 'processing'))
+    const response = await action.main(statusEvent('save-2', 'processing'))
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body.skipped).toBe('status_unchanged')
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+  })
+
+  test('should skip when the order placed notification already reported the status', async () => {
+    const placedEvent = {
+      ...mockOrderPlacedEvent,
+      data: { value: { order: { ...mockOrderPlacedEvent.data.value.order, status: 'pending' } } },
+      ...twilioParams
+    }
+    await action.main(placedEvent)
+
+    const response = await action.main({
+      ...placedEvent,
+      type: 'com.adobe.commerce.observer.sales_order_save_after',
+      event_id: 'save-after-place'
+    })
+    expect(response.body.skipped).toBe('status_unchanged')
+  })
+
+  test('should notify real status transitions', async () => {
+    await action.main(statusEvent('save-1', 'processing'))
+    const response = await action.main(statusEvent('save-2', 'complete'))
+
+    expect(response.body.whatsappSent).toBe(true)
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(2)
+    expect(mockTwilioClient.messages.create.mock.calls[1][0].body).toContain('complete')
+  })
+
+  test('should only notify transitions in NOTIFY_STATUS_TRANSITIONS', async () => {
+    const transitions = { NOTIFY_STATUS_TRANSITIONS: 'pending -> processing, processing -> complete' }
+
+    await action.main({ ...statusEvent('save-1', 'pending'), ...transitions })
+    const holded = await action.main({ ...statusEvent('save-2', 'holded'), ...transitions })
+    expect(holded.body.skipped).toBe('transition_not_allowed')
+    expect(holded.body.previousStatus).toBe('pending')
+
+    const processing = await action.main({ ...statusEvent('save-3', 'processing'), ...transitions })
+    expect(processing.body.skipped).toBe('transition_not_allowed')
+
+    const complete = await action.main({ ...statusEvent('save-4', 'complete'), ...transitions })
+    expect(complete.body.whatsappSent).toBe(true)
+  })
+
+  test('should reject NOTIFY_STATUS_TRANSITIONS arrays with entries that are not strings', async () => {
+    const response = await action.main({ ...statusEvent('save-1', 'pending'), NOTIFY_STATUS_TRANSITIONS: ['pending -> processing', { from: 'processing', to: 'complete' }] })
+
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body.error).toBe('Invalid NOTIFY_STATUS_TRANSITIONS configuration: Invalid status transition {"from":"processing","to":"complete"} (expected "from -> to")')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should reject NOTIFY_STATUS_TRANSITIONS entries that are not from -> to pairs', async () => {
+    const response = await action.main({ ...statusEvent('save-1', 'pending'), NOTIFY_STATUS_TRANSITIONS: 'pending=>processing' })
+
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body.error).toBe('Invalid NOTIFY_STATUS_TRANSITIONS configuration: Invalid status transition "pending=>processing" (expected "from -> to")')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+
+    expect(() => parseStatusTransitions('pending -> processing, complete')).toThrow('Invalid status transition "complete"')
+    expect(() => parseStatusTransitions(['pending -> ', 'a -> b -> c'])).toThrow('Invalid status transition "pending ->", "a -> b -> c"')
+    expect(parseStatusTransitions('pending -> processing, ')).toEqual([{ from: 'pending', to: 'processing' }])
+  })
+
+  test('should skip order saves without a status', async () => {
+    const response = await action.main(statusEvent('save-1', undefined))
+    expect(response.body.skipped).toBe('status_missing')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+})
+
+describe('WhatsApp content templates', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const templates = JSON.stringify({
+    sales_order_place_after: {
+      contentSid: 'HX_ORDER_PLACED',
+      variables: ['customerName', 'orderNumber', 'orderTotal', 'orderCurrency']
+    },
+    'com.adobe.commerce.observer.sales_order_shipment_save_after': {
+      contentSid: 'HX_SHIPPED',
+      variables: { 1: 'orderNumber', 2: 'trackingNumber' }
+    }
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should send the configured template with positional variables', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams, TWILIO_CONTENT_TEMPLATES: templates })
+
+    expect(response.body.whatsappSent).toBe(true)
+    expect(response.body.contentSid).toBe('HX_ORDER_PLACED')
+    const createCall = mockTwilioClient.messages.create.mock.calls[0][0]
+    expect(createCall.body).toBeUndefined()
+    expect(createCall.contentSid).toBe('HX_ORDER_PLACED')
+    expect(JSON.parse(createCall.contentVariables)).toEqual({
+      1: 'Test Customer',
+      2: '000000008',
+      3: '100',
+      4: 'USD'
+    })
+  })
+
+  test('should map named template variables including the tracking number', async () => {
+    await action.main({ ...mockShipmentEvent, ...twilioParams, TWILIO_CONTENT_TEMPLATES: templates })
+
+    const createCall = mockTwilioClient.messages.create.mock.calls[0][0]
+    expect(createCall.contentSid).toBe('HX_SHIPPED')
+    expect(JSON.parse(createCall.contentVariables)).toEqual({ 1: '000000010', 2: 'TRACK123456' })
+  })
+
+  test('should not send free-form text for events without a template by default', async () => {
+    const response = await action.main({ ...mockCancellationEvent, ...twilioParams, TWILIO_CONTENT_TEMPLATES: templates })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body.whatsappSent).toBe(false)
+    expect(response.body.whatsappError).toContain('No WhatsApp content template configured')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should fall back to free-form text when ALLOW_FREEFORM_FALLBACK is set', async () => {
+    const response = await action.main({
+      ...mockCancellationEvent,
+      ...twilioParams,
+      TWILIO_CONTENT_TEMPLATES: templates,
+      ALLOW_FREEFORM_FALLBACK: 'true'
+    })
+
+    expect(response.body.whatsappSent).toBe(true)
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('cancelled')
+  })
+
+  test('should report invalid template configuration', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams, TWILIO_CONTENT_TEMPLATES: '{not json' })
+
+    expect(response.body.whatsappSent).toBe(false)
+    expect(response.body.whatsappError).toContain('Invalid TWILIO_CONTENT_TEMPLATES JSON')
+  })
+})
+
+describe('localized messages', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const storeLocaleMap = JSON.stringify({ de_store: 'de_DE', 3: 'fr-FR', it_store: 'it-IT' })
+
+  const withOrder = (event, orderFields) => ({
+    ...event,
+    data: { value: { order: { ...event.data.value.order, ...orderFields } } },
+    ...twilioParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should select the locale from the store code', async () => {
+    const response = await action.main({
+      ...withOrder(mockOrderPlacedEvent, { store_code: 'de_store' }),
+      STORE_LOCALE_MAP: storeLocaleMap
+    })
+
+    expect(response.body.locale).toBe('de-DE')
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('Hallo Test Customer, Ihre Bestellung #000000008')
+  })
+
+  test('should select the locale from the store id and translate the status', async () => {
+    const response = await action.main({
+      ...withOrder(mockOrderStatusEvent, { store_id: 3 }),
+      STORE_LOCALE_MAP: storeLocaleMap
+    })
+
+    expect(response.body.locale).toBe('fr-FR')
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toBe('Bonjour Jane Doe, le statut de votre commande #000000009 est désormais : en cours de traitement.')
+  })
+
+  test('should use DEFAULT_LOCALE for unmapped stores', async () => {
+    await action.main({
+      ...withOrder(mockCancellationEvent, { store_id: 9 }),
+      STORE_LOCALE_MAP: storeLocaleMap,
+      DEFAULT_LOCALE: 'es'
+    })
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('ha sido cancelado')
+  })
+
+  test('should fall back to English when a translation is missing', async () => {
+    const response = await action.main({
+      ...withOrder(mockOrderPlacedEvent, { store_code: 'it_store' }),
+      STORE_LOCALE_MAP: storeLocaleMap
+    })
+
+    expect(response.body.locale).toBe('it-IT')
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('has been confirmed')
+  })
+  test('should skip malformed locales of the store map and the order', async () => {
+    const response = await action.main({
+      ...withOrder(mockOrderPlacedEvent, { store_code: 'posix_store', locale: 'en-US@euro' }),
+      STORE_LOCALE_MAP: JSON.stringify({ posix_store: 'C.UTF-8' }),
+      DEFAULT_LOCALE: 'de_DE'
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body.locale).toBe('de-DE')
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('Hallo Test Customer')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith('Ignoring invalid locale C.UTF-8 of store posix_store')
+  })
+})
+
+describe('locale-aware formatting', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const withOrder = (event, orderFields) => ({
+    ...event,
+    data: { value: { order: { ...event.data.value.order, ...orderFields } } },
+    ...twilioParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should format the order total and date for the order currency and locale', async () => {
+    await action.main({
+      ...withOrder(mockOrderPlacedEvent, {
+        grand_total: '1234.5000',
+        order_currency_code: 'EUR',
+        created_at: '2025-03-07 10:15:00'
+      }),
+      DEFAULT_LOCALE: 'de-DE'
+    })
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body).toContain('vom 07.03.2025')
+    expect(body).toContain('über 1.234,50\u00a0€')
+  })
+
+  test('should format currencies without minor units', async () => {
+    await action.main(withOrder(mockOrderPlacedEvent, {
+      grand_total: 1234.5,
+      order_currency_code: 'JPY',
+      created_at: '2025-03-07 10:15:00'
+    }))
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body).toBe('Hi Test Customer, your order #000000008 placed on Mar 7, 2025 for ¥1,235 has been confirmed. Thank you for your purchase!')
+  })
+
+  test('should keep unknown currency codes readable', async () => {
+    await action.main(withOrder(mockOrderPlacedEvent, { order_currency_code: 'POINTS' }))
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('for 100 POINTS')
+  })
+
+  test('should format amounts and dates of malformed locales in the default locale', () => {
+    const { formatCurrency, formatDate, normalizeLocale } = require('./../actions/order-notification/localeUtils')
+
+    expect(normalizeLocale('de_de')).toBe('de-DE')
+    for (const locale of ['en-US@euro', 'C.UTF-8', '', '   ', 'x']) {
+      expect(normalizeLocale(locale)).toBeNull()
+      expect(formatCurrency(1234.5, 'EUR', locale)).toBe('€1,234.50')
+      expect(formatCurrency(1234.5, null, locale)).toBe('1,234.5')
+      expect(formatDate('2025-03-07 10:15:00', locale)).toBe('Mar 7, 2025')
+      expect(formatDate('2025-03-07 10:15:00', locale, 'Not/AZone')).toBe('Mar 7, 2025')
+    }
+  })
+
+  test('should format the shipment date', async () => {
+    await action.main({
+      ...mockShipmentEvent,
+      data: { value: { shipment: { ...mockShipmentEvent.data.value.shipment, created_at: '2025-12-24 18:00:00' } } },
+      ...twilioParams,
+      DEFAULT_LOCALE: 'fr'
+    })
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('expédiée le 24 déc. 2025')
+  })
+})
+
+describe('operator-defined message templates', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should render the configured template for the event type', async () => {
+    await action.main({
+      ...mockShipmentEvent,
+      ...twilioParams,
+      MESSAGE_TEMPLATES: JSON.stringify({
+        sales_order_shipment_save_after: 'Good news {{customerName}}! #{{orderNumber}} is on its way ({{ trackingNumber }}).'
+      })
+    })
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toBe('Good news John Smith! #000000010 is on its way (TRACK123456).')
+  })
+
+  test('should select templates per locale and use built-in messages otherwise', async () => {
+    const templates = {
+      'com.adobe.commerce.observer.sales_order_cancel_after': {
+        de: 'Bestellung #{{orderNumber}} storniert.'
+      }
+    }
+
+    await action.main({ ...mockCancellationEvent, ...twilioParams, MESSAGE_TEMPLATES: templates, DEFAULT_LOCALE: 'de_DE' })
+    await action.main({ ...mockOrderPlacedEvent, ...twilioParams, MESSAGE_TEMPLATES: templates, DEFAULT_LOCALE: 'de_DE' })
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toBe('Bestellung #000000011 storniert.')
+    expect(mockTwilioClient.messages.create.mock.calls[1][0].body).toContain('Hallo Test Customer')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('No template configured for com.adobe.commerce.observer.sales_order_place_after'))
+  })
+
+  test('should prefer the locale-neutral template to the English one for other languages', async () => {
+    const templates = JSON.stringify({
+      sales_order_shipment_save_after: { en: 'Shipped #{{orderNumber}}', '*': 'Sent #{{orderNumber}} 📦' }
+    })
+
+    await action.main({ ...mockShipmentEvent, ...twilioParams, MESSAGE_TEMPLATES: templates, DEFAULT_LOCALE: 'de-DE' })
+    await action.main({ ...mockShipmentEvent, id: 'shipment-en-gb', event_id: 'shipment-en-gb', ...twilioParams, MESSAGE_TEMPLATES: templates, DEFAULT_LOCALE: 'en-GB' })
+
+    expect(mockTwilioClient.messages.create.mock.calls.map(([message]) => message.body))
+      .toEqual(['Sent #000000010 📦', 'Shipped #000000010'])
+  })
+
+  test('should reject templates with unknown placeholders or event types', async () => {
+    const response = await action.main({
+      ...mockOrderPlacedEvent,
+      ...twilioParams,
+      MESSAGE_TEMPLATES: JSON.stringify({
+        sales_order_place_after: 'Hi {{firstName}}, order #{{orderNumber}} confirmed',
+        sales_order_unknown: 'Hi'
+      })
+    })
+
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body.error).toContain('Unknown placeholder {{firstName}} in template for sales_order_place_after')
+    expect(response.error.body.error).toContain('Unknown event type: sales_order_unknown')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should reject templates that are not valid JSON', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, MESSAGE_TEMPLATES: '{"broken"' })
+
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body.error).toContain('Invalid MESSAGE_TEMPLATES JSON')
+  })
+})
+
+describe('order placed summary', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const items = [
+    { item_id: 1, name: 'Blue Shirt', qty_ordered: 2, row_total: 40 },
+    { item_id: 2, parent_item_id: 1, name: 'Blue Shirt-M', qty_ordered: 2, row_total: 0 },
+    { item_id: 3, name: 'Hat', qty_ordered: 1, price: 15 },
+    { item_id: 4, name: 'Socks', qty_ordered: 3, row_total: 9 },
+    { item_id: 5, name: 'Scarf', qty_ordered: 1, row_total: 20 },
+    { item_id: 6, name: 'Gloves', qty_ordered: 1, row_total: 12 }
+  ]
+
+  const orderWithItems = (orderFields = {}) => ({
+    ...mockOrderPlacedEvent,
+    data: {
+      value: {
+        order: {
+          ...mockOrderPlacedEvent.data.value.order,
+          items,
+          shipping_description: 'Flat Rate - Fixed',
+          addresses: [
+            { address_type: 'billing', telephone: '4155552671', street: ['1 Billing Rd'], city: 'Austin', postcode: '78701', country_id: 'US' },
+            { address_type: 'shipping', telephone: '4155552671', street: ['742 Evergreen Terrace', 'Apt 1'], city: 'Springfield', postcode: '49007', country_id: 'US' }
+          ],
+          ...orderFields
+        }
+      }
+    },
+    ...twilioParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should not add a summary unless configured', async () => {
+    await action.main(orderWithItems())
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body).not.toContain('Blue Shirt')
+    expect(body).not.toContain('Flat Rate')
+  })
+
+  test('should list the first items, the remaining count and the shipping details', async () => {
+    await action.main({ ...orderWithItems(), ORDER_SUMMARY_MAX_ITEMS: '2', ORDER_SUMMARY_SHIPPING: 'true' })
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body).toContain([
+      '• 2 × Blue Shirt — $40.00',
+      '• 1 × Hat — $15.00',
+      '+3 more items'
+    ].join('\n'))
+    expect(body).not.toContain('Blue Shirt-M')
+    expect(body).toContain('Shipping: Flat Rate - Fixed\nShip to: 742 Evergreen Terrace, Springfield 49007, US')
+  })
+
+  test('should localize the summary', async () => {
+    await action.main({ ...orderWithItems({ order_currency_code: 'EUR' }), ORDER_SUMMARY_MAX_ITEMS: 4, DEFAULT_LOCALE: 'de-DE' })
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body).toContain('• 2 × Blue Shirt — 40,00\u00a0€')
+    expect(body).toContain('+1 weiterer Artikel')
+  })
+
+  test('should drop items to stay within the WhatsApp message length limit', async () => {
+    const manyItems = Array.from({ length: 40 }, (_, index) => ({
+      name: `Limited edition handcrafted ceramic coffee mug with gold rim no. ${index}`,
+      qty_ordered: 1,
+      row_total: 25
+    }))
+    await action.main({ ...orderWithItems({ items: manyItems }), ORDER_SUMMARY_MAX_ITEMS: 40, ORDER_SUMMARY_SHIPPING: 'true' })
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body.length).toBeLessThanOrEqual(1600)
+    expect(body).toMatch(/\+\d+ more items/)
+    expect(body).toContain('Ship to: 742 Evergreen Terrace')
+    expect(body).toContain('…')
+  })
+})
+
+describe('shipment tracking links', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const shipmentWithTracks = (tracks) => ({
+    ...mockShipmentEvent,
+    data: { value: { shipment: { ...mockShipmentEvent.data.value.shipment, tracks } } },
+    ...twilioParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should include the tracking URL for a known carrier code', async () => {
+    await action.main(shipmentWithTracks([{ carrier_code: 'ups', title: 'United Parcel Service', track_number: '1Z999AA10123456784' }]))
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toContain('tracking number 1Z999AA10123456784: https://www.ups.com/track?tracknum=1Z999AA10123456784')
+  })
+
+  test('should recognize the carrier from the track title', async () => {
+    await action.main(shipmentWithTracks([{ carrier_code: 'custom', title: 'FedEx Ground', track_number: '123456789012' }]))
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toContain('https://www.fedex.com/fedextrack/?trknbr=123456789012')
+  })
+
+  test('should list every package of a multi-package shipment', async () => {
+    await action.main({
+      ...shipmentWithTracks([
+        { carrier_code: 'dhl', title: 'DHL', track_number: 'JD014600006281230704' },
+        { carrier_code: 'custom', title: 'Royal Mail', track_number: 'AB123456789GB' },
+        { carrier_code: 'custom', title: 'Local courier', track_number: 'LC-1' }
+      ]),
+      CARRIER_TRACKING_URLS: JSON.stringify({
+        'royal mail': 'https://www.royalmail.com/track-your-item#/tracking-results/{{trackingNumber}}'
+      })
+    })
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body).toContain('has been shipped on')
+    expect(body).toContain('in 3 packages:')
+    expect(body).toContain('\n• DHL JD014600006281230704: https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id=JD014600006281230704')
+    expect(body).toContain('\n• Royal Mail AB123456789GB: https://www.royalmail.com/track-your-item#/tracking-results/AB123456789GB')
+    expect(body).toContain('\n• Local courier LC-1')
+  })
+
+  test('should match carriers named as whole words of the title, after the exact carrier code', async () => {
+    await action.main(shipmentWithTracks([
+      { carrier_code: 'custom', title: 'Groupship Freight', track_number: 'GS-1' },
+      { carrier_code: 'dhl', title: 'DHL for UPS returns', track_number: 'JD01' },
+      { carrier_code: 'custom', title: 'UPS Ground', track_number: '1Z01' }
+    ]))
+
+    const body = mockTwilioClient.messages.create.mock.calls[0][0].body
+    expect(body).toContain('\n• Groupship Freight GS-1\n')
+    expect(body).toContain('\n• DHL JD01: https://www.dhl.com/')
+    expect(body).toContain('\n• UPS 1Z01: https://www.ups.com/track?tracknum=1Z01')
+  })
+
+  test('should ignore custom carrier URLs that are not strings', async () => {
+    const response = await action.main({
+      ...shipmentWithTracks([{ carrier_code: 'dhl', track_number: 'JD014600006281230704' }]),
+      CARRIER_TRACKING_URLS: JSON.stringify({ dhl: 1, postnl: 'https://postnl.nl/{{trackingNumber}}' })
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toContain('https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id=JD014600006281230704')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith('Ignoring custom carrier tracking URLs: URL pattern of carrier dhl must be a non-empty string')
+  })
+
+  test('should expose the tracking URL to operator templates', async () => {
+    await action.main({
+      ...shipmentWithTracks([{ carrier_code: 'usps', track_number: '9400 1000' }]),
+      MESSAGE_TEMPLATES: { sales_order_shipment_save_after: 'Track it: {{trackingUrl}}' }
+    })
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toBe('Track it: https://tools.usps.com/go/TrackConfirmAction?tLabels=9400%201000')
+  })
+})
+
+describe('invoice, refund and hold notifications', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const order = {
+    increment_id: '000000020',
+    customer_email: 'test5@example.com',
+    customer_firstname: 'Ana',
+    whatsapp_opt_in: true,
+    customer_lastname: 'Lopez',
+    addresses: [{ telephone: '+14155552671' }],
+    grand_total: 150,
+    order_currency_code: 'USD'
+  }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should notify payment captured with the invoiced amount', async () => {
+    const response = await action.main({
+      specversion: '1.0',
+      id: 'invoice-1',
+      type: 'com.adobe.commerce.observer.sales_order_invoice_save_after',
+      source: 'com.adobe.commerce',
+      event_id: 'invoice-1',
+      data: { value: { invoice: { increment_id: 'INV-1', grand_total: 120.5, order } } },
+      ...twilioParams
+    })
+
+    expect(response.body.whatsappSent).toBe(true)
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toBe('Hi Ana Lopez, we have received your payment of $120.50 for order #000000020. Thank you!')
+  })
+
+  test('should notify refunds with the refunded amount', async () => {
+    await action.main({
+      specversion: '1.0',
+      id: 'creditmemo-1',
+      type: 'com.adobe.commerce.observer.sales_order_creditmemo_save_after',
+      source: 'com.adobe.commerce',
+      event_id: 'creditmemo-1',
+      data: { value: { creditmemo: { grand_total: 30, order_currency_code: 'EUR', order } } },
+      ...twilioParams,
+      DEFAULT_LOCALE: 'es'
+    })
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toContain('se ha emitido un reembolso de 30,00 € para tu pedido #000000020')
+  })
+
+  test('should reject invoice events without invoice or order data', async () => {
+    const response = await action.main({
+      specversion: '1.0',
+      id: 'invoice-missing-data',
+      type: 'com.adobe.commerce.observer.sales_order_invoice_save_after',
+      source: 'com.adobe.commerce',
+      data: {}
+    })
+
+    expect(response.error.statusCode).toBe(400)
+    expect(response.error.body.violations).toEqual([{ field: 'value', path: '/data/value', message: 'is required' }])
+  })
+
+  test('should notify orders put on hold and released from hold', async () => {
+    const saveEvent = (eventId, status) => ({
+      specversion: '1.0',
+      id: eventId,
+      type: 'com.adobe.commerce.observer.sales_order_save_after',
+      source: 'com.adobe.commerce',
+      event_id: eventId,
+      data: { value: { order: { ...order, status } } },
+      ...twilioParams
+    })
+
+    await action.main(saveEvent('save-1', 'processing'))
+    await action.main(saveEvent('save-2', 'holded'))
+    await action.main(saveEvent('save-3', 'processing'))
+
+    const bodies = mockTwilioClient.messages.create.mock.calls.map(call => call[0].body)
+    expect(bodies[1]).toBe('Hi Ana Lopez, your order #000000020 has been put on hold. We will contact you if we need any further information.')
+    expect(bodies[2]).toBe('Hi Ana Lopez, your order #000000020 is no longer on hold and is being processed again.')
+  })
+})
+
+describe('event handler registry', () => {
+  const { registerEventHandler } = require('./../actions/order-notification/eventRegistry')
+  const { extractOrderEventData } = require('./../actions/order-notification/orderDataExtractor')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should notify events of newly registered handlers', async () => {
+    registerEventHandler('sales_order_address_save_after', {
+      extract: extractOrderEventData,
+      buildMessage: ({ customerName, orderNumber }) => `Hi ${customerName}, the address of order #${orderNumber} was updated.`
+    })
+
+    const response = await action.main({
+      ...mockOrderPlacedEvent,
+      type: 'com.adobe.commerce.observer.sales_order_address_save_after',
+      event_id: 'address-1',
+      ...twilioParams
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body)
+      .toBe('Hi Test Customer, the address of order #000000008 was updated.')
+  })
+
+  test('should skip events when the handler declines to notify', async () => {
+    registerEventHandler('sales_order_payment_save_after', {
+      extract: extractOrderEventData,
+      shouldNotify: async () => ({ notify: false, reason: 'not_customer_facing', previousStatus: null }),
+      buildMessage: () => 'unused'
+    })
+
+    const response = await action.main({
+      ...mockOrderPlacedEvent,
+      type: 'com.adobe.commerce.observer.sales_order_payment_save_after',
+      ...twilioParams
+    })
+
+    expect(response.body.skipped).toBe('not_customer_facing')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should reject handlers without extractor or message builder', () => {
+    expect(() => registerEventHandler('sales_order_place_after', { extract: extractOrderEventData }))
+      .toThrow('must define extract and buildMessage')
+  })
+})
+
+describe('phone number normalization', () => {
+  const { normalizePhoneNumber } = require('./../actions/order-notification/phoneUtils')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const orderEvent = (address, extraParams = {}) => ({
+    specversion: '1.0',
+    id: 'phone-event-1',
+    type: 'com.adobe.commerce.observer.sales_order_place_after',
+    source: 'com.adobe.commerce',
+    data: {
+      value: {
+        order: {
+          increment_id: '000000030',
+          customer_firstname: 'Olivia',
+          whatsapp_opt_in: true,
+          customer_lastname: 'Brown',
+          addresses: [address],
+          grand_total: 50,
+          order_currency_code: 'GBP'
+        }
+      }
+    },
+    ...twilioParams,
+    ...extraParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should read national numbers in the address country', async () => {
+    const response = await action.main(orderEvent({ telephone: '07911 123456', country_id: 'GB' }))
+
+    expect(response.body.customerPhone).toBe('+447911123456')
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].to).toBe('whatsapp:+447911123456')
+  })
+
+  test('should use DEFAULT_PHONE_REGION when the address has no country', async () => {
+    const response = await action.main(orderEvent({ telephone: '0171 1234567' }, { DEFAULT_PHONE_REGION: 'DE' }))
+
+    expect(response.body.customerPhone).toBe('+491711234567')
+  })
+
+  test('should reject landline numbers before calling Twilio', async () => {
+    const response = await action.main(orderEvent({ telephone: '020 7946 0958', country_id: 'GB' }))
+
+    expect(response.error.statusCode).toBe(400)
+    expect(response.error.body.error).toBe('Invalid customer phone number: not_mobile')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should return a structured result for each number', () => {
+    expect(normalizePhoneNumber('0044 7911 123456')).toEqual({
+      valid: true, e164: '+447911123456', region: 'GG', type: 'MOBILE', reason: null
+    })
+    expect(normalizePhoneNumber('+1 415 555 2671', 'GB')).toMatchObject({ valid: true, e164: '+14155552671', region: 'US' })
+    expect(normalizePhoneNumber('4155552671')).toMatchObject({ valid: false, reason: 'unknown_region' })
+    expect(normalizePhoneNumber('+44 7911', 'GB')).toMatchObject({ valid: false, reason: 'invalid_number' })
+    expect(normalizePhoneNumber('abc', 'GB')).toMatchObject({ valid: false, reason: 'invalid_format' })
+    expect(normalizePhoneNumber('')).toMatchObject({ valid: false, reason: 'missing' })
+  })
+})
+
+describe('recipient phone selection', () => {
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const orderEvent = (order, extraParams = {}) => ({
+    specversion: '1.0',
+    id: 'recipient-event-1',
+    type: 'com.adobe.commerce.observer.sales_order_place_after',
+    source: 'com.adobe.commerce',
+    data: {
+      value: {
+        order: {
+          increment_id: '000000040',
+          customer_firstname: 'Sam',
+          whatsapp_opt_in: true,
+          customer_lastname: 'Lee',
+          grand_total: 75,
+          order_currency_code: 'USD',
+          ...order
+        }
+      }
+    },
+    ...twilioParams,
+    ...extraParams
+  })
+
+  const addresses = [
+    { address_type: 'billing', telephone: '2125559876', country_id: 'US' },
+    { address_type: 'shipping', telephone: '4155552671', country_id: 'US' }
+  ]
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should prefer the shipping address by default', async () => {
+    const response = await action.main(orderEvent({ addresses }))
+
+    expect(response.body.customerPhone).toBe('+14155552671')
+    expect(response.body.phoneSource).toBe('shipping')
+  })
+
+  test('should follow PHONE_SOURCE_PRIORITY', async () => {
+    const response = await action.main(orderEvent({ addresses }, { PHONE_SOURCE_PRIORITY: 'billing, shipping' }))
+
+    expect(response.body.customerPhone).toBe('+12125559876')
+    expect(response.body.phoneSource).toBe('billing')
+  })
+
+  test('should prefer the WhatsApp customer attribute when present', async () => {
+    const response = await action.main(orderEvent({
+      addresses,
+      custom_attributes: [{ attribute_code: 'whatsapp_phone', value: '+447911123456' }]
+    }))
+
+    expect(response.body.customerPhone).toBe('+447911123456')
+    expect(response.body.phoneSource).toBe('attribute')
+  })
+
+  test('should read the attribute configured in PHONE_ATTRIBUTE', async () => {
+    const response = await action.main(orderEvent({
+      addresses,
+      extension_attributes: { mobile_number: '6175551234' }
+    }, { PHONE_ATTRIBUTE: 'mobile_number' }))
+
+    expect(response.body.customerPhone).toBe('+16175551234')
+    expect(response.body.phoneSource).toBe('attribute')
+  })
+
+  test('should skip invalid numbers and try the next candidate', async () => {
+    const response = await action.main(orderEvent({
+      addresses: [
+        { address_type: 'shipping', telephone: '020 7946 0958', country_id: 'GB' },
+        { address_type: 'billing', telephone: '07911 123456', country_id: 'GB' }
+      ]
+    }))
+
+    expect(response.body.customerPhone).toBe('+447911123456')
+    expect(response.body.phoneSource).toBe('billing')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith('Skipping shipping phone number for order 000000040: not_mobile')
+  })
+
+  test('should fall back to the default priority when PHONE_SOURCE_PRIORITY is invalid', async () => {
+    const response = await action.main(orderEvent({ addresses }, { PHONE_SOURCE_PRIORITY: 'mobile' }))
+
+    expect(response.body.phoneSource).toBe('shipping')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown phone source: mobile'))
+  })
+})
+
+describe('WhatsApp consent', () => {
+  const { handleConsentReply, recordOptIn } = require('./../actions/order-notification/consent')
+  const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+
+  // Same store the action uses, over the fake aio-lib-state client
+  const store = createAdobeStateStore(mockStateInstance)
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const orderEvent = (order, extraParams = {}) => ({
+    specversion: '1.0',
+    id: 'consent-event-1',
+    type: 'com.adobe.commerce.observer.sales_order_place_after',
+    source: 'com.adobe.commerce',
+    data: {
+      value: {
+        order: {
+          increment_id: '000000050',
+          customer_firstname: 'Noor',
+          customer_lastname: 'Khan',
+          addresses: [{ telephone: '+447911123456' }],
+          grand_total: 20,
+          order_currency_code: 'GBP',
+          ...order
+        }
+      }
+    },
+    ...twilioParams,
+    ...extraParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM123456' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should skip customers without opt-in', async () => {
+    const response = await action.main(orderEvent({}))
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body.skipped).toBe('no_consent')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should skip customers whose consent attribute is off', async () => {
+    const response = await action.main(orderEvent({
+      custom_attributes: [{ attribute_code: 'whatsapp_opt_in', value: '0' }]
+    }, { CONSENT_REQUIRED: 'false' }))
+
+    expect(response.body.skipped).toBe('no_consent')
+    expect(response.body.consentSource).toBe('attribute')
+  })
+
+  test('should read the attribute configured in CONSENT_ATTRIBUTE', async () => {
+    const response = await action.main(orderEvent({
+      extension_attributes: { accepts_whatsapp: 'yes' }
+    }, { CONSENT_ATTRIBUTE: 'accepts_whatsapp' }))
+
+    expect(response.body.whatsappSent).toBe(true)
+  })
+
+  test('should message numbers opted in through the consent store', async () => {
+    await recordOptIn(store, '+447911123456', 'start_reply')
+
+    const response = await action.main(orderEvent({}))
+
+    expect(response.body.whatsappSent).toBe(true)
+  })
+
+  test('should suppress numbers that replied STOP, even with an order opt-in', async () => {
+    const reply = await handleConsentReply(store, 'whatsapp:+447911123456', ' stop ')
+    expect(reply).toEqual({ action: 'opted_out', phone: '+447911123456' })
+
+    const response = await action.main(orderEvent({ whatsapp_opt_in: true }))
+
+    expect(response.body.skipped).toBe('no_consent')
+    expect(response.body.consentSource).toBe('suppression_list')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should start a new retention period for opt-outs it suppresses', async () => {
+    mockStateData.set('consent._447911123456', JSON.stringify({ status: 'opted_out', source: 'stop_reply', updatedAt: '2025-01-05T10:00:00.000Z' }))
+
+    await action.main(orderEvent({ whatsapp_opt_in: true }))
+
+    expect(mockStateInstance.put).toHaveBeenCalledWith('consent._447911123456', expect.any(String), { ttl: 60 * 60 * 24 * 365 })
+    expect(JSON.parse(mockStateData.get('consent._447911123456'))).toMatchObject({
+      status: 'opted_out',
+      updatedAt: '2025-01-05T10:00:00.000Z',
+      refreshedAt: expect.any(String)
+    })
+  })
+
+  test('should message numbers again after a START reply', async () => {
+    await handleConsentReply(store, 'whatsapp:+447911123456', 'STOP')
+    await handleConsentReply(store, 'whatsapp:+447911123456', 'START')
+
+    const response = await action.main(orderEvent({}))
+
+    expect(response.body.whatsappSent).toBe(true)
+  })
+
+  test('should only enforce the suppression list when CONSENT_REQUIRED is false', async () => {
+    const response = await action.main(orderEvent({}, { CONSENT_REQUIRED: 'false' }))
+
+    expect(response.body.whatsappSent).toBe(true)
+  })
+})
+
+describe('delivery status tracking', () => {
+  const { getOrderMessages } = require('./../actions/order-notification/messageStatus')
+  const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890',
+    TWILIO_STATUS_CALLBACK_URL: 'https://example.adobeioruntime.net/api/v1/web/whatsapp-order-notification/whatsapp-status'
+  }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ sid: 'SM777', status: 'queued' })
+      }
+    }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should request status callbacks and record the sent message', async () => {
+    await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].statusCallback).toBe(twilioParams.TWILIO_STATUS_CALLBACK_URL)
+    const messages = await getOrderMessages(createAdobeStateStore(mockStateInstance), '000000008')
+    expect(messages).toEqual([expect.objectContaining({
+      messageSid: 'SM777',
+      eventType: 'com.adobe.commerce.observer.sales_order_place_after',
+      to: '+14155552671',
+      status: 'queued'
+    })])
+  })
+})
+
+describe('Twilio retries and dead letters', () => {
+  const { classifyTwilioError } = require('./../actions/order-notification/twilioService')
+  const { getRetryOptions } = require('./../actions/order-notification/retryPolicy')
+  const { listDeadLetters } = require('./../actions/order-notification/deadLetter')
+  const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890',
+    TWILIO_RETRY_BASE_DELAY_MS: '0'
+  }
+
+  /**
+   * Build an error like the ones thrown by the Twilio client
+   * @param {number} status - HTTP status
+   * @param {number} [code] - Twilio error code
+   * @returns {Error} Twilio error
+   */
+  function twilioError (status, code) {
+    return Object.assign(new Error(`Twilio error ${status}`), { status, code })
+  }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = { messages: { create: jest.fn() } }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should classify rate limits, server and connection errors as retryable', () => {
+    expect(classifyTwilioError(twilioError(429, 20429))).toEqual({ retryable: true, reason: 'rate_limited' })
+    expect(classifyTwilioError(twilioError(503))).toEqual({ retryable: true, reason: 'server_error' })
+    expect(classifyTwilioError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))).toEqual({ retryable: true, reason: 'connection_error' })
+    expect(classifyTwilioError(Object.assign(new Error('getaddrinfo EAI_AGAIN'), { code: 'EAI_AGAIN' }))).toEqual({ retryable: true, reason: 'connection_error' })
+    expect(classifyTwilioError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toEqual({ retryable: false, reason: 'delivery_unknown' })
+    expect(classifyTwilioError(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }))).toEqual({ retryable: false, reason: 'delivery_unknown' })
+    expect(classifyTwilioError(twilioError(400, 21211))).toEqual({ retryable: false, reason: 'client_error' })
+    expect(classifyTwilioError(new Error('boom'))).toEqual({ retryable: false, reason: 'unknown' })
+  })
+
+  test('should read the retry policy from the action inputs', () => {
+    expect(getRetryOptions({})).toEqual({ maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 4000 })
+    expect(getRetryOptions({ TWILIO_RETRY_MAX_ATTEMPTS: '5', TWILIO_RETRY_BASE_DELAY_MS: '100', TWILIO_RETRY_MAX_DELAY_MS: 'x' }))
+      .toEqual({ maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 4000 })
+    expect(getRetryOptions({ TWILIO_RETRY_MAX_ATTEMPTS: '0' }).maxAttempts).toBe(1)
+  })
+
+  test('should retry retryable errors and send on a later attempt', async () => {
+    mockTwilioClient.messages.create
+      .mockRejectedValueOnce(twilioError(429, 20429))
+      .mockRejectedValueOnce(twilioError(502))
+      .mockResolvedValueOnce({ sid: 'SM900', status: 'queued' })
+
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(3)
+    expect(response.body).toMatchObject({ whatsappSent: true, messageSid: 'SM900', attempts: 3 })
+    expect(await listDeadLetters(createAdobeStateStore(mockStateInstance))).toEqual([])
+  })
+
+  test('should not retry requests whose response was lost, as the message may have been sent', async () => {
+    mockTwilioClient.messages.create.mockRejectedValue(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+    expect(response.body.whatsappSent).toBe(false)
+    const [deadLetter] = await listDeadLetters(createAdobeStateStore(mockStateInstance))
+    expect(deadLetter).toMatchObject({ id: response.body.deadLetterId, errorCode: 'ECONNRESET', retryable: false, attempts: 1 })
+  })
+
+  test('should not retry permanent errors and store a dead letter', async () => {
+    mockTwilioClient.messages.create.mockRejectedValue(twilioError(400, 21211))
+
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+    const deadLetters = await listDeadLetters(createAdobeStateStore(mockStateInstance))
+    expect(deadLetters).toEqual([expect.objectContaining({
+      id: response.body.deadLetterId,
+      eventType: 'com.adobe.commerce.observer.sales_order_place_after',
+      orderNumber: '000000008',
+      to: '+14155552671',
+      errorCode: 21211,
+      retryable: false,
+      attempts: 1
+    })])
+    expect(deadLetters[0].event).toEqual({
+      specversion: '1.0',
+      id: mockOrderPlacedEvent.id,
+      type: mockOrderPlacedEvent.type,
+      source: mockOrderPlacedEvent.source,
+      event_id: mockOrderPlacedEvent.event_id,
+      data: mockOrderPlacedEvent.data
+    })
+    expect(JSON.stringify(deadLetters[0])).not.toContain('test_token')
+  })
+
+  test('should keep the dead letters of concurrent failures', async () => {
+    mockTwilioClient.messages.create.mockRejectedValue(twilioError(400, 21211))
+
+    const responses = await Promise.all(['dead-letter-a', 'dead-letter-b', 'dead-letter-c'].map(id =>
+      action.main({ ...mockOrderPlacedEvent, id, event_id: id, ...twilioParams })
+    ))
+
+    const deadLetters = await listDeadLetters(createAdobeStateStore(mockStateInstance))
+    expect(deadLetters.map(deadLetter => deadLetter.id).sort())
+      .toEqual(responses.map(response => response.body.deadLetterId).sort())
+  })
+
+  test('should give up after the configured number of attempts', async () => {
+    mockTwilioClient.messages.create.mockRejectedValue(twilioError(500))
+
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams, TWILIO_RETRY_MAX_ATTEMPTS: '2' })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(2)
+    expect(response.statusCode).toBe(200)
+    expect(response.body.whatsappSent).toBe(false)
+    const [deadLetter] = await listDeadLetters(createAdobeStateStore(mockStateInstance))
+    expect(deadLetter).toMatchObject({ id: response.body.deadLetterId, retryable: true, attempts: 2 })
+  })
+})
+
+describe('SMS fallback', () => {
+  const { parseSmsFallbackEvents, isSmsFallbackAllowed } = require('./../actions/order-notification/messageChannels')
+  const { getMessageStatus } = require('./../actions/order-notification/messageStatus')
+  const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890',
+    TWILIO_SMS_FROM: '+15005550006',
+    TWILIO_RETRY_BASE_DELAY_MS: '0'
+  }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = { messages: { create: jest.fn() } }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should parse the event types allowed to fall back', () => {
+    expect(parseSmsFallbackEvents(undefined)).toBeNull()
+    expect(parseSmsFallbackEvents('*')).toBeNull()
+    expect(parseSmsFallbackEvents('sales_order_shipment_save_after, com.adobe.commerce.observer.sales_order_cancel_after')).toEqual([
+      'com.adobe.commerce.observer.sales_order_shipment_save_after',
+      'com.adobe.commerce.observer.sales_order_cancel_after'
+    ])
+    expect(isSmsFallbackAllowed(mockShipmentEvent.type, { SMS_FALLBACK_EVENTS: 'sales_order_shipment_save_after' })).toBe(false)
+    expect(isSmsFallbackAllowed(mockOrderPlacedEvent.type, { ...twilioParams, SMS_FALLBACK_EVENTS: 'sales_order_shipment_save_after' })).toBe(false)
+    expect(isSmsFallbackAllowed(mockShipmentEvent.type, { ...twilioParams, SMS_FALLBACK_EVENTS: 'sales_order_shipment_save_after' })).toBe(true)
+  })
+
+  test('should send by SMS when the WhatsApp send fails', async () => {
+    mockTwilioClient.messages.create
+      .mockRejectedValueOnce(Object.assign(new Error('Invalid WhatsApp recipient'), { status: 400, code: 63024 }))
+      .mockResolvedValueOnce({ sid: 'SMS100', status: 'queued' })
+
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+
+    const smsCall = mockTwilioClient.messages.create.mock.calls[1][0]
+    expect(smsCall).toMatchObject({ from: '+15005550006', to: '+14155552671' })
+    expect(smsCall.body).toContain('000000008')
+    expect(response.body).toMatchObject({
+      channel: 'sms',
+      whatsappSent: false,
+      messageSid: 'SMS100',
+      whatsappError: 'Invalid WhatsApp recipient'
+    })
+    expect(response.body.deadLetterId).toBeUndefined()
+  })
+
+  test('should send the free-form text by SMS when no WhatsApp template is configured', async () => {
+    mockTwilioClient.messages.create.mockResolvedValue({ sid: 'SMS101', status: 'queued' })
+
+    const response = await action.main({
+      ...mockCancellationEvent,
+      ...twilioParams,
+      TWILIO_CONTENT_TEMPLATES: JSON.stringify({ sales_order_place_after: { contentSid: 'HX1', variables: ['orderNumber'] } })
+    })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toBeDefined()
+    expect(response.body.channel).toBe('sms')
+  })
+
+  test('should not fall back for event types outside the policy', async () => {
+    mockTwilioClient.messages.create.mockRejectedValue(Object.assign(new Error('Invalid WhatsApp recipient'), { status: 400, code: 63024 }))
+
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams, SMS_FALLBACK_EVENTS: 'sales_order_shipment_save_after' })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+    expect(response.body.channel).toBeNull()
+    expect(response.body.deadLetterId).toBeDefined()
+  })
+
+  test('should dead-letter notifications when SMS fails too', async () => {
+    mockTwilioClient.messages.create
+      .mockRejectedValueOnce(Object.assign(new Error('Invalid WhatsApp recipient'), { status: 400, code: 63024 }))
+      .mockRejectedValueOnce(Object.assign(new Error('Unreachable destination'), { status: 400, code: 21612 }))
+
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+
+    expect(response.body).toMatchObject({
+      channel: null,
+      whatsappError: 'Invalid WhatsApp recipient',
+      smsError: 'Unreachable destination'
+    })
+    expect(response.body.deadLetterId).toBeDefined()
+  })
+
+  test('should keep the SMS text of WhatsApp messages for late delivery failures', async () => {
+    mockTwilioClient.messages.create.mockResolvedValue({ sid: 'SM200', status: 'queued' })
+
+    await action.main({ ...mockOrderPlacedEvent, ...twilioParams })
+
+    const record = await getMessageStatus(createAdobeStateStore(mockStateInstance), 'SM200')
+    expect(record.channel).toBe('whatsapp')
+    expect(record.fallbackText).toContain('000000008')
+  })
+})
+
+describe('staff notifications', () => {
+  const { loadStaffRules, matchesRule } = require('./../actions/order-notification/staffNotifications')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890',
+    TWILIO_RETRY_BASE_DELAY_MS: '0'
+  }
+  const staffParams = {
+    STAFF_PHONE_NUMBERS: '+447911123456',
+    STAFF_NOTIFICATION_RULES: JSON.stringify([
+      { rule: 'high_value', minTotal: 500 },
+      { rule: 'cancellation' },
+      { rule: 'missing_phone', recipients: ['+447400123456'] }
+    ])
+  }
+
+  const highValueEvent = {
+    ...mockOrderPlacedEvent,
+    data: { value: { order: { ...mockOrderPlacedEvent.data.value.order, entity_id: 42, grand_total: 1250 } } }
+  }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM300', status: 'queued' }) } }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  const staffCalls = to => mockTwilioClient.messages.create.mock.calls
+    .map(([call]) => call)
+    .filter(call => call.to === `whatsapp:${to}`)
+
+  test('should load rules with their recipients and skip invalid ones', () => {
+    const { rules, errors } = loadStaffRules({
+      STAFF_PHONE_NUMBERS: '+447911123456, +447400123456',
+      STAFF_NOTIFICATION_RULES: [
+        { rule: 'high_value', minTotal: '500' },
+        { rule: 'high_value' },
+        { rule: 'refund' },
+        { rule: 'cancellation', recipients: '+447911000000', template: 'Cancelled: {{orderNumber}}' }
+      ]
+    })
+
+    expect(rules).toEqual([
+      { rule: 'high_value', minTotal: 500, recipients: ['+447911123456', '+447400123456'] },
+      { rule: 'cancellation', recipients: ['+447911000000'], template: 'Cancelled: {{orderNumber}}' }
+    ])
+    expect(errors).toEqual([
+      'Rule 2: high_value needs a positive minTotal',
+      'Rule 3: unknown rule "refund" (expected one of high_value, cancellation, missing_phone)'
+    ])
+    expect(loadStaffRules({ STAFF_NOTIFICATION_RULES: [{ rule: 'cancellation' }] }).errors).toEqual([
+      'Rule 1: cancellation has no recipients (set recipients or STAFF_PHONE_NUMBERS)'
+    ])
+    expect(loadStaffRules({})).toEqual({ rules: [], errors: [] })
+  })
+
+  test('should only match high-value rules on placed orders', () => {
+    const rule = { rule: 'high_value', minTotal: 500 }
+    expect(matchesRule(rule, { eventType: mockOrderPlacedEvent.type, orderInfo: { orderTotal: 500 } })).toBe(true)
+    expect(matchesRule(rule, { eventType: mockOrderPlacedEvent.type, orderInfo: { orderTotal: 499.99 } })).toBe(false)
+    expect(matchesRule(rule, { eventType: mockOrderStatusEvent.type, orderInfo: { orderTotal: 900 } })).toBe(false)
+  })
+
+  test('should alert staff of high-value orders with the order admin details', async () => {
+    const response = await action.main({
+      ...highValueEvent,
+      ...twilioParams,
+      ...staffParams,
+      COMMERCE_ADMIN_ORDER_URL: 'https://shop.example.com/admin/sales/order/view/order_id/{{orderId}}/'
+    })
+
+    const [staffCall] = staffCalls('+447911123456')
+    expect(staffCall.body).toBe(
+      'High-value order #000000008: $1,250.00 from Test Customer (test@example.com, +14155552671).\n' +
+      'https://shop.example.com/admin/sales/order/view/order_id/42/'
+    )
+    expect(staffCalls('+14155552671')).toHaveLength(1)
+    expect(response.body.staffAlerts).toEqual(['high_value'])
+  })
+
+  test('should not alert staff of orders below the threshold', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams, ...staffParams })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+    expect(response.body.staffAlerts).toBeUndefined()
+  })
+
+  test('should alert staff of cancellations in the staff locale', async () => {
+    await action.main({ ...mockCancellationEvent, ...twilioParams, ...staffParams, STAFF_LOCALE: 'de' })
+
+    const [staffCall] = staffCalls('+447911123456')
+    expect(staffCall.body).toContain('Bestellung #000000011 von Bob Johnson (test4@example.com)')
+  })
+
+  test('should alert staff when the customer has no usable phone number', async () => {
+    const order = { ...mockOrderPlacedEvent.data.value.order, addresses: [] }
+    const response = await action.main({
+      ...mockOrderPlacedEvent,
+      data: { value: { order } },
+      ...twilioParams,
+      ...staffParams
+    })
+
+    expect(response.error.statusCode).toBe(400)
+    const [staffCall] = staffCalls('+447400123456')
+    expect(staffCall.body).toBe('Order #000000008 from Test Customer (test@example.com) could not be notified on WhatsApp: no phone number.')
+  })
+
+  test('should use the rule template when set', async () => {
+    await action.main({
+      ...mockCancellationEvent,
+      ...twilioParams,
+      STAFF_PHONE_NUMBERS: '+447911123456',
+      STAFF_NOTIFICATION_RULES: JSON.stringify([{ rule: 'cancellation', template: 'Cancelled {{orderNumber}} for {{customerEmail}}' }])
+    })
+
+    expect(staffCalls('+447911123456')[0].body).toBe('Cancelled 000000011 for test4@example.com')
+  })
+
+  test('should alert staff only once per event', async () => {
+    mockTwilioClient.messages.create
+      .mockResolvedValueOnce({ sid: 'SM301', status: 'queued' })
+      .mockRejectedValueOnce(Object.assign(new Error('Invalid parameter'), { status: 400, code: 21211 }))
+      .mockResolvedValue({ sid: 'SM302', status: 'queued' })
+
+    await action.main({ ...highValueEvent, ...twilioParams, ...staffParams })
+    await action.main({ ...highValueEvent, ...twilioParams, ...staffParams })
+
+    expect(staffCalls('+447911123456')).toHaveLength(1)
+    expect(staffCalls('+14155552671')).toHaveLength(2)
+  })
+
+  test('should alert staff again with the next event when every staff message failed', async () => {
+    mockTwilioClient.messages.create
+      .mockRejectedValueOnce(Object.assign(new Error('Service unavailable'), { status: 503 }))
+      .mockRejectedValueOnce(Object.assign(new Error('Service unavailable'), { status: 503 }))
+      .mockRejectedValueOnce(Object.assign(new Error('Service unavailable'), { status: 503 }))
+    const cancellation = { ...mockCancellationEvent, ...twilioParams, ...staffParams }
+
+    await action.main({ ...cancellation, event_id: 'cancel-1' })
+    await action.main({ ...cancellation, event_id: 'cancel-2' })
+    await action.main({ ...cancellation, event_id: 'cancel-3' })
+
+    expect(staffCalls('+447911123456')).toHaveLength(4)
+    expect(staffCalls('+447911123456')[3].body).toContain('000000011')
+  })
+
+  test('should alert staff of an unreachable customer once per order', async () => {
+    const order = { ...mockOrderStatusEvent.data.value.order, addresses: [] }
+    const unreachable = { ...mockOrderStatusEvent, data: { value: { order } }, ...twilioParams, ...staffParams }
+
+    await action.main({ ...unreachable, event_id: 'save-1' })
+    await action.main({ ...unreachable, event_id: 'save-2', data: { value: { order: { ...order, status: 'complete' } } } })
+
+    expect(staffCalls('+447400123456')).toHaveLength(1)
+  })
+
+  test('should still notify the customer when the staff rules are invalid', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams, STAFF_NOTIFICATION_RULES: '{not json' })
+
+    expect(response.body.whatsappSent).toBe(true)
+    expect(mockLoggerInstance.error).toHaveBeenCalledWith(expect.stringContaining('STAFF_NOTIFICATION_RULES'))
+  })
+})
+
+describe('quiet hours', () => {
+  const { parseQuietHours, getQuietHoursEnd, resolveStoreTimezone } = require('./../actions/order-notification/quietHours')
+  const { listQueuedNotifications } = require('./../actions/order-notification/deferredQueue')
+  const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+  const quietParams = { ...twilioParams, QUIET_HOURS: '21:00-08:00' }
+
+  let mockTwilioClient
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-07-01T01:30:00Z'), advanceTimers: true })
+    mockTwilioClient = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM400', status: 'queued' }) } }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('should parse quiet hours windows', () => {
+    expect(parseQuietHours('21:00-08:00')).toEqual({ start: 1260, end: 480 })
+    expect(parseQuietHours('0:30 - 6:00')).toEqual({ start: 30, end: 360 })
+    expect(parseQuietHours('off')).toBeNull()
+    expect(parseQuietHours(undefined)).toBeNull()
+    expect(() => parseQuietHours('22:00')).toThrow('Invalid quiet hours "22:00" (expected HH:MM-HH:MM)')
+    expect(() => parseQuietHours('25:00-08:00')).toThrow('Invalid quiet hours')
+  })
+
+  test('should compute the end of quiet hours in the store timezone', () => {
+    const window = { start: 1260, end: 480 }
+    // 01:30 UTC is 03:30 in Berlin (summer time) and 21:30 in New York
+    expect(getQuietHoursEnd(new Date('2026-07-01T01:30:00Z'), window, 'Europe/Berlin')).toEqual(new Date('2026-07-01T06:00:00Z'))
+    expect(getQuietHoursEnd(new Date('2026-07-01T01:30:00Z'), window, 'America/New_York')).toEqual(new Date('2026-07-01T12:00:00Z'))
+    expect(getQuietHoursEnd(new Date('2026-07-01T09:00:00Z'), window, 'Europe/Berlin')).toBeNull()
+    expect(getQuietHoursEnd(new Date('2026-07-01T03:00:00Z'), { start: 60, end: 300 }, 'UTC')).toEqual(new Date('2026-07-01T05:00:00Z'))
+  })
+
+  test('should read the timezone from the store, then the shipping country, then the default', () => {
+    const params = { STORE_TIMEZONE_MAP: JSON.stringify({ us_west: 'America/Los_Angeles', 3: 'Mars/Olympus' }) }
+    const ukAddress = { addresses: [{ address_type: 'shipping', country_id: 'gb' }] }
+
+    expect(resolveStoreTimezone({ store_code: 'us_west', ...ukAddress }, params, mockLoggerInstance)).toEqual({ timeZone: 'America/Los_Angeles', source: 'store' })
+    expect(resolveStoreTimezone({ store_id: 3, ...ukAddress }, params, mockLoggerInstance)).toEqual({ timeZone: 'Europe/London', source: 'country' })
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith('Ignoring unknown timezone Mars/Olympus of store 3')
+    expect(resolveStoreTimezone({ addresses: [{ country_id: 'US' }] }, { DEFAULT_TIMEZONE: 'America/Chicago' }, mockLoggerInstance))
+      .toEqual({ timeZone: 'America/Chicago', source: 'default' })
+    expect(resolveStoreTimezone({}, {}, mockLoggerInstance)).toEqual({ timeZone: 'UTC', source: 'default' })
+  })
+
+  test('should defer shipment notifications during quiet hours', async () => {
+    const response = await action.main({ ...mockShipmentEvent, ...quietParams, DEFAULT_TIMEZONE: 'America/New_York' })
+
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+    expect(response.body).toMatchObject({
+      success: true,
+      message: 'Order notification deferred',
+      deferred: true,
+      deliverAt: '2026-07-01T12:00:00.000Z',
+      timeZone: 'America/New_York'
+    })
+    const [queued] = await listQueuedNotifications(createAdobeStateStore(mockStateInstance))
+    expect(queued).toMatchObject({ id: response.body.deferredId, orderNumber: '000000010', to: '+12125559876' })
+    expect(queued.notification.message).toContain('TRACK123456')
+  })
+
+  test('should ignore redelivered events of deferred notifications', async () => {
+    await action.main({ ...mockShipmentEvent, ...quietParams })
+    const response = await action.main({ ...mockShipmentEvent, ...quietParams })
+
+    expect(response.body.duplicate).toBe(true)
+    expect(await listQueuedNotifications(createAdobeStateStore(mockStateInstance))).toHaveLength(1)
+  })
+
+  test('should send urgent event types and notifications outside quiet hours immediately', async () => {
+    await action.main({ ...mockOrderPlacedEvent, ...quietParams })
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+
+    jest.setSystemTime(new Date('2026-07-01T14:00:00Z'))
+    const response = await action.main({ ...mockShipmentEvent, ...quietParams })
+    expect(response.body.whatsappSent).toBe(true)
+  })
+
+  test('should apply the quiet hours of the store and the configured event types', async () => {
+    const storeEvent = {
+      ...mockShipmentEvent,
+      data: { value: { shipment: { ...mockShipmentEvent.data.value.shipment, order: { ...mockShipmentEvent.data.value.shipment.order, store_code: 'night_owls' } } } }
+    }
+    const offResponse = await action.main({ ...storeEvent, ...quietParams, STORE_QUIET_HOURS: JSON.stringify({ night_owls: 'off' }) })
+    expect(offResponse.body.whatsappSent).toBe(true)
+
+    const cancelResponse = await action.main({ ...mockCancellationEvent, ...quietParams, QUIET_HOURS_EVENTS: 'sales_order_cancel_after' })
+    expect(cancelResponse.body.deferred).toBe(true)
+  })
+
+  test('should send immediately when quiet hours are misconfigured', async () => {
+    const response = await action.main({ ...mockShipmentEvent, ...twilioParams, QUIET_HOURS: 'nights' })
+
+    expect(response.body.whatsappSent).toBe(true)
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith('Ignoring quiet hours: Invalid quiet hours "nights" (expected HH:MM-HH:MM)')
+  })
+})
+
+describe('coalescing and daily limits', () => {
+  const { getCoalescingWindow, parseCoalesceEvents, getCoalescedEventType } = require('./../actions/order-notification/coalescing')
+  const { checkDailyLimit } = require('./../actions/order-notification/dailyLimit')
+  const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+  const coalesceParams = { ...twilioParams, COALESCE_WINDOW_SECONDS: '0.05' }
+
+  /**
+   * Build an order save event of the order of mockOrderPlacedEvent
+   * @param {string} eventId - Event id
+   * @param {string} status - Order status
+   * @returns {object} Order save event
+   */
+  const orderSaveEvent = (eventId, status) => ({
+    ...mockOrderPlacedEvent,
+    type: 'com.adobe.commerce.observer.sales_order_save_after',
+    event_id: eventId,
+    data: { value: { order: { ...mockOrderPlacedEvent.data.value.order, status } } }
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM500', status: 'queued' }) } }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should read the coalescing settings', () => {
+    expect(getCoalescingWindow({})).toBe(0)
+    expect(getCoalescingWindow({ COALESCE_WINDOW_SECONDS: '5' })).toBe(5000)
+    expect(getCoalescingWindow({ COALESCE_WINDOW_SECONDS: '120' })).toBe(30000)
+    expect(parseCoalesceEvents(undefined)).toEqual([mockOrderPlacedEvent.type, 'com.adobe.commerce.observer.sales_order_save_after'])
+    expect(parseCoalesceEvents('sales_order_save_after')).toEqual(['com.adobe.commerce.observer.sales_order_save_after'])
+    expect(getCoalescedEventType('com.adobe.commerce.observer.sales_order_save_after', [mockOrderPlacedEvent.type, 'com.adobe.commerce.observer.sales_order_save_after']))
+      .toBe(mockOrderPlacedEvent.type)
+    expect(getCoalescedEventType(mockCancellationEvent.type, [mockOrderPlacedEvent.type, mockCancellationEvent.type])).toBe(mockCancellationEvent.type)
+  })
+
+  test('should merge a checkout burst into a single order confirmation', async () => {
+    const responses = await Promise.all([
+      action.main({ ...mockOrderPlacedEvent, ...coalesceParams }),
+      new Promise(resolve => setTimeout(resolve, 10)).then(() => action.main({ ...orderSaveEvent('burst-save-1', 'processing'), ...coalesceParams }))
+    ])
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('has been confirmed')
+    expect(responses[0].body).toMatchObject({ skipped: 'coalesced', coalescedInto: 'burst-save-1' })
+    expect(responses[1].body).toMatchObject({ whatsappSent: true, coalesced: 2 })
+  })
+
+  test('should send the latest status of a burst of order saves', async () => {
+    const responses = await Promise.all([
+      action.main({ ...orderSaveEvent('burst-save-2', 'processing'), ...coalesceParams }),
+      new Promise(resolve => setTimeout(resolve, 10)).then(() => action.main({ ...orderSaveEvent('burst-save-3', 'complete'), ...coalesceParams }))
+    ])
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(1)
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toContain('complete')
+    expect(responses[0].body.skipped).toBe('coalesced')
+
+    const duplicate = await action.main({ ...orderSaveEvent('burst-save-2', 'processing'), ...coalesceParams })
+    expect(duplicate.body.duplicate).toBe(true)
+  })
+
+  test('should not coalesce events outside the window or not listed', async () => {
+    await action.main({ ...mockOrderPlacedEvent, ...coalesceParams })
+    await action.main({ ...orderSaveEvent('late-save', 'processing'), ...coalesceParams })
+    await action.main({ ...mockShipmentEvent, ...coalesceParams })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(3)
+  })
+
+  test('should stop messaging a phone number once it reaches the daily limit', async () => {
+    const limitParams = { ...twilioParams, MAX_MESSAGES_PER_PHONE_PER_DAY: '2' }
+    await action.main({ ...mockOrderPlacedEvent, ...limitParams })
+    await action.main({ ...orderSaveEvent('limit-save-1', 'processing'), ...limitParams })
+    const response = await action.main({ ...orderSaveEvent('limit-save-2', 'complete'), ...limitParams })
+
+    expect(mockTwilioClient.messages.create).toHaveBeenCalledTimes(2)
+    expect(response.body).toMatchObject({ success: true, skipped: 'daily_limit', dailyLimit: 2 })
+    expect(await checkDailyLimit(createAdobeStateStore(mockStateInstance), '+14155552671', limitParams))
+      .toEqual({ allowed: false, count: 2, limit: 2 })
+
+    // The counter is per day and per phone number
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000)
+    expect((await checkDailyLimit(createAdobeStateStore(mockStateInstance), '+14155552671', limitParams, tomorrow)).allowed).toBe(true)
+    expect((await checkDailyLimit(createAdobeStateStore(mockStateInstance), '+12125559876', limitParams)).allowed).toBe(true)
+  })
+})
+
+describe('event signatures', () => {
+  const crypto = require('crypto')
+  const fs = require('fs')
+  const http = require('http')
+  const os = require('os')
+  const path = require('path')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' })
+  const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+
+  let keysDir
+  let keyServer
+  let keyServerUrl
+  const keyRequests = []
+
+  beforeAll(async () => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-keys-'))
+    fs.writeFileSync(path.join(keysDir, 'pub-key-test.pem'), publicPem)
+
+    keyServer = http.createServer((request, response) => {
+      keyRequests.push(request.url)
+      if (request.url === '/prod/keys/pub-key-remote.pem') {
+        response.writeHead(200, { 'Content-Type': 'application/x-pem-file' })
+        response.end(publicPem)
+        return
+      }
+      response.writeHead(404)
+      response.end()
+    })
+    await new Promise(resolve => keyServer.listen(0, '127.0.0.1', resolve))
+    keyServerUrl = `http://127.0.0.1:${keyServer.address().port}`
+  })
+
+  afterAll(async () => {
+    fs.rmSync(keysDir, { recursive: true, force: true })
+    await new Promise(resolve => keyServer.close(resolve))
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    keyRequests.length = 0
+    mockTwilioClient = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM600', status: 'queued' }) } }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  /**
+   * Sign a body like Adobe I/O Events
+   * @param {string} body - Raw body
+   * @param {object} key - Private key
+   * @returns {string} Base64 signature
+   */
+  const sign = (body, key = privateKey) => crypto.sign('rsa-sha256', Buffer.from(body), key).toString('base64')
+
+  /**
+   * Build a web request delivering an event
+   * @param {object} event - CloudEvent
+   * @param {object} [headers] - Extra headers
+   * @param {object} [params] - Extra action parameters
+   * @returns {object} Action parameters of the raw web request
+   */
+  const signedRequest = (event, headers = {}, params = {}) => {
+    const body = JSON.stringify(event)
+    return {
+      ...twilioParams,
+      EVENTS_PUBLIC_KEYS_DIR: keysDir,
+      __ow_method: 'post',
+      __ow_body: body,
+      __ow_headers: {
+        'content-type': 'application/json',
+        'x-adobe-digital-signature-1': sign(body),
+        'x-adobe-public-key1-path': '/prod/keys/pub-key-test.pem',
+        'x-adobe-digital-signature-2': sign(body, otherKeys.privateKey),
+        'x-adobe-public-key2-path': '/prod/keys/pub-key-other.pem',
+        ...headers
+      },
+      ...params
+    }
+  }
+
+  test('should process events signed by Adobe I/O Events', async () => {
+    const response = await action.main(signedRequest(mockOrderPlacedEvent))
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toMatchObject({ orderNumber: '000000008', whatsappSent: true })
+  })
+
+  test('should accept events verified by the second key only', async () => {
+    const body = JSON.stringify(mockOrderPlacedEvent)
+    const response = await action.main(signedRequest(mockOrderPlacedEvent, {
+      'x-adobe-digital-signature-1': sign(body, otherKeys.privateKey),
+      'x-adobe-public-key1-path': '/prod/keys/pub-key-other.pem',
+      'x-adobe-digital-signature-2': sign(body),
+      'x-adobe-public-key2-path': '/prod/keys/pub-key-test.pem'
+    }))
+
+    expect(response.body.whatsappSent).toBe(true)
+  })
+
+  test('should accept base64-encoded bodies', async () => {
+    const request = signedRequest(mockOrderPlacedEvent)
+    const response = await action.main({ ...request, __ow_body: Buffer.from(request.__ow_body).toString('base64') })
+
+    expect(response.body.whatsappSent).toBe(true)
+  })
+
+  test('should reject unsigned web requests', async () => {
+    const response = await action.main({
+      ...twilioParams,
+      __ow_method: 'post',
+      __ow_body: JSON.stringify(mockOrderPlacedEvent),
+      __ow_headers: { 'content-type': 'application/json' }
+    })
+
+    expect(response.error.statusCode).toBe(401)
+    expect(response.error.body.error).toBe('Unauthorized: missing signature')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should reject tampered events', async () => {
+    const request = signedRequest(mockOrderPlacedEvent)
+    const forged = JSON.parse(request.__ow_body)
+    forged.data.value.order.addresses[0].telephone = '2125559876'
+
+    const response = await action.main({ ...request, __ow_body: JSON.stringify(forged) })
+
+    expect(response.error.statusCode).toBe(401)
+    expect(response.error.body.error).toBe('Unauthorized: invalid signature')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should not read keys outside the key paths of I/O Events', async () => {
+    const response = await action.main(signedRequest(mockOrderPlacedEvent, {
+      'x-adobe-public-key1-path': '/prod/keys/../../etc/pub-key-test.pem',
+      'x-adobe-public-key2-path': 'https://attacker.example.com/pub-key-test.pem'
+    }))
+
+    expect(response.error.statusCode).toBe(401)
+  })
+
+  test('should not let the request set action inputs', async () => {
+    const response = await action.main({
+      ...twilioParams,
+      __ow_method: 'post',
+      __ow_body: JSON.stringify({ ...mockOrderPlacedEvent, EVENT_SIGNATURE_VERIFICATION: 'false', EVENTS_PUBLIC_KEY_ORIGIN: 'https://attacker.example.com' }),
+      __ow_query: 'EVENT_SIGNATURE_VERIFICATION=false',
+      __ow_headers: { 'content-type': 'application/json' }
+    })
+
+    expect(response.error.statusCode).toBe(401)
+  })
+
+  test('should reject signed events of another integration', async () => {
+    const response = await action.main(signedRequest(
+      { ...mockOrderPlacedEvent, recipient_client_id: 'other-client' },
+      {},
+      { EVENTS_CLIENT_ID: 'our-client' }
+    ))
+
+    expect(response.error.statusCode).toBe(401)
+    expect(response.error.body.error).toBe('Unauthorized: not the target recipient')
+  })
+
+  test('should fetch public keys from Adobe and cache them', async () => {
+    const params = { EVENTS_PUBLIC_KEYS_DIR: undefined, EVENTS_PUBLIC_KEY_ORIGIN: keyServerUrl }
+    const headers = { 'x-adobe-public-key1-path': '/prod/keys/pub-key-remote.pem', 'x-adobe-public-key2-path': '/prod/keys/pub-key-missing.pem' }
+
+    const first = await action.main(signedRequest(mockOrderPlacedEvent, headers, params))
+    const second = await action.main(signedRequest(mockOrderStatusEvent, headers, params))
+
+    expect(first.body.whatsappSent).toBe(true)
+    expect(second.body.whatsappSent).toBe(true)
+    expect(keyRequests).toEqual(['/prod/keys/pub-key-remote.pem'])
+    expect(JSON.parse(mockStateData.get('eventskey.pub-key-remote_pem')).pem).toBe(publicPem)
+  })
+
+  test('should skip verification when EVENT_SIGNATURE_VERIFICATION is false', async () => {
+    const response = await action.main({
+      ...twilioParams,
+      EVENT_SIGNATURE_VERIFICATION: 'false',
+      __ow_method: 'post',
+      __ow_body: JSON.stringify(mockOrderPlacedEvent),
+      __ow_headers: { 'content-type': 'application/json' }
+    })
+
+    expect(response.body.whatsappSent).toBe(true)
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith('Event signature verification is disabled (EVENT_SIGNATURE_VERIFICATION=false)')
+  })
+
+  test('should answer the I/O Events challenge of web requests', async () => {
+    const response = await action.main({ __ow_method: 'get', __ow_query: 'challenge=abc123', __ow_headers: {} })
+
+    expect(response).toEqual({ statusCode: 200, body: { challenge: 'abc123' } })
+  })
+
+  test('should reject web requests whose body is not JSON', async () => {
+    const response = await action.main({ __ow_method: 'post', __ow_body: '{not json', __ow_headers: {} })
+
+    expect(response.error.statusCode).toBe(400)
+  })
+})
+
+describe('event validation', () => {
+  const { validateCloudEventAttributes, validateOrderPayload } = require('./../actions/order-notification/eventValidator')
+
+  test('should accept complete CloudEvents with a valid order payload', () => {
+    const event = { ...mockOrderPlacedEvent, time: '2025-03-01T10:00:00.000Z', datacontenttype: 'application/json' }
+
+    expect(validateCloudEventAttributes(event)).toEqual([])
+    expect(validateOrderPayload(event.data)).toEqual([])
+  })
+
+  test('should report every violation of the event in one response', async () => {
+    const response = await action.main({
+      type: mockOrderPlacedEvent.type,
+      source: 'com.adobe.commerce',
+      specversion: '0.3',
+      time: 'yesterday',
+      datacontenttype: 'text/plain',
+      data: {
+        value: {
+          order: { increment_id: '000000008', grand_total: true, items: [{ name: 42 }] },
+          shipment: { tracks: 'TRACK-1' }
+        }
+      }
+    })
+
+    expect(response.error.statusCode).toBe(400)
+    expect(response.error.body.error).toBe('Invalid event structure')
+    expect(response.error.body.violations.map(({ path }) => path)).toEqual([
+      '/id',
+      '/specversion',
+      '/time',
+      '/datacontenttype',
+      '/data/value/order/grand_total',
+      '/data/value/order/items/0/name',
+      '/data/value/shipment/tracks'
+    ])
+    expect(response.error.body.violations[0]).toEqual({ field: 'id', path: '/id', message: 'is required' })
+  })
+
+  test('should reject events whose data is not an object', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, data: 'order placed' })
+
+    expect(response.error.body.violations).toEqual([{ field: 'data', path: '/data', message: 'must be object' }])
+  })
+
+  test('should treat empty required attributes as missing', () => {
+    expect(validateCloudEventAttributes({ ...mockOrderPlacedEvent, id: '', source: null })).toEqual([
+      { field: 'id', path: '/id', message: 'is required' },
+      { field: 'source', path: '/source', message: 'is required' }
+    ])
+  })
+
+  test('should accept null order fields and numeric strings', () => {
+    expect(validateOrderPayload({
+      value: { entity_id: '12', grand_total: '100.0000', customer_firstname: null, shipping_address: null }
+    })).toEqual([])
+  })
+
+  test('should not check the payload of event types without a handler', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, type: 'com.adobe.commerce.observer.catalog_product_save_after', data: 'product' })
+
+    expect(response.error.body.error).toBe('Unauthorized event type: com.adobe.commerce.observer.catalog_product_save_after')
+  })
+})
+
+describe('store routing', () => {
+  const { loadStoreRouting, resolveStoreRoute } = require('./../actions/order-notification/storeRouting')
+  const { getMessagingProvider } = require('./../actions/order-notification/messagingProviders')
+
+  const twilioParams = {
+    TWILIO_ACCOUNT_SID: 'test_sid',
+    TWILIO_AUTH_TOKEN: 'test_token',
+    TWILIO_WHATSAPP_FROM: 'whatsapp:+1234567890'
+  }
+  const storeRouting = {
+    uk_store: {
+      brand: 'Acme UK',
+      sender: 'whatsapp:+447400123456',
+      twilio: { accountSid: 'AC_uk', authToken: 'uk_token' }
+    },
+    de_site: {
+      brand: 'Acme DE',
+      sender: 'whatsapp:+4915112345678',
+      locale: 'de',
+      templates: { sales_order_place_after: 'Hallo {{customerName}}, {{brandName}} hat Bestellung #{{orderNumber}} erhalten.' }
+    }
+  }
+
+  /**
+   * Build an order placement event of a store
+   * @param {object} storeFields - Store fields of the order (store_code, store_id, website_code)
+   * @param {object} [extraParams] - Additional action inputs
+   * @returns {object} Action parameters
+   */
+  const storeOrderEvent = (storeFields, extraParams = {}) => ({
+    ...mockOrderPlacedEvent,
+    data: { value: { order: { ...mockOrderPlacedEvent.data.value.order, ...storeFields } } },
+    ...twilioParams,
+    STORE_ROUTING: JSON.stringify(storeRouting),
+    ...extraParams
+  })
+
+  let mockTwilioClient
+  beforeEach(() => {
+    mockTwilioClient = { messages: { create: jest.fn().mockResolvedValue({ sid: 'SM600', status: 'queued' }) } }
+    twilio.mockReturnValue(mockTwilioClient)
+  })
+
+  test('should send from the sender and Twilio account of the order store', async () => {
+    const response = await action.main(storeOrderEvent({ store_code: 'uk_store', store_id: 2 }))
+
+    expect(response.body).toMatchObject({ whatsappSent: true, store: 'uk_store' })
+    expect(twilio).toHaveBeenCalledWith('AC_uk', 'uk_token')
+    const request = mockTwilioClient.messages.create.mock.calls[0][0]
+    expect(request.from).toBe('whatsapp:+447400123456')
+    expect(request.body).toMatch(/^Acme UK: Hi Test Customer, your order #000000008/)
+    expect(JSON.parse(mockStateData.get('message.SM600')).store).toBe('uk_store')
+  })
+
+  test('should route orders by website code, with the store locale and templates', async () => {
+    const response = await action.main(storeOrderEvent({ store_id: 7, website_code: 'de_site' }))
+
+    expect(response.body).toMatchObject({ store: 'de_site', locale: 'de' })
+    expect(mockTwilioClient.messages.create.mock.calls[0][0]).toMatchObject({
+      from: 'whatsapp:+4915112345678',
+      body: 'Hallo Test Customer, Acme DE hat Bestellung #000000008 erhalten.'
+    })
+  })
+
+  test('should reject orders of stores without a route', async () => {
+    const response = await action.main(storeOrderEvent({ store_code: 'outlet', store_id: 9 }))
+
+    expect(response.error.statusCode).toBe(400)
+    expect(response.error.body.error).toBe('No store route for store outlet / 9')
+    expect(mockTwilioClient.messages.create).not.toHaveBeenCalled()
+  })
+
+  test('should use the fallback route for other stores', async () => {
+    const response = await action.main(storeOrderEvent({ store_id: 9 }, {
+      STORE_ROUTING: JSON.stringify({ ...storeRouting, '*': { brand: 'Acme' } })
+    }))
+
+    expect(response.body.store).toBe('*')
+    expect(mockTwilioClient.messages.create.mock.calls[0][0]).toMatchObject({
+      from: 'whatsapp:+1234567890',
+      body: expect.stringMatching(/^Acme: Hi Test Customer/)
+    })
+  })
+
+  test('should report every problem of the routing table', async () => {
+    const response = await action.main(storeOrderEvent({ store_code: 'uk_store' }, {
+      STORE_ROUTING: JSON.stringify({
+        uk_store: { sender: '', phone: '+447400123456', twilio: { accountSid: 'AC_uk' } },
+        de_site: { templates: { sales_order_place_after: 'Hallo {{brand}}' } }
+      })
+    }))
+
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body.error).toBe('Invalid STORE_ROUTING configuration: ' +
+      'Unknown field phone in route for store uk_store; ' +
+      'sender of route for store uk_store must be a non-empty string; ' +
+      'twilio credentials of route for store uk_store must define authToken; ' +
+      'Templates of store de_site: Unknown placeholder {{brand}} in template for sales_order_place_after')
+  })
+
+  test('should brand messages of single-store setups with BRAND_NAME', async () => {
+    const response = await action.main({ ...mockOrderPlacedEvent, ...twilioParams, BRAND_NAME: 'Acme' })
+
+    expect(response.body.store).toBeUndefined()
+    expect(mockTwilioClient.messages.create.mock.calls[0][0].body).toMatch(/^Acme: Hi Test Customer/)
+  })
+
+  test('should prefer store codes over store ids and website codes', () => {
+    const { routes } = loadStoreRouting({ 2: {}, uk_store: {}, main: {} }, getMessagingProvider({}))
+
+    expect(resolveStoreRoute(routes, { store_id: 2, store_code: 'uk_store', website_code: 'main' }).key).toBe('uk_store')
+    expect(resolveStoreRoute(routes, { store_id: 2, website_code: 'main' }).key).toBe('2')
+    expect(resolveStoreRoute(routes, { website_code: 'main' }).key).toBe('main')
+    expect(resolveStoreRoute(routes, {})).toEqual({ key: null, route: null, storeKeys: [] })
+  })
+})
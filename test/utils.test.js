@@ -22,6 +22,8 @@ test('interface', () => {
   expect(typeof utils.stringParameters).toBe('function')
   expect(typeof utils.checkMissingRequestInputs).toBe('function')
   expect(typeof utils.getBearerToken).toBe('function')
+  expect(typeof utils.getHeader).toBe('function')
+  expect(typeof utils.parseJsonInput).toBe('function')
 })
 
 describe('errorResponse', () => {
@@ -48,6 +50,16 @@ describe('errorResponse', () => {
       }
     })
   })
+
+  test('(400, errorMessage, logger, details)', () => {
+    const res = utils.errorResponse(400, 'errorMessage', undefined, { violations: [{ field: 'id' }] })
+    expect(res).toEqual({
+      error: {
+        statusCode: 400,
+        body: { error: 'errorMessage', violations: [{ field: 'id' }] }
+      }
+    })
+  })
 })
 
 describe('stringParameters', () => {
@@ -122,3 +134,30 @@ describe('getBearerToken', () => {
     expect(utils.getBearerToken({ __ow_headers: { authorization: 'Bearer fake Bearer fake' } })).toEqual('fake Bearer fake')
   })
 })
+
+describe('getHeader', () => {
+  test('({}, X-Twilio-Signature)', () => {
+    expect(utils.getHeader({}, 'X-Twilio-Signature')).toEqual(undefined)
+  })
+  test('({ __ow_headers: { x-twilio-signature: abc } }, X-Twilio-Signature)', () => {
+    expect(utils.getHeader({ __ow_headers: { 'x-twilio-signature': 'abc' } }, 'X-Twilio-Signature')).toEqual('abc')
+  })
+})
+
+describe('parseJsonInput', () => {
+  test('(undefined)', () => {
+    expect(utils.parseJsonInput(undefined, 'INPUT')).toEqual(null)
+  })
+  test('(\'\')', () => {
+    expect(utils.parseJsonInput('', 'INPUT')).toEqual(null)
+  })
+  test('({ a: 1 })', () => {
+    expect(utils.parseJsonInput({ a: 1 }, 'INPUT')).toEqual({ a: 1 })
+  })
+  test('(\'{"a":1}\')', () => {
+    expect(utils.parseJsonInput('{"a":1}', 'INPUT')).toEqual({ a: 1 })
+  })
+  test('(\'{a\')', () => {
+    expect(() => utils.parseJsonInput('{a', 'INPUT')).toThrow('Invalid INPUT JSON')
+  })
+})
@@ -0,0 +1,147 @@
+/*
+ * Copyright 2025 EBH
+ * Author: Sarvagya Pandey
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+jest.mock('@adobe/aio-sdk', () => ({
+  Core: {
+    Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
+  }
+}))
+
+const { Core, State } = require('@adobe/aio-sdk')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn(), warn: jest.fn() }
+Core.Logger.mockReturnValue(mockLoggerInstance)
+
+// Fake aio-lib-state client, values are stored as strings like the real service
+const mockStateData = new Map()
+const mockStateInstance = {
+  get: jest.fn(async key => mockStateData.has(key) ? { value: mockStateData.get(key) } : undefined),
+  put: jest.fn(async (key, value) => { mockStateData.set(key, value); return key }),
+  delete: jest.fn(async key => mockStateData.delete(key) ? key : null)
+}
+
+const twilio = require('twilio')
+const action = require('./../actions/whatsapp-inbound/index.js')
+const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+const { getConsent } = require('./../actions/order-notification/consent')
+const { recordLatestOrder, recordOrderStatus } = require('./../actions/order-notification/statusTracker')
+
+const AUTH_TOKEN = 'test_token'
+const WEBHOOK_URL = 'https://example.adobeioruntime.net/api/v1/web/whatsapp-order-notification/whatsapp-inbound'
+const store = createAdobeStateStore(mockStateInstance)
+
+/**
+ * Build a signed inbound webhook request as delivered by I/O Runtime
+ * @param {object} form - Twilio form fields
+ * @param {object} [options] - Overrides for the signature and action inputs
+ * @returns {object} Action parameters
+ */
+function inboundRequest (form, options = {}) {
+  const fields = { MessageSid: 'SM0001', From: 'whatsapp:+447911123456', To: 'whatsapp:+1234567890', ...form }
+  const signature = options.signature || twilio.getExpectedTwilioSignature(AUTH_TOKEN, WEBHOOK_URL, fields)
+  return {
+    __ow_method: 'post',
+    __ow_headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-twilio-signature': signature },
+    __ow_body: new URLSearchParams(fields).toString(),
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    TWILIO_INBOUND_WEBHOOK_URL: WEBHOOK_URL,
+    ...options.params
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  mockStateData.clear()
+  State.init.mockResolvedValue(mockStateInstance)
+})
+
+describe('whatsapp-inbound', () => {
+  test('main should be defined', () => {
+    expect(action.main).toBeInstanceOf(Function)
+  })
+
+  test('should reject requests with an invalid signature', async () => {
+    const response = await action.main(inboundRequest({ Body: 'STOP' }, { signature: 'forged' }))
+
+    expect(response.error.statusCode).toBe(403)
+    expect(await getConsent(store, '+447911123456')).toBeNull()
+  })
+
+  test('should reject requests signed for another URL', async () => {
+    const response = await action.main(inboundRequest({ Body: 'HELP' }, {
+      params: { TWILIO_INBOUND_WEBHOOK_URL: `${WEBHOOK_URL}-other` }
+    }))
+
+    expect(response.error.statusCode).toBe(403)
+  })
+
+  test('should add STOP replies to the suppression list', async () => {
+    const response = await action.main(inboundRequest({ Body: 'Stop' }))
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['Content-Type']).toBe('text/xml')
+    expect(response.body).toContain('You will no longer receive order notifications on WhatsApp')
+    expect(await getConsent(store, '+447911123456')).toMatchObject({ status: 'opted_out', source: 'stop_reply' })
+  })
+
+  test('should opt numbers back in on START', async () => {
+    await action.main(inboundRequest({ Body: 'STOP' }))
+    const response = await action.main(inboundRequest({ Body: 'START' }))
+
+    expect(response.body).toContain('You will receive order notifications on WhatsApp again')
+    expect(await getConsent(store, '+447911123456')).toMatchObject({ status: 'opted_in' })
+  })
+
+  test('should list the keywords on HELP', async () => {
+    const response = await action.main(inboundRequest({ Body: 'help' }))
+
+    expect(response.body).toContain('<Message>Reply STATUS for the latest status of your order')
+  })
+
+  test('should reply with the latest order status in the order locale', async () => {
+    await recordLatestOrder(store, '+447911123456', { orderNumber: '000000060', customerName: 'Lena Vogel', locale: 'de-DE' })
+    await recordOrderStatus(store, '000000060', 'complete')
+
+    const response = await action.main(inboundRequest({ Body: 'status' }))
+
+    expect(response.body).toContain('Hallo Lena Vogel, der Status Ihrer Bestellung #000000060 wurde auf "abgeschlossen" aktualisiert.')
+  })
+
+  test('should tell customers without a known order', async () => {
+    const response = await action.main(inboundRequest({ Body: 'STATUS' }))
+
+    expect(response.body).toContain('We could not find a recent order for this number.')
+  })
+
+  test('should answer other messages with an empty TwiML response', async () => {
+    const response = await action.main(inboundRequest({ Body: 'Where is my parcel?' }))
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toBe('<?xml version="1.0" encoding="UTF-8"?><Response/>')
+  })
+
+  test('should accept base64-encoded bodies', async () => {
+    const request = inboundRequest({ Body: 'HELP' })
+    request.__ow_body = Buffer.from(request.__ow_body).toString('base64')
+
+    const response = await action.main(request)
+
+    expect(response.body).toContain('Reply STATUS')
+  })
+})
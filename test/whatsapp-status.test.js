@@ -0,0 +1,279 @@
+/*
+ * Copyright 2025 EBH
+ * Author: Sarvagya Pandey
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+jest.mock('@adobe/aio-sdk', () => ({
+  Core: {
+    Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
+  }
+}))
+
+// Real webhook signatures, fake Messages API for SMS fallbacks
+jest.mock('twilio', () => {
+  const actual = jest.requireActual('twilio')
+  return Object.assign(jest.fn(), {
+    validateRequest: actual.validateRequest,
+    getExpectedTwilioSignature: actual.getExpectedTwilioSignature,
+    twiml: actual.twiml
+  })
+})
+
+const { Core, State } = require('@adobe/aio-sdk')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn(), warn: jest.fn() }
+Core.Logger.mockReturnValue(mockLoggerInstance)
+
+// Fake aio-lib-state client, values are stored as strings like the real service
+const mockStateData = new Map()
+const mockStateInstance = {
+  get: jest.fn(async key => mockStateData.has(key) ? { value: mockStateData.get(key) } : undefined),
+  put: jest.fn(async (key, value) => { mockStateData.set(key, value); return key }),
+  delete: jest.fn(async key => mockStateData.delete(key) ? key : null),
+  list: jest.fn(({ match }) => (async function * () {
+    yield { keys: [...mockStateData.keys()].filter(key => key.startsWith(match.replace(/\*$/, ''))) }
+  })())
+}
+
+const twilio = require('twilio')
+const action = require('./../actions/whatsapp-status/index.js')
+const { createAdobeStateStore } = require('./../actions/order-notification/stateStore')
+const { recordMessageSent, getMessageStatus, getOrderMessages } = require('./../actions/order-notification/messageStatus')
+const { recordOptOut } = require('./../actions/order-notification/consent')
+const { recordDailyMessage } = require('./../actions/order-notification/dailyLimit')
+
+const AUTH_TOKEN = 'test_token'
+const CALLBACK_URL = 'https://example.adobeioruntime.net/api/v1/web/whatsapp-order-notification/whatsapp-status'
+const store = createAdobeStateStore(mockStateInstance)
+
+/**
+ * Build a signed status callback request as delivered by I/O Runtime
+ * @param {object} form - Twilio form fields
+ * @param {string} [signature] - Signature override
+ * @param {object} [params] - Additional action inputs
+ * @returns {object} Action parameters
+ */
+function statusCallback (form, signature = null, params = {}) {
+  const fields = { MessageSid: 'SM0001', To: 'whatsapp:+447911123456', ...form }
+  return {
+    __ow_method: 'post',
+    __ow_headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+      'x-twilio-signature': signature || twilio.getExpectedTwilioSignature(AUTH_TOKEN, CALLBACK_URL, fields)
+    },
+    __ow_body: new URLSearchParams(fields).toString(),
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    TWILIO_STATUS_CALLBACK_URL: CALLBACK_URL,
+    ...params
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  mockStateData.clear()
+  State.init.mockResolvedValue(mockStateInstance)
+})
+
+describe('whatsapp-status', () => {
+  test('main should be defined', () => {
+    expect(action.main).toBeInstanceOf(Function)
+  })
+
+  test('should reject callbacks with an invalid signature', async () => {
+    const response = await action.main(statusCallback({ MessageStatus: 'delivered' }, 'forged'))
+
+    expect(response.error.statusCode).toBe(403)
+    expect(await getMessageStatus(store, 'SM0001')).toBeNull()
+  })
+
+  test('should reject callbacks without a status', async () => {
+    const response = await action.main(statusCallback({}))
+
+    expect(response.error.statusCode).toBe(400)
+  })
+
+  test('should track the lifecycle of a sent message', async () => {
+    await recordMessageSent(store, 'SM0001', { orderNumber: '000000070', eventType: 'sales_order_place_after', to: '+447911123456', status: 'queued' })
+
+    await action.main(statusCallback({ MessageStatus: 'sent' }))
+    const response = await action.main(statusCallback({ MessageStatus: 'delivered' }))
+
+    expect(response.body).toEqual({ success: true, messageSid: 'SM0001', orderNumber: '000000070', status: 'delivered' })
+    const record = await getMessageStatus(store, 'SM0001')
+    expect(record.history.map(entry => entry.status)).toEqual(['queued', 'sent', 'delivered'])
+  })
+
+  test('should keep the latest status when callbacks arrive out of order', async () => {
+    await recordMessageSent(store, 'SM0001', { orderNumber: '000000070', status: 'queued' })
+
+    await action.main(statusCallback({ MessageStatus: 'read' }))
+    await action.main(statusCallback({ MessageStatus: 'delivered' }))
+
+    expect((await getMessageStatus(store, 'SM0001')).status).toBe('read')
+  })
+
+  test('should store error codes of failed messages', async () => {
+    await recordMessageSent(store, 'SM0001', { orderNumber: '000000070', status: 'queued' })
+
+    await action.main(statusCallback({ MessageStatus: 'failed', ErrorCode: '63016', ErrorMessage: 'Outside the allowed window' }))
+
+    expect(await getMessageStatus(store, 'SM0001')).toMatchObject({
+      status: 'failed',
+      errorCode: '63016',
+      errorMessage: 'Outside the allowed window'
+    })
+  })
+
+  test('should keep callbacks that arrive before the send is recorded', async () => {
+    await action.main(statusCallback({ MessageStatus: 'sent' }))
+    await recordMessageSent(store, 'SM0001', { orderNumber: '000000070', status: 'queued' })
+
+    const [record] = await getOrderMessages(store, '000000070')
+    expect(record).toMatchObject({ messageSid: 'SM0001', orderNumber: '000000070', status: 'sent' })
+  })
+
+  test('should list every message of an order sent concurrently', async () => {
+    await Promise.all([
+      recordMessageSent(store, 'SM0001', { orderNumber: '000000070', eventType: 'sales_order_invoice_save_after', status: 'queued' }),
+      recordMessageSent(store, 'SM0002', { orderNumber: '000000070', eventType: 'sales_order_shipment_save_after', status: 'queued' }),
+      recordMessageSent(store, 'SM0003', { orderNumber: '0000000701', status: 'queued' })
+    ])
+
+    const messages = await getOrderMessages(store, '000000070')
+    expect(messages.map(message => message.messageSid).sort()).toEqual(['SM0001', 'SM0002'])
+  })
+
+  describe('SMS fallback', () => {
+    const smsParams = {
+      TWILIO_ACCOUNT_SID: 'test_sid',
+      TWILIO_SMS_FROM: '+15005550006',
+      TWILIO_RETRY_BASE_DELAY_MS: '0'
+    }
+    const whatsappMessage = {
+      orderNumber: '000000070',
+      eventType: 'com.adobe.commerce.observer.sales_order_shipment_save_after',
+      to: '+447911123456',
+      channel: 'whatsapp',
+      status: 'queued',
+      fallbackText: 'Your order #000000070 has been shipped'
+    }
+
+    let mockCreate
+    beforeEach(() => {
+      mockCreate = jest.fn().mockResolvedValue({ sid: 'SMS0002', status: 'queued' })
+      twilio.mockReturnValue({ messages: { create: mockCreate } })
+    })
+
+    test('should send the notification by SMS when the number is not on WhatsApp', async () => {
+      await recordMessageSent(store, 'SM0001', whatsappMessage)
+
+      const response = await action.main(statusCallback({ MessageStatus: 'undelivered', ErrorCode: '63003' }, null, smsParams))
+
+      expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({
+        from: '+15005550006',
+        to: '+447911123456',
+        body: 'Your order #000000070 has been shipped'
+      }))
+      expect(response.body).toMatchObject({ fallbackChannel: 'sms', fallbackSent: true, fallbackSid: 'SMS0002' })
+      expect(await getMessageStatus(store, 'SM0001')).toMatchObject({ fallbackSid: 'SMS0002' })
+      expect((await getMessageStatus(store, 'SM0001')).fallbackText).toBeUndefined()
+      expect(await getMessageStatus(store, 'SMS0002')).toMatchObject({ channel: 'sms', orderNumber: '000000070' })
+    })
+
+    test('should fall back only once', async () => {
+      await recordMessageSent(store, 'SM0001', whatsappMessage)
+
+      await action.main(statusCallback({ MessageStatus: 'failed', ErrorCode: '63016' }, null, smsParams))
+      await action.main(statusCallback({ MessageStatus: 'undelivered', ErrorCode: '63016' }, null, smsParams))
+
+      expect(mockCreate).toHaveBeenCalledTimes(1)
+    })
+
+    test('should fall back only once for concurrent callbacks', async () => {
+      await recordMessageSent(store, 'SM0001', whatsappMessage)
+
+      await Promise.all([
+        action.main(statusCallback({ MessageStatus: 'failed', ErrorCode: '63016' }, null, smsParams)),
+        action.main(statusCallback({ MessageStatus: 'undelivered', ErrorCode: '63016' }, null, smsParams))
+      ])
+
+      expect(mockCreate).toHaveBeenCalledTimes(1)
+    })
+
+    test('should fall back again on a later callback when the SMS could not be sent', async () => {
+      mockCreate.mockRejectedValueOnce(Object.assign(new Error('Invalid To number'), { status: 400, code: 21211 }))
+      await recordMessageSent(store, 'SM0001', whatsappMessage)
+
+      const failed = await action.main(statusCallback({ MessageStatus: 'failed', ErrorCode: '63003' }, null, smsParams))
+      const undelivered = await action.main(statusCallback({ MessageStatus: 'undelivered', ErrorCode: '63003' }, null, smsParams))
+
+      expect(failed.body).toMatchObject({ fallbackSent: false })
+      expect(undelivered.body).toMatchObject({ fallbackSent: true, fallbackSid: 'SMS0002' })
+    })
+
+    test('should not fall back to customers who opted out since', async () => {
+      await recordMessageSent(store, 'SM0001', whatsappMessage)
+      await recordOptOut(store, '+447911123456')
+
+      const response = await action.main(statusCallback({ MessageStatus: 'undelivered', ErrorCode: '63003' }, null, smsParams))
+
+      expect(mockCreate).not.toHaveBeenCalled()
+      expect(response.body).toMatchObject({ fallbackSent: false, fallbackSkipped: 'no_consent' })
+    })
+
+    test('should not fall back to customers who reached the daily limit', async () => {
+      const limitParams = { ...smsParams, MAX_MESSAGES_PER_PHONE_PER_DAY: '1' }
+      await recordMessageSent(store, 'SM0001', whatsappMessage)
+      await recordDailyMessage(store, '+447911123456', limitParams)
+
+      const response = await action.main(statusCallback({ MessageStatus: 'undelivered', ErrorCode: '63003' }, null, limitParams))
+
+      expect(mockCreate).not.toHaveBeenCalled()
+      expect(response.body).toMatchObject({ fallbackSent: false, fallbackSkipped: 'daily_limit' })
+    })
+
+    test('should not fall back for other errors or event types without fallback', async () => {
+      await recordMessageSent(store, 'SM0001', whatsappMessage)
+
+      await action.main(statusCallback({ MessageStatus: 'failed', ErrorCode: '30008' }, null, smsParams))
+      await action.main(statusCallback({ MessageStatus: 'failed', ErrorCode: '63003' }, null, {
+        ...smsParams,
+        SMS_FALLBACK_EVENTS: 'sales_order_place_after'
+      }))
+
+      expect(mockCreate).not.toHaveBeenCalled()
+    })
+
+    test('should send fallbacks from the SMS sender and Twilio account of the message store', async () => {
+      const storeParams = {
+        ...smsParams,
+        STORE_ROUTING: JSON.stringify({ uk_store: { smsSender: '+447400123456', twilio: { accountSid: 'AC_uk', authToken: 'uk_token' } } })
+      }
+      await recordMessageSent(store, 'SM0001', { ...whatsappMessage, store: 'uk_store' })
+
+      // Callbacks of the store account are signed with its own Auth Token
+      const form = { MessageStatus: 'undelivered', ErrorCode: '63003', AccountSid: 'AC_uk' }
+      const signature = twilio.getExpectedTwilioSignature('uk_token', CALLBACK_URL, { MessageSid: 'SM0001', To: 'whatsapp:+447911123456', ...form })
+      const response = await action.main(statusCallback(form, signature, storeParams))
+
+      expect(response.body).toMatchObject({ fallbackChannel: 'sms', fallbackSent: true })
+      expect(twilio).toHaveBeenCalledWith('AC_uk', 'uk_token')
+      expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({ from: '+447400123456' }))
+      expect(await getMessageStatus(store, 'SMS0002')).toMatchObject({ channel: 'sms', store: 'uk_store' })
+    })
+  })
+})